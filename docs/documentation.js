@@ -25,6 +25,9 @@
  * @ref module.dlc
  * @ref module.ugc
  * @ref module.lobbies
+ * @ref module.servers
+ * @ref module.gameserver
+ * @ref module.voice
  * @ref module.social
  * @ref module.inventory
  * @ref module.networking
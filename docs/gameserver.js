@@ -0,0 +1,693 @@
+// FUNCTIONS
+
+/**
+ * @func steam_gameserver_begin_auth_session
+ * @desc This function starts validating the auth session ticket of a client that wants to join the server. The client creates the ticket with ${function.steam_user_get_auth_session_ticket} and sends it to the server (e.g. with ${function.steam_net_packet_send}).
+ * 
+ * The function returns `0` if the ticket was accepted for validation, or another [EBeginAuthSessionResult](https://partner.steamgames.com/doc/api/steam_api#EBeginAuthSessionResult) code if it's invalid. It returns `-1` if the game server API isn't initialised or the buffer doesn't exist, as the ticket wasn't checked at all in that case. The validation result is reported in a `"gameserver_validate_auth_ticket_response"` event. While the auth session is active, the client counts towards the player count of the server.
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * @param {type.buffer} buffer The buffer containing the ticket
+ * @param {real} [size] The size of the ticket (default: the whole buffer)
+ * 
+ * @returns {real}
+ * 
+ * @event steam
+ * @desc This event is triggered when the ticket has been validated, and again if the client's session becomes invalid later on (e.g. they were VAC banned or started playing on another machine).
+ * @member {string} event_type The string value `"gameserver_validate_auth_ticket_response"`
+ * @member {int64} user_id The Steam ID of the client
+ * @member {int64} owner_id The Steam ID of the user that owns the game (differs from `user_id` when the game is borrowed through Steam Family Sharing)
+ * @member {real} response `0` if the ticket is valid, or an [EAuthSessionResponse](https://partner.steamgames.com/doc/api/steam_api#EAuthSessionResponse) code
+ * @member {boolean} success Whether `response` is `0`
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * if (steam_gameserver_begin_auth_session(_user_id, _ticket_buffer) != 0)
+ * {
+ *     kick_client(_user_id);
+ * }
+ * ```
+ * The code above starts validating a ticket received from a client, and calls a custom function to kick the client if the ticket is invalid. The result of the validation can then be checked in the ${event.steam}:
+ * 
+ * ```gml
+ * if (async_load[? "event_type"] == "gameserver_validate_auth_ticket_response" && !async_load[? "success"])
+ * {
+ *     kick_client(async_load[? "user_id"]);
+ * }
+ * ```
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_clear_key_values
+ * @desc This function removes all key/value pairs set with ${function.steam_gameserver_set_key_value}. The function returns whether the game server API is initialised.
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_clear_key_values();
+ * ```
+ * The code above removes all rules of the server, e.g. before setting the rules for a new round.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_clear_user_achievement
+ * @desc This function clears an achievement of a client (see ${function.steam_gameserver_request_user_stats}). The function returns whether or not the achievement was cleared.
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * @param {string} name The API name of the achievement
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_clear_user_achievement(_user_id, "ACH_WIN_ONE_GAME");
+ * steam_gameserver_store_user_stats(_user_id);
+ * ```
+ * The code above clears an achievement of a client and uploads the change.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_end_auth_session
+ * @desc This function ends the auth session of a client started with ${function.steam_gameserver_begin_auth_session}. Call this when the client leaves the server. The function returns whether the game server API is initialised.
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_end_auth_session(_user_id);
+ * ```
+ * The code above ends the auth session of a client that disconnected.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_get_public_ip
+ * @desc This function returns the public IPv4 address of the game server as seen by Steam (e.g. `"203.0.113.7"`), or an empty string if it isn't known yet. It is available once the server is logged on.
+ * 
+ * @returns {string}
+ * 
+ * @example
+ * ```gml
+ * show_debug_message("Public address: " + steam_gameserver_get_public_ip());
+ * ```
+ * The code above prints the public address of the server.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_get_steam_id
+ * @desc This function returns the Steam ID of the game server, or 0 if it isn't logged on yet. Clients can use it to connect to the server with the Steam networking functions, or it can be associated with a lobby using ${function.steam_lobby_set_game_server}.
+ * 
+ * @returns {int64}
+ * 
+ * @example
+ * ```gml
+ * var _server_id = steam_gameserver_get_steam_id();
+ * ```
+ * The code above gets the Steam ID of the server.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_get_user_achievement
+ * @desc This function returns whether a client has unlocked the given achievement (see ${function.steam_gameserver_request_user_stats}).
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * @param {string} name The API name of the achievement
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * if (!steam_gameserver_get_user_achievement(_user_id, "ACH_WIN_ONE_GAME"))
+ * {
+ *     steam_gameserver_set_user_achievement(_user_id, "ACH_WIN_ONE_GAME");
+ *     steam_gameserver_store_user_stats(_user_id);
+ * }
+ * ```
+ * The code above unlocks an achievement for a client if they don't have it yet.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_get_user_stat_float
+ * @desc This function returns the value of a float stat of a client (see ${function.steam_gameserver_request_user_stats}), or 0 if it isn't available.
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * @param {string} name The API name of the stat
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * var _distance = steam_gameserver_get_user_stat_float(_user_id, "FeetTraveled");
+ * ```
+ * The code above gets the value of a float stat of a client.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_get_user_stat_int
+ * @desc This function returns the value of an integer stat of a client (see ${function.steam_gameserver_request_user_stats}), or 0 if it isn't available.
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * @param {string} name The API name of the stat
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * var _games = steam_gameserver_get_user_stat_int(_user_id, "NumGames");
+ * ```
+ * The code above gets the value of an integer stat of a client.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_init
+ * @desc This function initialises the Steam game server API, which allows a (usually headless) build of your game to act as a dedicated server. Unlike the client API (see ${function.steam_init}), it doesn't need the Steam client to be running. The function returns whether or not the game server API was initialised.
+ * 
+ * After initialising, set the product details with ${function.steam_gameserver_set_product} and log on with ${function.steam_gameserver_log_on}. ${function.steam_update} has to be called every step for the game server events to be triggered.
+ * 
+ * [[NOTE: The game server API needs to know the App ID of the game, either from a `steam_appid.txt` file next to the executable or from the `SteamAppId` environment variable.]]
+ * 
+ * @param {string} ip The local IPv4 address to bind to, or an empty string to bind to all addresses
+ * @param {real} game_port The port that clients connect to
+ * @param {real} query_port The port that the server answers server browser queries on
+ * @param {constant.GameServerMode} server_mode The authentication mode of the server (the function fails if it's not one of these constants)
+ * @param {string} version The version of the server (e.g. `"1.0.0.0"`), used to tell clients that they need to update
+ * 
+ * @returns {boolean}
+ * 
+ * @event steam
+ * @desc This event is triggered when the server has logged on to Steam.
+ * @member {string} event_type The string value `"gameserver_connected"`
+ * @member {int64} server_id The Steam ID of the server
+ * @event_end
+ * 
+ * @event steam
+ * @desc This event is triggered when the server couldn't connect to Steam.
+ * @member {string} event_type The string value `"gameserver_connect_failure"`
+ * @member {boolean} still_retrying Whether the server is still trying to connect
+ * @member {boolean} success Always `false`
+ * @member {real} result The code of the result
+ * @event_end
+ * 
+ * @event steam
+ * @desc This event is triggered when the server has lost its connection to Steam.
+ * @member {string} event_type The string value `"gameserver_disconnected"`
+ * @member {boolean} success Always `false`
+ * @member {real} result The code of the result
+ * @event_end
+ * 
+ * @event steam
+ * @desc This event is triggered after logging on, once Steam has determined whether the server is VAC-secured.
+ * @member {string} event_type The string value `"gameserver_policy_response"`
+ * @member {boolean} secure Whether the server is VAC-secured
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * if (steam_gameserver_init("", 27015, 27016, steam_gameserver_mode_authentication, "1.0.0.0"))
+ * {
+ *     steam_gameserver_set_product("mygame", "My Game", "mygame");
+ *     steam_gameserver_log_on(environment_get_variable("GAME_SERVER_TOKEN"));
+ *     steam_gameserver_set_server_name("My Game Server #1");
+ *     steam_gameserver_set_map_name("arena");
+ *     steam_gameserver_set_max_player_count(16);
+ *     steam_gameserver_set_advertise(true);
+ * }
+ * ```
+ * The code above starts a game server listening on port 27015, logs on with a game server login token (or anonymously if the environment variable isn't set) and lists the server in the server browser.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_is_active
+ * @desc This function returns whether the game server API has been initialised with ${function.steam_gameserver_init}.
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * if (steam_gameserver_is_active())
+ * {
+ *     steam_gameserver_shutdown();
+ * }
+ * ```
+ * The code above shuts down the game server API if it was initialised.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_is_logged_on
+ * @desc This function returns whether the game server is logged on to Steam.
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * if (!steam_gameserver_is_logged_on())
+ * {
+ *     show_debug_message("Not connected to Steam");
+ * }
+ * ```
+ * The code above prints a message if the server isn't logged on.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_is_secure
+ * @desc This function returns whether the game server is VAC-secured, as reported by Steam after logging on (see the `"gameserver_policy_response"` event of ${function.steam_gameserver_init}).
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * var _secure = steam_gameserver_is_secure();
+ * ```
+ * The code above checks whether the server is VAC-secured.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_log_off
+ * @desc This function logs the game server off from Steam. The server is removed from the server browser. The function returns whether the game server API is initialised.
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_log_off();
+ * ```
+ * The code above logs the server off.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_log_on
+ * @desc This function starts logging the game server on to Steam, using a game server login token (GSLT) or anonymously. Anonymous servers get a new Steam ID every time they log on, while servers using a token keep theirs. The `"gameserver_connected"` event (see ${function.steam_gameserver_init}) is triggered once the server is logged on. The function returns whether the game server API is initialised.
+ * 
+ * [[NOTE: Game server login tokens can be created on the [Steam Game Server Account Management](https://steamcommunity.com/dev/managegameservers) page.]]
+ * 
+ * @param {string} [token] The game server login token, or an empty string to log on anonymously (default)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_log_on();
+ * ```
+ * The code above logs the server on anonymously.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_request_user_stats
+ * @desc This function starts loading the stats and achievements of a client, so that the server can read and change them. The client must have an auth session (see ${function.steam_gameserver_begin_auth_session}). The function returns whether or not the request was sent.
+ * 
+ * [[NOTE: Only stats and achievements that are set to be changeable by game servers in the Steamworks settings of your game can be changed by the server.]]
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * 
+ * @returns {boolean}
+ * 
+ * @event steam
+ * @member {string} event_type The string value `"gameserver_stats_received"`
+ * @member {int64} user_id The Steam ID of the client
+ * @member {boolean} success Whether or not the stats were loaded
+ * @member {real} result The code of the result
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_request_user_stats(_user_id);
+ * ```
+ * The code above requests the stats of a client. Once they are loaded, they can be read and changed in the ${event.steam}:
+ * 
+ * ```gml
+ * if (async_load[? "event_type"] == "gameserver_stats_received" && async_load[? "success"])
+ * {
+ *     var _user_id = async_load[? "user_id"];
+ *     var _games = steam_gameserver_get_user_stat_int(_user_id, "NumGames");
+ *     steam_gameserver_set_user_stat_int(_user_id, "NumGames", _games + 1);
+ *     steam_gameserver_store_user_stats(_user_id);
+ * }
+ * ```
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_advertise
+ * @desc This function sets whether the game server is listed in the server browser (see ${function.steam_server_list_request}). The function returns whether the game server API is initialised.
+ * 
+ * @param {boolean} advertise Whether to list the server
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_advertise(true);
+ * ```
+ * The code above lists the server in the server browser.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_bot_player_count
+ * @desc This function sets the number of bots on the game server, as shown in the server browser. The function returns whether the game server API is initialised.
+ * 
+ * @param {real} count The number of bots
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_bot_player_count(instance_number(obj_bot));
+ * ```
+ * The code above updates the number of bots.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_game_data
+ * @desc This function sets the game data of the game server. Unlike tags (see ${function.steam_gameserver_set_tags}), this isn't shown to users, but the server browser can still filter on it using the `"gamedataand"`, `"gamedataor"` and `"gamedatanor"` filters (see ${function.steam_server_list_add_filter}). The function returns whether the game server API is initialised.
+ * 
+ * @param {string} data The game data (comma-separated values, up to 2048 characters)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_game_data("region:eu,ranked");
+ * ```
+ * The code above sets the game data of the server.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_key_value
+ * @desc This function sets a key/value pair ("rule") of the game server, which clients can query with ${function.steam_server_request_rules}. The function returns whether the game server API is initialised.
+ * 
+ * @param {string} key The key
+ * @param {string} value The value
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_key_value("time_limit", "20");
+ * steam_gameserver_set_key_value("friendly_fire", "off");
+ * ```
+ * The code above sets two rules of the server.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_map_name
+ * @desc This function sets the name of the map the game server is running, as shown in the server browser. The function returns whether the game server API is initialised.
+ * 
+ * @param {string} map The name of the map
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_map_name(room_get_name(room));
+ * ```
+ * The code above sets the map name to the name of the current room.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_max_player_count
+ * @desc This function sets the maximum number of players on the game server, as shown in the server browser. The current number of players is the number of clients with an auth session (see ${function.steam_gameserver_begin_auth_session}). The function returns whether the game server API is initialised.
+ * 
+ * @param {real} count The maximum number of players
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_max_player_count(16);
+ * ```
+ * The code above sets the maximum number of players to 16.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_password_protected
+ * @desc This function sets whether the game server requires a password to join, as shown in the server browser. The function returns whether the game server API is initialised.
+ * 
+ * [[NOTE: This only changes what the server browser shows, checking the password is up to your game.]]
+ * 
+ * @param {boolean} password_protected Whether the server is password-protected
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_password_protected(server_password != "");
+ * ```
+ * The code above marks the server as password-protected if a password is set.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_product
+ * @desc This function sets the details of the game that the server is running. It should be called after ${function.steam_gameserver_init} and before ${function.steam_gameserver_log_on}. The function returns whether the game server API is initialised.
+ * 
+ * @param {string} product The product name of the game (usually the same as `mod_dir`)
+ * @param {string} description The description of the game, as shown in the server browser (e.g. the name of the game)
+ * @param {string} mod_dir The game/mod directory, which the server browser can filter on with the `"gamedir"` filter
+ * @param {boolean} [dedicated] Whether this is a dedicated server rather than a listen server hosted by a player (default `true`)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_product("mygame", "My Game", "mygame");
+ * ```
+ * The code above sets the product details of the server.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_server_name
+ * @desc This function sets the name of the game server, as shown in the server browser. The function returns whether the game server API is initialised.
+ * 
+ * @param {string} name The name of the server
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_server_name("My Game Server #1");
+ * ```
+ * The code above sets the name of the server.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_tags
+ * @desc This function sets the tags of the game server, which are shown in the server browser and can be filtered on using the `"gametagsand"` and `"gametagsnor"` filters (see ${function.steam_server_list_add_filter}). The function returns whether the game server API is initialised.
+ * 
+ * @param {string} tags The tags (comma-separated, up to 128 characters)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_tags("ctf,hardcore");
+ * ```
+ * The code above sets the tags of the server.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_user_achievement
+ * @desc This function unlocks an achievement for a client (see ${function.steam_gameserver_request_user_stats}). Call ${function.steam_gameserver_store_user_stats} afterwards to upload the change. The function returns whether or not the achievement was set.
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * @param {string} name The API name of the achievement
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_user_achievement(_user_id, "ACH_WIN_ONE_GAME");
+ * steam_gameserver_store_user_stats(_user_id);
+ * ```
+ * The code above unlocks an achievement for a client and uploads the change.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_user_stat_float
+ * @desc This function changes a float stat of a client (see ${function.steam_gameserver_request_user_stats}). Call ${function.steam_gameserver_store_user_stats} afterwards to upload the change. The function returns whether or not the stat was set.
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * @param {string} name The API name of the stat
+ * @param {real} value The new value
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_user_stat_float(_user_id, "FeetTraveled", _distance);
+ * ```
+ * The code above changes a float stat of a client.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_set_user_stat_int
+ * @desc This function changes an integer stat of a client (see ${function.steam_gameserver_request_user_stats}). Call ${function.steam_gameserver_store_user_stats} afterwards to upload the change. The function returns whether or not the stat was set.
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * @param {string} name The API name of the stat
+ * @param {real} value The new value
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_set_user_stat_int(_user_id, "NumWins", _wins + 1);
+ * ```
+ * The code above changes an integer stat of a client.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_shutdown
+ * @desc This function logs the game server off and shuts down the game server API. Call this before the server exits. The function returns whether the game server API was initialised.
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_shutdown();
+ * ```
+ * The code above shuts down the game server API, e.g. in the ${event.game_end}.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_store_user_stats
+ * @desc This function uploads the changed stats and achievements of a client (see ${function.steam_gameserver_request_user_stats}). The function returns whether or not the request was sent.
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * 
+ * @returns {boolean}
+ * 
+ * @event steam
+ * @member {string} event_type The string value `"gameserver_stats_stored"`
+ * @member {int64} user_id The Steam ID of the client
+ * @member {boolean} success Whether or not the stats were uploaded
+ * @member {real} result The code of the result
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_store_user_stats(_user_id);
+ * ```
+ * The code above uploads the changed stats of a client.
+ * @func_end
+ */
+
+/**
+ * @func steam_gameserver_update_user_data
+ * @desc This function updates the name and score of a client, as returned to other users by ${function.steam_server_request_players}. The function returns whether or not the data was updated.
+ * 
+ * @param {int64} user_id The Steam ID of the client
+ * @param {string} name The name of the client
+ * @param {real} score The score of the client
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_gameserver_update_user_data(player.user_id, player.name, player.kills);
+ * ```
+ * The code above updates the name and score of a client.
+ * @func_end
+ */
+
+/**
+ * @const GameServerMode
+ * @desc These constants specify the authentication mode of a game server (see ${function.steam_gameserver_init}).
+ * @member steam_gameserver_mode_no_authentication The server doesn't authenticate users and isn't listed in the server browser
+ * @member steam_gameserver_mode_authentication The server authenticates users and is listed in the server browser
+ * @member steam_gameserver_mode_authentication_and_secure Same as `steam_gameserver_mode_authentication`, but the server is VAC-secured as well
+ * @const_end
+ */
+
+// MODULES
+
+/**
+ * @module gameserver
+ * @title Game Server
+ * @desc The following functions and constants allow a build of your game to run as a dedicated game server, without the Steam client. The server can be listed in the server browser (see ${module.servers}), authenticate clients and change their stats and achievements.
+ * 
+ * @section_func Setup
+ * @desc These functions are provided for starting the game server and logging on to Steam:
+ * @ref steam_gameserver_init
+ * @ref steam_gameserver_is_active
+ * @ref steam_gameserver_set_product
+ * @ref steam_gameserver_log_on
+ * @ref steam_gameserver_log_off
+ * @ref steam_gameserver_is_logged_on
+ * @ref steam_gameserver_is_secure
+ * @ref steam_gameserver_get_steam_id
+ * @ref steam_gameserver_get_public_ip
+ * @ref steam_gameserver_shutdown
+ * @section_end
+ * 
+ * @section_func Server Details
+ * @desc These functions are provided for setting the details shown in the server browser:
+ * @ref steam_gameserver_set_advertise
+ * @ref steam_gameserver_set_server_name
+ * @ref steam_gameserver_set_map_name
+ * @ref steam_gameserver_set_max_player_count
+ * @ref steam_gameserver_set_bot_player_count
+ * @ref steam_gameserver_set_password_protected
+ * @ref steam_gameserver_set_tags
+ * @ref steam_gameserver_set_game_data
+ * @ref steam_gameserver_set_key_value
+ * @ref steam_gameserver_clear_key_values
+ * @section_end
+ * 
+ * @section_func Clients
+ * @desc These functions are provided for authenticating clients:
+ * @ref steam_gameserver_begin_auth_session
+ * @ref steam_gameserver_end_auth_session
+ * @ref steam_gameserver_update_user_data
+ * @section_end
+ * 
+ * @section_func Stats
+ * @desc These functions are provided for reading and changing the stats and achievements of clients:
+ * @ref steam_gameserver_request_user_stats
+ * @ref steam_gameserver_get_user_stat_int
+ * @ref steam_gameserver_get_user_stat_float
+ * @ref steam_gameserver_set_user_stat_int
+ * @ref steam_gameserver_set_user_stat_float
+ * @ref steam_gameserver_get_user_achievement
+ * @ref steam_gameserver_set_user_achievement
+ * @ref steam_gameserver_clear_user_achievement
+ * @ref steam_gameserver_store_user_stats
+ * @section_end
+ * 
+ * @section_const Constants
+ * @desc These are the constants used by this API:
+ * @ref GameServerMode
+ * @section_end
+ * 
+ * @module_end
+ */
@@ -233,6 +233,123 @@
  * @func_end
  */
 
+/**
+ * @func steam_user_begin_auth_session
+ * @desc This function starts validating an authentication ticket that another user created with ${function.steam_user_get_auth_session_ticket} and sent to you, for example when a player joins a game hosted by you. It lets the host check that the joining user is who they claim to be and that they own the game.
+ * 
+ * The function returns `0` if the ticket was accepted for validation, or another [EBeginAuthSessionResult](https://partner.steamgames.com/doc/api/steam_api#EBeginAuthSessionResult) code if it's invalid. It returns `-1` if the Steam API isn't initialised or the buffer doesn't exist, as the ticket wasn't checked at all in that case. The result of the validation is reported in a `"validate_auth_ticket_response"` event. Call ${function.steam_user_end_auth_session} when the user leaves.
+ * 
+ * [[NOTE: Dedicated servers should use ${function.steam_gameserver_begin_auth_session} instead.]]
+ * 
+ * @param {type.buffer} ticket_buffer The buffer containing the ticket
+ * @param {int64} steam_id The Steam ID of the user that sent the ticket
+ * 
+ * @returns {real}
+ * 
+ * @event steam
+ * @desc This event is triggered when the ticket has been validated, and again if the user's session becomes invalid later on (e.g. they cancelled their ticket or were VAC banned).
+ * @member {string} event_type The string value `"validate_auth_ticket_response"`
+ * @member {int64} user_id The Steam ID of the user that sent the ticket
+ * @member {int64} owner_id The Steam ID of the user that owns the game (differs from `user_id` when the game is borrowed through Steam Family Sharing)
+ * @member {real} response `0` if the ticket is valid, or an [EAuthSessionResponse](https://partner.steamgames.com/doc/api/steam_api#EAuthSessionResponse) code
+ * @member {boolean} success Whether `response` is `0`
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * /// @desc Async - Steam
+ * if (async_load[? "event_type"] == "validate_auth_ticket_response") {
+ *     if (!async_load[? "success"]) {
+ *         // the ticket is invalid, remove the user from the game
+ *         steam_user_end_auth_session(async_load[? "user_id"]);
+ *         kick_player(async_load[? "user_id"]);
+ *     }
+ * }
+ * ```
+ * The above code checks the result of validating a ticket (which was passed to `steam_user_begin_auth_session` after receiving it from the joining user) and kicks the user using a custom function if it's invalid.
+ * @func_end
+ */
+
+/**
+ * @func steam_user_end_auth_session
+ * @desc This function ends an auth session started with ${function.steam_user_begin_auth_session}. Call this when the user leaves your game. The function returns whether the Steam API is initialised.
+ * 
+ * @param {int64} steam_id The Steam ID of the user
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_user_end_auth_session(player_steam_id);
+ * ```
+ * The above code ends the auth session of a user that left the game.
+ * @func_end
+ */
+
+/**
+ * @func steam_user_request_encrypted_app_ticket
+ * @desc This function requests an encrypted app ticket for the current user from Steam. Unlike the tickets created by ${function.steam_user_get_auth_ticket_for_web_api}, encrypted app tickets can be checked offline: your backend server decrypts them with the encrypted app ticket key of your game (found on the SDK Auth page of the Steamworks settings) and the `sdkencryptedappticket` library from the Steamworks SDK, without calling the Steam Web API. The ticket contains the Steam ID of the user, the App ID and whether the user owns the game. The function returns whether or not the request was sent (`false` if the Steam API isn't initialised).
+ * 
+ * Once the `"encrypted_app_ticket_response"` event is triggered, the ticket can be copied into a buffer with ${function.steam_user_get_encrypted_app_ticket}.
+ * 
+ * [[NOTE: Only one ticket can be requested at a time, and Steam limits how often tickets can be requested (`result` is `k_EResultLimitExceeded` when requesting too often).]]
+ * 
+ * @param {type.buffer} [data_buffer] OPTIONAL A buffer with up to 128 bytes of data to include in the ticket (e.g. a nonce from your backend)
+ * 
+ * @returns {boolean}
+ * 
+ * @event steam
+ * @member {string} event_type The string value `"encrypted_app_ticket_response"`
+ * @member {real} result The Steam [EResult](https://partner.steamgames.com/doc/api/steam_api#EResult) code
+ * @member {boolean} success Whether `result` is equal to the value `k_EResultOK`
+ * @member {real} ticket_size The size of the ticket in bytes (`0` if the request failed)
+ * @event_end
+ * 
+ * @event steam
+ * @desc This legacy event is only triggered when the request succeeded, right before the `"encrypted_app_ticket_response"` event. It's kept for compatibility with existing games; new code should use the `"encrypted_app_ticket_response"` event and ${function.steam_user_get_encrypted_app_ticket} instead.
+ * @member {string} event_type The string value `"user_encrypted_app_ticket_response_received"`
+ * @member {real} result The Steam [EResult](https://partner.steamgames.com/doc/api/steam_api#EResult) code (always `k_EResultOK`)
+ * @member {boolean} success Always `true`
+ * @member {string} ticket_data The ticket, encoded as a base64 string
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * /// @desc Create
+ * steam_user_request_encrypted_app_ticket();
+ * /// @desc Async - Steam
+ * if (async_load[? "event_type"] == "encrypted_app_ticket_response" && async_load[? "success"]) {
+ *     var _buffer = buffer_create(async_load[? "ticket_size"], buffer_fixed, 1);
+ *     steam_user_get_encrypted_app_ticket(_buffer);
+ *     // send the ticket to your backend, e.g. base64-encoded using buffer_base64_encode
+ *     buffer_delete(_buffer);
+ * }
+ * ```
+ * The above code requests an encrypted app ticket and copies it into a buffer when it's ready.
+ * @func_end
+ */
+
+/**
+ * @func steam_user_get_encrypted_app_ticket
+ * @desc This function copies the last encrypted app ticket requested with ${function.steam_user_request_encrypted_app_ticket} into a buffer, starting at offset 0. A buffer of type `buffer_grow` is resized if it's too small. The function returns the size of the ticket in bytes, or `0` if no ticket is available.
+ * 
+ * @param {type.buffer} buffer The buffer to copy the ticket into
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * var _buffer = buffer_create(1024, buffer_grow, 1);
+ * var _size = steam_user_get_encrypted_app_ticket(_buffer);
+ * if (_size > 0) {
+ *     ticket_string = buffer_base64_encode(_buffer, 0, _size);
+ * }
+ * buffer_delete(_buffer);
+ * ```
+ * The above code copies the encrypted app ticket into a buffer and encodes it as a base64 string.
+ * @func_end
+ */
+
 /**
  * @func steam_current_game_language
  * @desc This function retrieves the current language that Steam is using (as a string), for example "english".
@@ -311,6 +428,10 @@
  * @ref steam_user_get_auth_ticket_for_web_api
  * @ref steam_user_get_auth_session_ticket
  * @ref steam_user_cancel_auth_ticket
+ * @ref steam_user_begin_auth_session
+ * @ref steam_user_end_auth_session
+ * @ref steam_user_request_encrypted_app_ticket
+ * @ref steam_user_get_encrypted_app_ticket
  * @ref steam_current_game_language
  * @ref steam_available_languages
  * @ref steam_is_subscribed
@@ -5,6 +5,8 @@
  * @desc This function displays an invitation overlay if currently in a lobby.
  * The invitation overlay is much akin to the friends-list overlay, but only shows online friends, and shows an "invite" button on each row.
  * 
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
  * @returns {boolean}
  * 
  * @event steam (when an invitation is accepted)
@@ -28,6 +30,7 @@
  * 
  * @param {constant.LobbyType} type A constant that indicates the status of the lobby
  * @param {real} max_members Indicates the maximum allowed number of users in the lobby (including the lobby's creator)
+ * @param {boolean} [leave_current] Whether to leave the current lobby first (default `true`). Pass `false` to stay in it and be in several lobbies at once.
  * 
  * @returns {boolean}
  * 
@@ -135,6 +138,7 @@
  * @desc This function returns a lobby field value, as set by ${function.steam_lobby_set_data}.
  * 
  * @param {string} key String representation of the data
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
  * 
  * @returns {string}
  * 
@@ -146,9 +150,88 @@
  * @func_end
  */
 
+/**
+ * @func steam_lobby_get_data_by_index
+ * @desc This function returns the data field of the current lobby at the given index as a ${struct.LobbyDataEntry}, or `undefined` if there is no field at that index. Together with ${function.steam_lobby_get_data_count} this allows listing all data fields of the lobby, without knowing their keys.
+ * 
+ * @param {real} index The index of the data field, from 0 to ${function.steam_lobby_get_data_count} - 1
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {struct.LobbyDataEntry|undefined}
+ * 
+ * @example
+ * ```gml
+ * for (var i = 0; i < steam_lobby_get_data_count(); i++)
+ * {
+ *     var _entry = steam_lobby_get_data_by_index(i);
+ *     show_debug_message(_entry.key + " = " + _entry.value);
+ * }
+ * ```
+ * The code above logs all data fields of the current lobby.
+ * @func_end
+ */
+
+/**
+ * @func steam_lobby_get_data_count
+ * @desc This function returns the number of data fields of the current lobby (see ${function.steam_lobby_get_data_by_index}). The ban list used by ${function.steam_lobby_kick_user} isn't counted.
+ * 
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * var _count = steam_lobby_get_data_count();
+ * ```
+ * The code above gets the number of data fields of the current lobby.
+ * @func_end
+ */
+
+/**
+ * @func steam_lobby_get_game_server
+ * @desc This function returns the game server associated with the current lobby (see ${function.steam_lobby_set_game_server}) as a ${struct.LobbyGameServer}, or `undefined` if no game server has been set (or you are not in a lobby).
+ * 
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {struct.LobbyGameServer|undefined}
+ * 
+ * @example
+ * ```gml
+ * var _server = steam_lobby_get_game_server();
+ * if (_server != undefined)
+ * {
+ *     connect_to_server(_server.ip, _server.port);
+ * }
+ * ```
+ * The code above checks if the current lobby has a game server and, if so, calls a custom function to connect to it. This is useful for players that join a lobby after the game server was set.
+ * @func_end
+ */
+
+/**
+ * @func steam_lobby_get_joined_lobbies
+ * @desc This function returns an array with the Steam IDs of all lobbies the local user is in, in the order they were joined.
+ * 
+ * Normally you are in at most one lobby, but you can stay in the current lobby while creating or joining another one by passing `false` for the `leave_current` argument of ${function.steam_lobby_create} or ${function.steam_lobby_list_join}, or by calling ${function.steam_lobby_join_id}. The most recently created or joined lobby becomes the current lobby, which is used by the lobby functions when they aren't given a `lobby_id` (see ${function.steam_lobby_set_current}).
+ * 
+ * [[NOTE: The loopback transport (see ${function.steam_loopback_start}) can only be in one lobby at a time, creating or joining a second lobby fails while it's active.]]
+ * 
+ * @returns {array[int64]}
+ * 
+ * @example
+ * ```gml
+ * var _lobbies = steam_lobby_get_joined_lobbies();
+ * for (var i = 0; i < array_length(_lobbies); i++)
+ * {
+ *     show_debug_message(string(_lobbies[i]) + ": " + string(steam_lobby_get_member_count(_lobbies[i])) + " members");
+ * }
+ * ```
+ * The code above lists all joined lobbies along with their number of members.
+ * @func_end
+ */
+
 /**
  * @func steam_lobby_get_lobby_id
- * @desc This function returns the Steam ID of the current lobby.
+ * @desc This function returns the Steam ID of the current lobby (see ${function.steam_lobby_set_current}).
  * 
  * @returns {int64}
  * 
@@ -165,6 +248,8 @@
  * @desc This function returns the number of users in the current lobby (including you).
  * If the lobby is not valid, it returns 0.
  * 
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
  * @returns {real}
  * 
  * @example
@@ -179,11 +264,51 @@
  * @func_end
  */
 
+/**
+ * @func steam_lobby_get_member_data
+ * @desc This function returns a field value of the given member of the current lobby, as set by that member using ${function.steam_lobby_set_member_data}. It returns an empty string if the field is not set.
+ * 
+ * @param {int64} user_id The Steam ID of the lobby member
+ * @param {string} key The key to get the data for
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {string}
+ * 
+ * @example
+ * ```gml
+ * for (var i = 0; i < steam_lobby_get_member_count(); i++)
+ * {
+ *     var _user_id = steam_lobby_get_member_id(i);
+ *     var _ready = steam_lobby_get_member_data(_user_id, "ready") == "1";
+ *     draw_text(10, 10 + i * 20, steam_get_user_persona_name_sync(_user_id) + (_ready ? " (ready)" : ""));
+ * }
+ * ```
+ * The code above draws the names of the lobby members, marking those that are ready.
+ * @func_end
+ */
+
+/**
+ * @func steam_lobby_get_member_limit
+ * @desc This function returns the maximum number of members of the current lobby, as set in ${function.steam_lobby_create} or ${function.steam_lobby_set_member_limit}, or 0 if you are not in a lobby.
+ * 
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * var _free_slots = steam_lobby_get_member_limit() - steam_lobby_get_member_count();
+ * ```
+ * The code above gets the number of free slots in the current lobby.
+ * @func_end
+ */
+
 /**
  * @func steam_lobby_get_member_id
  * @desc This function returns the user ID of the member at the given index in the current lobby.
  * 
  * @param {real} index Position of the member of the lobby to return
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
  * 
  * @returns {int64}
  * 
@@ -203,6 +328,8 @@
  * @func steam_lobby_get_owner_id
  * @desc This function returns the lobby owner's Steam ID. If the lobby is not valid, returns ID 0.
  * 
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
  * @returns {int64}
  * 
  * @example
@@ -213,12 +340,49 @@
  * @func_end
  */
 
+/**
+ * @func steam_lobby_invite_user
+ * @desc This function invites the given user to the current lobby, without opening the Steam overlay (unlike ${function.steam_lobby_activate_invite_overlay}). The function returns whether or not the invite was sent.
+ * 
+ * The invited user receives a `"lobby_invite"` ${event.steam} if they are running the game, and can accept the invite by joining the lobby with ${function.steam_lobby_join_id}. If they are not in the game, Steam shows the invite in their friends chat instead.
+ * 
+ * @param {int64} user_id The Steam ID of the user to invite
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {boolean}
+ * 
+ * @event steam
+ * @desc This event is triggered for the invited user when they receive the invite.
+ * @member {string} event_type The string value `"lobby_invite"`
+ * @member {int64} user_id The Steam ID of the user that sent the invite
+ * @member {int64} lobby_id The Steam ID of the lobby the user was invited to
+ * @member {int64} game_id The game ID of the lobby
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * steam_lobby_invite_user(friend_id);
+ * ```
+ * The code above invites a friend (e.g. selected in an in-game friends list) to the current lobby. The invited user can then show the invite in the ${event.steam}:
+ * ```gml
+ * if (async_load[? "event_type"] == "lobby_invite")
+ * {
+ *     var _name = steam_get_user_persona_name_sync(async_load[? "user_id"]);
+ *     array_push(invites, { name: _name, lobby_id: async_load[? "lobby_id"] });
+ * }
+ * ```
+ * The code above adds the invite to a list of pending invites, so it can be shown in the game's UI (and accepted with ${function.steam_lobby_join_id}).
+ * @func_end
+ */
+
 /**
  * @func steam_lobby_is_owner
  * @desc This function returns whether the local player is the lobby's owner.
  * 
  * [[NOTE: If the lobby is not valid, this function returns `false`.]]
  * 
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
  * @returns {boolean}
  * 
  * @example
@@ -248,6 +412,7 @@
  * @member {int64} lobby_id The lobby unique identifier
  * @member {boolean} success Whether or not the task was successful
  * @member {real} result The code of the result
+ * @member {real} response The [EChatRoomEnterResponse](https://partner.steamgames.com/doc/api/steam_api#EChatRoomEnterResponse) code (`1` if the lobby was joined; e.g. `4` if it's full or `3` if the user isn't allowed in)
  * @event_end
  * 
  * @event steam
@@ -278,12 +443,56 @@
  * @func_end
  */
 
+/**
+ * @func steam_lobby_kick_user
+ * @desc This function makes the given member leave the current lobby. You must be the lobby owner to do this. The function returns whether or not the kick was sent.
+ * 
+ * The kick is sent to the member as a special lobby chat message (that doesn't trigger a `"lobby_chat_message"` event); the kicked member gets a `"lobby_kicked"` ${event.steam} and leaves the lobby automatically.
+ * 
+ * If `ban` is `true`, the user is also added to the lobby's ban list, so they will leave again right after trying to join the lobby later (also triggering a `"lobby_kicked"` event). Users can be banned before they join the lobby, and unbanned using ${function.steam_lobby_unban_user}.
+ * 
+ * [[NOTE: The ban list is stored in the lobby data under the `"__gm_banned"` key. This key is skipped by ${function.steam_lobby_get_data_count}, ${function.steam_lobby_get_data_by_index} and the `steam_lobby_list_get_data_*` functions, but it can still be read with ${function.steam_lobby_get_data}, so don't use it for your own data.]]
+ * 
+ * [[WARNING: Kicks and bans are cooperative and enforced by the clients, not by Steam: Steam doesn't provide a way to remove members from a lobby, so this relies on the kicked or banned user's game leaving on its own. A modified client could ignore the kick or the ban.]]
+ * 
+ * @param {int64} user_id The Steam ID of the member to kick
+ * @param {boolean} [ban] Whether to also ban the user from joining the lobby again (default `false`)
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {boolean}
+ * 
+ * @event steam
+ * @desc This event is triggered for the kicked member, after they left the lobby.
+ * @member {string} event_type The string value `"lobby_kicked"`
+ * @member {int64} lobby_id The Steam ID of the lobby
+ * @member {int64} user_id The Steam ID of the lobby owner that kicked the member
+ * @member {boolean} banned Whether the member was also banned from the lobby
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * steam_lobby_kick_user(player_id, true);
+ * ```
+ * The code above kicks a player from the current lobby and bans them. The kicked player can then react to it in the ${event.steam}:
+ * ```gml
+ * if (async_load[? "event_type"] == "lobby_kicked")
+ * {
+ *     show_message_async(async_load[? "banned"] ? "You were banned from the lobby" : "You were kicked from the lobby");
+ *     room_goto(rm_menu);
+ * }
+ * ```
+ * The code above shows a message and returns to the menu when the local user is kicked.
+ * @func_end
+ */
+
 /**
  * @func steam_lobby_leave
  * @desc This function leaves the current lobby (if any). It does not raise any errors if currently not in a lobby.
  * 
  * [[NOTE: If you are the lobby owner and leave the lobby, Steam transfers the lobby ownership to any other available user, so you may need to manually handle ownership transfer using ${function.steam_lobby_set_owner_id} before leaving.]]
  * 
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
  * @event steam
  * @desc This event is triggered when someone enters or leaves a lobby.
  * @member {string} event_type The string value `"lobby_chat_update"`
@@ -306,13 +515,19 @@
  * @desc This function broadcasts a chat text message to all the users in the lobby.
  * 
  * @param {string} text The string to be sent (up to 4000 characters)
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
  * 
  * @returns {boolean}
  * 
  * @event steam
  * @member {string} event_type The string value `"lobby_chat_message"`
+ * @member {int64} lobby_id The Steam ID of the lobby
  * @member {string} user_id The sender unique identifier
+ * @member {string} user_name The persona name of the sender
+ * @member {constant.LobbyChatEntryType} entry_type The type of message received
  * @member {real} message_index The message unique identifier
+ * @member {real} message_size The size of the message, in bytes
+ * @member {real} timestamp The time the message was received at, as a Unix timestamp (in seconds)
  * @event_end
  * 
  * @example
@@ -328,13 +543,13 @@
  *     var _user_id = async_load[? "user_id"];
  *     var _msg_id = async_load[? "message_index"];
  * 
- *     var _user_name = steam_get_user_persona_name_sync(_user_id);
+ *     var _user_name = async_load[? "user_name"];
  *     var _message = steam_lobby_get_chat_message_text(_msg_id);
  * 
  *     // Do something with the data
  * }
  * ```
- * In the example we are simply caching the data into variables. Notice that use use the functions ${function.steam_get_user_persona_name_sync} and ${function.steam_lobby_get_chat_message_text} to get both the user name and the text inside the message, respectively.
+ * In the example we are simply caching the data into variables. Notice that we use the function ${function.steam_lobby_get_chat_message_text} to get the text inside the message.
  * @func_end
  */
 
@@ -344,15 +559,19 @@
  * 
  * @param {type.buffer} buffer The buffer to be sent (up to 4 Kilobytes in size)
  * @param {real} size The number of bytes to be sent (there is no offset).
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
  * 
  * @returns {boolean}
  * 
  * @event steam
  * @member {string} event_type The string value `"lobby_chat_message"`
+ * @member {int64} lobby_id The Steam ID of the lobby
  * @member {string} user_id The sender unique identifier
- * @member {real} entry_type The type of message received.
+ * @member {string} user_name The persona name of the sender
+ * @member {constant.LobbyChatEntryType} entry_type The type of message received
  * @member {real} message_index The message unique identifier
  * @member {real} message_size The size of the message being broadcasted
+ * @member {real} timestamp The time the message was received at, as a Unix timestamp (in seconds)
  * @event_end
  * 
  * @example
@@ -380,6 +599,59 @@
  * @func_end
  */
 
+/**
+ * @func steam_lobby_send_chat_typing
+ * @desc This function notifies all the users in the lobby that the local user is typing a message. The function returns whether or not the notification was sent.
+ * 
+ * The notification triggers a `"lobby_chat_message"` ${event.steam} (see ${function.steam_lobby_send_chat_message}) for all lobby members (including the sender), with `entry_type` set to `steam_lobby_chat_entry_type_typing` and an empty message.
+ * 
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * if (keyboard_string != last_keyboard_string && current_time > typing_sent_time + 2000)
+ * {
+ *     steam_lobby_send_chat_typing();
+ *     typing_sent_time = current_time;
+ * }
+ * last_keyboard_string = keyboard_string;
+ * ```
+ * The code above sends a typing notification (at most every 2 seconds) while the user is typing. The other members can show it in the ${event.steam}:
+ * ```gml
+ * if (async_load[? "event_type"] == "lobby_chat_message" && async_load[? "entry_type"] == steam_lobby_chat_entry_type_typing)
+ * {
+ *     if (async_load[? "user_id"] != steam_get_user_steam_id())
+ *     {
+ *         typing_text = async_load[? "user_name"] + " is typing...";
+ *         typing_time = current_time;
+ *     }
+ * }
+ * ```
+ * The code above shows who is typing, ignoring the notifications sent by the local user.
+ * @func_end
+ */
+
+/**
+ * @func steam_lobby_set_current
+ * @desc This function changes the current lobby, which is used by the lobby functions when they aren't given a `lobby_id`. The lobby must be one of ${function.steam_lobby_get_joined_lobbies}. The function returns whether or not the current lobby was changed.
+ * 
+ * [[NOTE: When you leave the current lobby, the most recently joined of the remaining lobbies becomes the current lobby.]]
+ * 
+ * @param {int64} lobby_id The ID of the lobby
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_lobby_set_current(party_lobby_id);
+ * steam_lobby_send_chat_message("Ready!");
+ * ```
+ * The code above makes a previously joined lobby the current one and sends a chat message to it. This is the same as calling `steam_lobby_send_chat_message("Ready!", party_lobby_id)`.
+ * @func_end
+ */
+
 /**
  * @func steam_lobby_set_data
  * @desc This function changes a lobby's field. You must be the lobby owner to do this. The function returns whether or not the data was set.
@@ -389,14 +661,69 @@
  * 
  * @param {string} key The key to set the data for
  * @param {string} value The value to set
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
  * 
  * @returns {boolean}
  * 
+ * @event steam
+ * @desc This event is triggered for all lobby members when the lobby data or the data of one of its members (see ${function.steam_lobby_set_member_data}) changes.
+ * @member {string} event_type The string value `"lobby_data_update"`
+ * @member {int64} lobby_id The Steam ID of the lobby
+ * @member {int64} member_id The Steam ID of the member whose data changed, or the lobby ID if the lobby data changed
+ * @member {boolean} is_lobby_data Whether the lobby data changed (`true`) or the data of a member (`false`)
+ * @member {boolean} success Whether the data could be retrieved
+ * @member {real} result The result of the operation (usually `1`)
+ * @event_end
+ * 
  * @example
  * ```gml
  * steam_lobby_set_data("LobbyName", "GreatLobby");
  * ```
- * The code sample will set the `"LobbyName"` lobby field to the provided value `"GreatLobby"`.
+ * The code sample will set the `"LobbyName"` lobby field to the provided value `"GreatLobby"`. The other lobby members can react to the change in the ${event.steam}:
+ * ```gml
+ * if (async_load[? "event_type"] == "lobby_data_update" && async_load[? "is_lobby_data"])
+ * {
+ *     lobby_name = steam_lobby_get_data("LobbyName");
+ * }
+ * ```
+ * The code above updates the lobby name when the lobby data changes, instead of polling ${function.steam_lobby_get_data} every step.
+ * @func_end
+ */
+
+/**
+ * @func steam_lobby_set_game_server
+ * @desc This function associates a game server with the current lobby, e.g. a dedicated server or a listen server hosted by one of the players. You must be the lobby owner to do this. The function returns whether or not the game server was set.
+ * 
+ * All lobby members (including the owner) receive a `"lobby_game_created"` ${event.steam} so they can connect to the server, and can get its details later using ${function.steam_lobby_get_game_server}.
+ * 
+ * @param {string} ip The IPv4 address of the game server (e.g. `"192.168.1.10"`), or an empty string if the server is only reachable through its Steam ID
+ * @param {real} port The port of the game server
+ * @param {int64} [server_id] The Steam ID of the game server, if it has one (default `0`)
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {boolean}
+ * 
+ * @event steam
+ * @desc This event is triggered for all lobby members when the lobby owner sets the game server.
+ * @member {string} event_type The string value `"lobby_game_created"`
+ * @member {int64} lobby_id The Steam ID of the lobby
+ * @member {int64} server_id The Steam ID of the game server, or `0` if it doesn't have one
+ * @member {string} ip The IPv4 address of the game server
+ * @member {real} port The port of the game server
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * steam_lobby_set_game_server("203.0.113.7", 27015);
+ * ```
+ * The code above tells all lobby members that the game is hosted at the given address. The members can then connect to it in the ${event.steam}:
+ * ```gml
+ * if (async_load[? "event_type"] == "lobby_game_created")
+ * {
+ *     connect_to_server(async_load[? "ip"], async_load[? "port"]);
+ * }
+ * ```
+ * The code above calls a custom function to connect to the game server when it's set.
  * @func_end
  */
 
@@ -409,6 +736,7 @@
  * [[NOTE: Lobbies with joining disabled will not be returned from a lobby search.]]
  * 
  * @param {boolean} joinable Allow ( **true** ) or prevent ( **false** ) users from joining this lobby
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
  * 
  * @returns {boolean}
  * 
@@ -420,6 +748,56 @@
  * @func_end
  */
 
+/**
+ * @func steam_lobby_set_member_data
+ * @desc This function changes a field of the local user's data in the current lobby. Unlike ${function.steam_lobby_set_data}, any member can do this, each for their own data. The function returns whether or not the data was set.
+ * The data can then be read by all lobby members using ${function.steam_lobby_get_member_data}.
+ * 
+ * [[NOTE: If your value is numeric, convert it to string prior to passing it to the function.]]
+ * 
+ * @param {string} key The key to set the data for
+ * @param {string} value The value to set
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_lobby_set_member_data("ready", "1");
+ * steam_lobby_set_member_data("team", string(team));
+ * ```
+ * The code above marks the local user as ready and publishes their team to the other lobby members.
+ * The other lobby members are notified of the change through the `"lobby_data_update"` async event (see ${function.steam_lobby_set_data}):
+ * ```gml
+ * if (async_load[? "event_type"] == "lobby_data_update" && !async_load[? "is_lobby_data"])
+ * {
+ *     var _user_id = async_load[? "member_id"];
+ *     player_set_team(_user_id, real(steam_lobby_get_member_data(_user_id, "team")));
+ * }
+ * ```
+ * The code above uses a custom function to update the team of a player when their member data changes.
+ * @func_end
+ */
+
+/**
+ * @func steam_lobby_set_member_limit
+ * @desc This function changes the maximum number of members of the current lobby, which is initially set in ${function.steam_lobby_create}. You must be the lobby owner to do this. The function returns whether or not the limit was changed.
+ * 
+ * [[NOTE: Lowering the limit below the current number of members doesn't remove any members, it only prevents new ones from joining.]]
+ * 
+ * @param {real} max_members The new maximum number of members
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_lobby_set_member_limit(8);
+ * ```
+ * The code above changes the size of the current lobby to 8 members.
+ * @func_end
+ */
+
 /**
  * @func steam_lobby_set_owner_id
  * @desc If you are a lobby owner, this function transfers the lobby ownership to the specified player, which must be in this same lobby. Returns whether or not the property was set.
@@ -427,6 +805,7 @@
  * [[NOTE: You need to be the lobby owner in order to use the function.]]
  * 
  * @param {boolean} user_id The user to set as owner of the lobby
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
  * 
  * @returns {boolean}
  * 
@@ -453,6 +832,7 @@
  * [[NOTE: You need to be the lobby owner in order to use the function.]]
  * 
  * @param {constant.LobbyType} type The lobby visibility
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
  * 
  * @example
  * ```gml
@@ -462,6 +842,40 @@
  * @func_end
  */
 
+/**
+ * @func steam_lobby_unban_user
+ * @desc This function removes the given user from the ban list of the current lobby (see ${function.steam_lobby_kick_user}), allowing them to join it again. You must be the lobby owner to do this. The function returns whether or not the ban list was updated.
+ * 
+ * @param {int64} user_id The Steam ID of the user to unban
+ * @param {int64} [lobby_id] The ID of the lobby, one of ${function.steam_lobby_get_joined_lobbies} (default: the current lobby)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_lobby_unban_user(player_id);
+ * ```
+ * The code above allows a previously banned player to join the current lobby again.
+ * @func_end
+ */
+
+/**
+ * @func steam_lobby_list_add_compatible_members_filter
+ * @desc This function restricts the results of the next lobby list request to lobbies with members that are compatible with the members of the given lobby, i.e. that have played the game together before. This is useful for finding a lobby to move a whole group of players into.
+ * 
+ * @param {int64} lobby_id The Steam ID of the lobby whose members to match (usually ${function.steam_lobby_get_lobby_id})
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_lobby_list_add_compatible_members_filter(steam_lobby_get_lobby_id());
+ * steam_lobby_list_request();
+ * ```
+ * The code above requests lobbies that are compatible with the members of the current lobby.
+ * @func_end
+ */
+
 /**
  * @func steam_lobby_list_add_distance_filter
  * @desc This function restricts results by region and sorts them based on geographical proximity.
@@ -529,6 +943,43 @@
  * @func_end
  */
 
+/**
+ * @func steam_lobby_list_add_result_count_filter
+ * @desc This function sets the maximum number of lobbies returned by the next lobby list request. Without this filter, Steam returns up to 50 lobbies.
+ * 
+ * [[NOTE: Lower values return results faster, so only request as many lobbies as you need.]]
+ * 
+ * @param {real} max_results The maximum number of lobbies to return
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_lobby_list_add_slots_available_filter(2);
+ * steam_lobby_list_add_result_count_filter(20);
+ * steam_lobby_list_request();
+ * ```
+ * The code above requests at most 20 lobbies that have at least 2 free slots.
+ * @func_end
+ */
+
+/**
+ * @func steam_lobby_list_add_slots_available_filter
+ * @desc This function restricts the results of the next lobby list request to lobbies that have at least the given number of open slots, e.g. so a group of players can join together.
+ * 
+ * @param {real} slots The minimum number of open slots
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_lobby_list_add_slots_available_filter(party_size);
+ * steam_lobby_list_request();
+ * ```
+ * The code above requests lobbies that have room for the whole party.
+ * @func_end
+ */
+
 /**
  * @func steam_lobby_list_add_string_filter
  * @desc This function sets up a string filter for the next lobby list request. That is, lobbies not matching the condition will be excluded from results.
@@ -598,6 +1049,44 @@
  * @func_end
  */
 
+/**
+ * @func steam_lobby_list_get_data_by_index
+ * @desc This function returns the data field at the given index of the lobby at the given index in the lobby list as a ${struct.LobbyDataEntry}, or `undefined` if there is no such field. Together with ${function.steam_lobby_list_get_data_count} this allows listing all data fields of a lobby, without knowing their keys.
+ * 
+ * @param {real} lobby_index The index of the lobby in the list
+ * @param {real} index The index of the data field, from 0 to ${function.steam_lobby_list_get_data_count} - 1
+ * 
+ * @returns {struct.LobbyDataEntry|undefined}
+ * 
+ * @example
+ * ```gml
+ * var _text = "";
+ * for (var i = 0; i < steam_lobby_list_get_data_count(lobby_index); i++)
+ * {
+ *     var _entry = steam_lobby_list_get_data_by_index(lobby_index, i);
+ *     _text += _entry.key + ": " + _entry.value + "\n";
+ * }
+ * ```
+ * The code above builds a text with all data fields of a lobby in the list, e.g. to show them in a server browser.
+ * @func_end
+ */
+
+/**
+ * @func steam_lobby_list_get_data_count
+ * @desc This function returns the number of data fields of the lobby at the given index in the lobby list (see ${function.steam_lobby_list_get_data_by_index}). The ban list used by ${function.steam_lobby_kick_user} isn't counted.
+ * 
+ * @param {real} lobby_index The index of the lobby in the list
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * var _count = steam_lobby_list_get_data_count(0);
+ * ```
+ * The code above gets the number of data fields of the first lobby in the list.
+ * @func_end
+ */
+
 /**
  * @func steam_lobby_list_get_lobby_id
  * @desc This function gets the lobby ID associated with the index.
@@ -707,12 +1196,14 @@
  * @desc Starts joining a lobby with the given ID.
  * 
  * @param {real} index Position of the lobby in the list
+ * @param {boolean} [leave_current] Whether to leave the current lobby first (default `true`). Pass `false` to stay in it and be in several lobbies at once.
  * 
  * @event steam
  * @member {string} event_type The string value `"lobby_joined"`
  * @member {int64} lobby_id The lobby unique identifier
  * @member {boolean} success Whether or not the task was successful
  * @member {real} result The code of the result
+ * @member {real} response The [EChatRoomEnterResponse](https://partner.steamgames.com/doc/api/steam_api#EChatRoomEnterResponse) code (`1` if the lobby was joined; e.g. `4` if it's full or `3` if the user isn't allowed in)
  * @event_end
  * 
  * @example
@@ -770,6 +1261,14 @@
  * @func_end
  */
 
+/**
+ * @const LobbyChatEntryType
+ * @desc These constants specify the type of a message received in a `"lobby_chat_message"` event (see ${function.steam_lobby_send_chat_message}). Steam only sends regular chat messages through lobby chat, so these are the only types that can arrive.
+ * @member steam_lobby_chat_entry_type_chat_message A regular chat message (text or binary data)
+ * @member steam_lobby_chat_entry_type_typing The sender is typing a message (see ${function.steam_lobby_send_chat_typing})
+ * @const_end
+ */
+
 /**
  * @const LobbyFilterComparisonType
  * @desc These constants specify the comparison type when applying a filter to a lobby list request.
@@ -801,6 +1300,25 @@
  * @const_end
  */
 
+// STRUCTS
+
+/**
+ * @struct LobbyDataEntry
+ * @desc This struct holds a single data field of a lobby.
+ * @member {string} key The key of the field
+ * @member {string} value The value of the field
+ * @struct_end
+ */
+
+/**
+ * @struct LobbyGameServer
+ * @desc This struct holds the game server associated with a lobby (see ${function.steam_lobby_set_game_server}).
+ * @member {string} ip The IPv4 address of the game server
+ * @member {real} port The port of the game server
+ * @member {int64} server_id The Steam ID of the game server, or `0` if it doesn't have one
+ * @struct_end
+ */
+
 // MODULES
 
 /**
@@ -813,34 +1331,53 @@
  * @ref steam_lobby_activate_invite_overlay
  * @ref steam_lobby_create
  * @ref steam_lobby_get_data
+ * @ref steam_lobby_get_data_count
+ * @ref steam_lobby_get_data_by_index
+ * @ref steam_lobby_get_game_server
+ * @ref steam_lobby_get_joined_lobbies
  * @ref steam_lobby_get_lobby_id
  * @ref steam_lobby_get_member_count
+ * @ref steam_lobby_get_member_data
+ * @ref steam_lobby_get_member_limit
  * @ref steam_lobby_get_member_id
  * @ref steam_lobby_get_owner_id
+ * @ref steam_lobby_invite_user
  * @ref steam_lobby_is_owner
  * @ref steam_lobby_join_id
+ * @ref steam_lobby_kick_user
  * @ref steam_lobby_leave
+ * @ref steam_lobby_set_current
  * @ref steam_lobby_set_data
+ * @ref steam_lobby_set_game_server
  * @ref steam_lobby_set_joinable
+ * @ref steam_lobby_set_member_data
+ * @ref steam_lobby_set_member_limit
  * @ref steam_lobby_set_owner_id
  * @ref steam_lobby_set_type
+ * @ref steam_lobby_unban_user
  * @ref steam_lobby_send_chat_message-copy
  * @ref steam_lobby_get_chat_message_size
  * @ref steam_lobby_get_chat_message_text
  * @ref steam_lobby_get_chat_message_data
  * @ref steam_lobby_send_chat_message
  * @ref steam_lobby_send_chat_message_buffer
+ * @ref steam_lobby_send_chat_typing
  * @section_end
  * 
  * @section_func Matchmaking
  * @desc The following functions allow retrieving and handling lists of public lobbies:
+ * @ref steam_lobby_list_add_compatible_members_filter
  * @ref steam_lobby_list_add_distance_filter
  * @ref steam_lobby_list_add_near_filter
  * @ref steam_lobby_list_add_numerical_filter
+ * @ref steam_lobby_list_add_result_count_filter
+ * @ref steam_lobby_list_add_slots_available_filter
  * @ref steam_lobby_list_add_string_filter
  * @ref steam_lobby_list_request
  * @ref steam_lobby_list_get_count
  * @ref steam_lobby_list_get_data
+ * @ref steam_lobby_list_get_data_count
+ * @ref steam_lobby_list_get_data_by_index
  * @ref steam_lobby_list_get_lobby_id
  * @ref steam_lobby_list_get_lobby_member_count
  * @ref steam_lobby_list_get_lobby_member_id
@@ -851,10 +1388,19 @@
  * 
  * @section_const Constants
  * @desc These are the constants used by this API:
+ * @ref LobbyChatEntryType
  * @ref LobbyFilterComparisonType
  * @ref LobbyFilterDistanceMode
  * @ref LobbyType)
  * @section_end
  * 
+ * @section_struct Structs
+ * @desc These are the structs used by this API:
+ * 
+ * @ref LobbyDataEntry
+ * @ref LobbyGameServer
+ * 
+ * @section_end
+ * 
  * @module_end
  */
@@ -6,6 +6,8 @@
  * 
  * [[NOTE: This function is already configured to be called at Game Start by the extension, and should not be called from your game code.]]
  * 
+ * [[NOTE: Dedicated servers that run without the Steam client should use ${function.steam_gameserver_init} instead.]]
+ * 
  * @example
  * ```gml
  * steam_init();
@@ -89,17 +89,57 @@
  * @func_end
  */
 
+/**
+ * @func steam_net_packet_receive_all
+ * @desc This function receives all pending packets in a single call and writes them one after the other to the start of the given buffer. It returns the number of packets that were received.
+ * Each packet is written with a header, followed by its data:
+ * 
+ * * `buffer_u64` - the Steam ID of the sender
+ * * `buffer_u32` - the size of the packet data in bytes
+ * * `buffer_u32` - the channel the packet was received on
+ * 
+ * This is much faster than calling ${function.steam_net_packet_receive}, ${function.steam_net_packet_get_sender_id}, ${function.steam_net_packet_get_size} and ${function.steam_net_packet_get_data} for every packet when many packets arrive each step.
+ * 
+ * [[NOTE: If the buffer is not big enough to fit data, it will be resized automatically (the buffer needs to be created using the `buffer_grow` type).]]
+ * 
+ * @param {type.buffer} buffer The buffer to write the incoming packets to
+ * @param {real} [channel_count] The number of channels to receive from, starting at channel 0 (default 1, only the default channel)
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * var _count = steam_net_packet_receive_all(inbuf, 2);
+ * buffer_seek(inbuf, buffer_seek_start, 0);
+ * repeat (_count)
+ * {
+ *     var _sender = buffer_read(inbuf, buffer_u64);
+ *     var _size = buffer_read(inbuf, buffer_u32);
+ *     var _channel = buffer_read(inbuf, buffer_u32);
+ *     var _next = buffer_tell(inbuf) + _size;
+ *     handle_packet(_sender, _channel, inbuf);
+ *     buffer_seek(inbuf, buffer_seek_start, _next);
+ * }
+ * ```
+ * The code above receives all pending packets on channels 0 and 1 and processes them one by one using a custom function.
+ * @func_end
+ */
+
 /**
  * @func steam_net_packet_send
- * @desc This function sends a packet to the given endpoint and returns whether successful (as opposed to incorrect arguments/invalid ID). If no packet type is passed in then the default value will be used. The default value can be set using the ${function.steam_net_packet_set_type} function. The function returns whether or not the packet was successfully sent.
+ * @desc This function sends a packet to the given endpoint and returns one of the ${constant.NetSendResult} constants. If no packet type is passed in then the default value will be used. The default value can be set using the ${function.steam_net_packet_set_type} function.
+ * 
+ * [[NOTE: Passing the packet type in each call is recommended over ${function.steam_net_packet_set_type} when several systems of your game send packets in the same step, since the default packet type is shared.]]
+ * 
+ * [[NOTE: The success result is `1` while failures are `0` or negative, so the returned value can still be checked as a boolean.]]
  * 
  * @param {int64} user_id  The target user to send the packet to
  * @param {real} buffer Buffer that contains the raw byte array for the packet data to send
  * @param {real} [size] The size of data to send (default -1, sends the entire buffer)
- * @param {constant.PacketType} [packet_type] The type of packet to be used
+ * @param {constant.PacketType} [packet_type] The type of packet to be used (an invalid type falls back to the default one)
  * @param {real} [channel] The channel which acts as a virtual port to send this packet on and allows you help route a message to different systems. Defaults to 0, the default channel.
  * 
- * @returns {boolean}
+ * @returns {constant.NetSendResult}
  * 
  * @example
  * ```gml
@@ -109,6 +149,14 @@
  * buffer_delete(_buf);
  * ```
  * The code sample will create a buffer and write to it, sending the total length of it to the given `steam_id`, the buffer is then deleted.
+ * ```gml
+ * var _result = steam_net_packet_send(steam_id, outbuf, buffer_tell(outbuf), steam_net_packet_type_unreliable);
+ * if (_result == steam_net_send_result_limit_exceeded)
+ * {
+ *     steam_net_packet_send(steam_id, outbuf, buffer_tell(outbuf), steam_net_packet_type_reliable);
+ * }
+ * ```
+ * The code above sends a packet as unreliable and falls back to reliable if it's too big for an unreliable packet.
  * @func_end
  */
 
@@ -131,11 +179,18 @@
 /**
  * @func steam_net_accept_p2p_session
  * @desc This function accepts a P2P session request from the specified user. Returns whether successful or not.
+ * Session requests are reported through the `"p2p_session_request"` async event. Requests coming from players in the same lobby are accepted automatically, unless this has been disabled using ${function.steam_net_set_auto_accept_p2p_sessions}.
  * 
  * @param {int64} userID The User ID of the user that sent the initial packet to us.
  * 
  * @returns {boolean}
  * 
+ * @event steam
+ * @desc This event is triggered when a user that we don't have a session with sends us a packet.
+ * @member {string} event_type The string value `"p2p_session_request"`
+ * @member {int64} user_id The Steam ID of the user requesting the session
+ * @event_end
+ * 
  * @example
  * ```gml
  * if (isMyFriend(userID))
@@ -169,28 +224,612 @@
 
 /**
  * @func steam_net_set_auto_accept_p2p_sessions
- * @desc This function sets whether to auto-accept session requests coming from players in the same lobby. This is enabled by default for convenience. If you disable it, you'll need to handle the async event when someone uses the ${function.steam_lobby_join_id} function.
+ * @desc This function sets whether to auto-accept session requests coming from players in the same lobby. This applies to both the `steam_net_packet_*` and the `steam_net_messages_*` functions. This is enabled by default for convenience. If you disable it, you'll need to handle the `"p2p_session_request"` async event (see ${function.steam_net_accept_p2p_session}) and accept the sessions yourself.
  * 
  * @param {boolean} enable disable/enable auto accept sessions
  * 
+ * @example
+ * ```gml
+ * steam_net_set_auto_accept_p2p_sessions(false);
+ * ```
+ * The code above will disable the auto accept P2P sessions functionality meaning we  should deal with the requests manually. In order to do so we need to use the ${event.steam} to catch the callback:
+ * 
+ * ```gml
+ * if (async_load[?"event_type"] == "p2p_session_request")
+ * {
+ *     if (!is_banned(async_load[?"user_id"]))
+ *     {
+ *         steam_net_accept_p2p_session(async_load[?"user_id"]);
+ *     }
+ * }
+ * ```
+ * @func_end
+ */
+
+/**
+ * @func steam_net_get_p2p_session_state
+ * @desc This function returns a struct describing the P2P session with the given user (see ${struct.P2PSessionState}), or `undefined` if there is no open or pending session with that user.
+ * 
+ * @param {int64} user_id The Steam ID of the remote user
+ * 
+ * @returns {struct.P2PSessionState|undefined}
+ * 
  * @event steam
- * @member {string} type The string value `"lobby_join_requested"`
- * @member {int64} lobby_id The lobby unique identifier
- * @member {int64} friend_id The friend unique identifier
+ * @desc This event is triggered when a P2P session with a user could not be established or was lost.
+ * @member {string} event_type The string value `"p2p_session_connect_fail"`
+ * @member {int64} user_id The Steam ID of the remote user
+ * @member {constant.P2PSessionError} session_error The reason the session failed
  * @event_end
  * 
  * @example
  * ```gml
- * steam_net_set_auto_accept_p2p_sessions(false);
+ * var _state = steam_net_get_p2p_session_state(user_id);
+ * if (_state != undefined && _state.connection_active)
+ * {
+ *     draw_text(10, 10, _state.using_relay ? "Relayed" : "Direct");
+ *     draw_text(10, 30, "Queued: " + string(_state.bytes_queued_for_send) + " B");
+ * }
  * ```
- * The code above will disable the auto accept P2P sessions functionality meaning we  should deal with the requests manually. In order to do so we need to use the ${event.steam} to catch the callback:
+ * The code above draws whether the session with a user is relayed and how much data is waiting to be sent. Failed sessions can be handled in the ${event.steam}:
+ * ```gml
+ * if (async_load[? "event_type"] == "p2p_session_connect_fail")
+ * {
+ *     if (async_load[? "session_error"] == steam_net_p2p_session_error_timeout)
+ *     {
+ *         show_debug_message("Lost connection to " + string(async_load[? "user_id"]));
+ *     }
+ * }
+ * ```
+ * The code above logs sessions that timed out.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_sockets_create_listen_socket_p2p
+ * @desc This function creates a listen socket that other users can connect to using ${function.steam_net_sockets_connect_p2p}, and returns its handle (or 0 if it could not be created).
+ * Incoming connections are reported through the `"net_connection_status_changed"` async event with the `state` set to `steam_net_connection_state_connecting`, you then need to accept them using ${function.steam_net_sockets_accept_connection} or reject them using ${function.steam_net_sockets_close_connection}.
+ * 
+ * [[NOTE: These functions use the newer ISteamNetworkingSockets interface and are not compatible with the `steam_net_packet_*` functions, both sides of a connection must use the same API.]]
+ * 
+ * @param {real} [virtual_port] The virtual port to listen on. Defaults to 0.
+ * 
+ * @returns {real}
+ * 
+ * @event steam
+ * @desc This event is triggered whenever the state of a connection changes.
+ * @member {string} event_type The string value `"net_connection_status_changed"`
+ * @member {real} connection The handle of the connection
+ * @member {real} listen_socket The handle of the listen socket the connection was received on, or 0 if it was created using ${function.steam_net_sockets_connect_p2p}
+ * @member {int64} remote_id The Steam ID of the remote user
+ * @member {constant.NetConnectionState} old_state The previous state of the connection
+ * @member {constant.NetConnectionState} state The new state of the connection
+ * @member {real} end_reason The reason the connection was closed (a [ESteamNetConnectionEnd](https://partner.steamgames.com/doc/api/steamnetworkingtypes#ESteamNetConnectionEnd) code or the `reason` passed to ${function.steam_net_sockets_close_connection})
+ * @member {string} end_debug A human readable explanation of the end reason
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * listen_socket = steam_net_sockets_create_listen_socket_p2p();
+ * ```
+ * The code above will start listening for incoming connections. These can then be handled in the ${event.steam}:
+ * 
+ * ```gml
+ * if (async_load[? "event_type"] == "net_connection_status_changed")
+ * {
+ *     var _connection = async_load[? "connection"];
+ *     switch (async_load[? "state"])
+ *     {
+ *         case steam_net_connection_state_connecting:
+ *             if (async_load[? "listen_socket"] == listen_socket)
+ *             {
+ *                 steam_net_sockets_accept_connection(_connection);
+ *             }
+ *             break;
+ *         case steam_net_connection_state_connected:
+ *             array_push(connections, _connection);
+ *             break;
+ *         case steam_net_connection_state_closed_by_peer:
+ *         case steam_net_connection_state_problem_detected_locally:
+ *             steam_net_sockets_close_connection(_connection);
+ *             break;
+ *     }
+ * }
+ * ```
+ * The code above accepts all the incoming connections, keeps track of the ones that were established and cleans up the ones that were closed.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_sockets_close_listen_socket
+ * @desc This function closes a listen socket created using ${function.steam_net_sockets_create_listen_socket_p2p}. Connections that were already accepted are not affected. It returns whether or not the socket handle was valid.
+ * 
+ * @param {real} listen_socket The handle of the listen socket
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_net_sockets_close_listen_socket(listen_socket);
+ * ```
+ * The code above will stop accepting new connections on the given listen socket.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_sockets_connect_p2p
+ * @desc This function starts connecting to a user that is listening using ${function.steam_net_sockets_create_listen_socket_p2p} and returns the handle of the new connection (or 0 if the connection could not be created).
+ * The progress of the connection is reported through the `"net_connection_status_changed"` async event.
+ * 
+ * @param {int64} user_id The Steam ID of the user to connect to
+ * @param {real} [virtual_port] The virtual port the remote user is listening on. Defaults to 0.
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * connection = steam_net_sockets_connect_p2p(steam_lobby_get_owner_id());
+ * ```
+ * The code above will start connecting to the owner of the current lobby.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_sockets_accept_connection
+ * @desc This function accepts an incoming connection received on a listen socket. It should be called when the `"net_connection_status_changed"` event reports a connection in the `steam_net_connection_state_connecting` state. The function returns a Steam [EResult](https://partner.steamgames.com/doc/api/steam_api#EResult) code (`1` means success).
+ * 
+ * @param {real} connection The handle of the connection
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * if (async_load[? "event_type"] == "net_connection_status_changed" && async_load[? "state"] == steam_net_connection_state_connecting)
+ * {
+ *     steam_net_sockets_accept_connection(async_load[? "connection"]);
+ * }
+ * ```
+ * The code above will accept an incoming connection inside the ${event.steam}.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_sockets_close_connection
+ * @desc This function closes a connection. If the connection was never accepted this rejects it instead. The handle must not be used after calling this function. It returns whether or not the connection handle was valid.
+ * 
+ * [[NOTE: You should also call this function after receiving a `"net_connection_status_changed"` event with the state set to `steam_net_connection_state_closed_by_peer` or `steam_net_connection_state_problem_detected_locally`, in order to free the connection.]]
+ * 
+ * @param {real} connection The handle of the connection
+ * @param {real} [reason] An application defined reason for closing, reported to the remote user as `end_reason`. Should be between 1000 and 1999, defaults to 1000.
+ * @param {string} [debug] A human readable explanation, reported to the remote user as `end_debug`.
+ * @param {boolean} [linger] If `true`, the connection will stay open until all pending reliable data has been sent. Defaults to `false`.
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_net_sockets_close_connection(connection, 1001, "Server is full");
+ * ```
+ * The code above will close (or reject) the connection using a custom reason code.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_sockets_send_message
+ * @desc This function sends a message on an established connection. The function returns a Steam [EResult](https://partner.steamgames.com/doc/api/steam_api#EResult) code (`1` means success).
+ * 
+ * @param {real} connection The handle of the connection
+ * @param {type.buffer} buffer The buffer that contains the data to send
+ * @param {real} [size] The size of data to send (default -1, sends the entire buffer)
+ * @param {constant.PacketType} [packet_type] The type of packet to be used. Defaults to `steam_net_packet_type_reliable`.
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * buffer_seek(outbuf, buffer_seek_start, 0);
+ * buffer_write(outbuf, buffer_u8, packet.position);
+ * buffer_write(outbuf, buffer_f32, x);
+ * buffer_write(outbuf, buffer_f32, y);
+ * steam_net_sockets_send_message(connection, outbuf, buffer_tell(outbuf), steam_net_packet_type_unreliable);
+ * ```
+ * The code above will send the position of the instance over the connection.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_sockets_receive_message
+ * @desc This function copies the next pending message on a connection to the start of the given buffer and returns its size in bytes, or -1 if there were no pending messages.
+ * 
+ * [[NOTE: If the buffer is not big enough to fit data, it will be resized automatically (the buffer needs to be created using the `buffer_grow` type).]]
+ * 
+ * @param {real} connection The handle of the connection
+ * @param {type.buffer} buffer The buffer to write the incoming data to
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * while (steam_net_sockets_receive_message(connection, inbuf) >= 0)
+ * {
+ *     buffer_seek(inbuf, buffer_seek_start, 0);
+ *     switch (buffer_read(inbuf, buffer_u8))
+ *     {
+ *         case packet.position:
+ *             other_x = buffer_read(inbuf, buffer_f32);
+ *             other_y = buffer_read(inbuf, buffer_f32);
+ *             break;
+ *     }
+ * }
+ * ```
+ * The code above will read all the pending messages on the connection.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_messages_send
+ * @desc This function sends a message to the given user on the given channel, without having to establish a connection first. The first message sent to a user opens a session with them in the background.
+ * The function returns a Steam [EResult](https://partner.steamgames.com/doc/api/steam_api#EResult) code (`1` means success).
+ * 
+ * [[NOTE: These functions use the newer ISteamNetworkingMessages interface and are not compatible with the `steam_net_packet_*` functions, both users must use the same API.]]
+ * 
+ * @param {int64} user_id The target user to send the message to
+ * @param {type.buffer} buffer The buffer that contains the data to send
+ * @param {real} [size] The size of data to send (default -1, sends the entire buffer)
+ * @param {constant.PacketType} [packet_type] The type of packet to be used. Defaults to `steam_net_packet_type_reliable`.
+ * @param {real} [channel] The channel to send the message on. Each channel has its own receive queue. Defaults to 0.
+ * 
+ * @returns {real}
+ * 
+ * @event steam
+ * @desc This event is triggered when the session with a user could not be established or was lost.
+ * @member {string} event_type The string value `"net_messages_session_failed"`
+ * @member {int64} user_id The Steam ID of the remote user
+ * @member {real} end_reason The reason the session failed (a [ESteamNetConnectionEnd](https://partner.steamgames.com/doc/api/steamnetworkingtypes#ESteamNetConnectionEnd) code)
+ * @member {string} end_debug A human readable explanation of the end reason
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * #macro CHANNEL_GAME 0
+ * #macro CHANNEL_CHAT 1
+ * 
+ * buffer_seek(outbuf, buffer_seek_start, 0);
+ * buffer_write(outbuf, buffer_string, chat_text);
+ * steam_net_messages_send(user_id, outbuf, buffer_tell(outbuf), steam_net_packet_type_reliable, CHANNEL_CHAT);
+ * ```
+ * The code above will send a chat message on its own channel, so it doesn't get mixed with game traffic.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_messages_receive
+ * @desc This function copies the next pending message on the given channel to the start of the given buffer and returns its size in bytes, or -1 if there were no pending messages on that channel.
+ * The sender of the message can then be retrieved using ${function.steam_net_messages_get_sender_id}.
+ * 
+ * [[NOTE: If the buffer is not big enough to fit data, it will be resized automatically (the buffer needs to be created using the `buffer_grow` type).]]
+ * 
+ * @param {real} channel The channel to receive the message from
+ * @param {type.buffer} buffer The buffer to write the incoming data to
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * while (steam_net_messages_receive(CHANNEL_GAME, inbuf) >= 0)
+ * {
+ *     buffer_seek(inbuf, buffer_seek_start, 0);
+ *     handle_game_packet(steam_net_messages_get_sender_id(), inbuf);
+ * }
+ * while (steam_net_messages_receive(CHANNEL_CHAT, inbuf) >= 0)
+ * {
+ *     buffer_seek(inbuf, buffer_seek_start, 0);
+ *     chat_add(steam_net_messages_get_sender_id(), buffer_read(inbuf, buffer_string));
+ * }
+ * ```
+ * The code above will process the game and chat channels separately.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_messages_get_sender_id
+ * @desc This function returns the Steam ID of the user that sent the last message received using ${function.steam_net_messages_receive}.
+ * 
+ * @returns {int64}
+ * 
+ * @example
+ * ```gml
+ * while (steam_net_messages_receive(0, inbuf) >= 0)
+ * {
+ *     var _sender = steam_net_messages_get_sender_id();
+ *     steam_net_messages_send(_sender, inbuf);
+ * }
+ * ```
+ * The code above will send every received message back to its sender.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_messages_accept_session
+ * @desc This function accepts a session request from the given user, allowing their messages to be received. It returns whether or not there was a pending session request from that user.
+ * Session requests coming from players in the same lobby are accepted automatically, unless this has been disabled using ${function.steam_net_set_auto_accept_p2p_sessions}.
+ * 
+ * [[NOTE: Sending a message to a user also accepts their pending session request.]]
  * 
+ * @param {int64} user_id The Steam ID of the user that requested the session
+ * 
+ * @returns {boolean}
+ * 
+ * @event steam
+ * @desc This event is triggered when a user that we don't have a session with sends us a message.
+ * @member {string} event_type The string value `"net_messages_session_request"`
+ * @member {int64} user_id The Steam ID of the user requesting the session
+ * @event_end
+ * 
+ * @example
  * ```gml
- * if (async_load[?"event_type"] == "lobby_join_requested")
+ * if (async_load[? "event_type"] == "net_messages_session_request")
  * {
- *     steam_net_accept_p2p_session(async_load[?"friend_id"]);
+ *     if (isMyFriend(async_load[? "user_id"]))
+ *     {
+ *         steam_net_messages_accept_session(async_load[? "user_id"]);
+ *     }
  * }
  * ```
+ * The code above uses a custom implemented function to only accept session requests from friends.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_messages_close_session
+ * @desc This function closes the session with the given user, discarding any pending messages on all channels. It returns whether or not there was a session with that user.
+ * 
+ * @param {int64} user_id The Steam ID of the user to close the session with
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_net_messages_close_session(user_id);
+ * ```
+ * The code above will close the session with the given user.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_messages_close_channel
+ * @desc This function closes a single channel with the given user, the session is closed once all of its channels are closed. It returns whether or not the channel was open.
+ * 
+ * @param {int64} user_id The Steam ID of the user
+ * @param {real} channel The channel to close
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_net_messages_close_channel(user_id, CHANNEL_CHAT);
+ * ```
+ * The code above will stop exchanging chat messages with the given user.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_sockets_get_connection_status
+ * @desc This function returns a struct with live statistics of the given connection (ping, connection quality, throughput and queued data), or `undefined` if the connection handle is not valid.
+ * 
+ * @param {real} connection The connection handle
+ * 
+ * @returns {struct.NetConnectionStatus|undefined}
+ * 
+ * @example
+ * ```gml
+ * var _status = steam_net_sockets_get_connection_status(connection);
+ * if (_status != undefined)
+ * {
+ *     draw_text(10, 10, "Ping: " + string(_status.ping) + "ms");
+ *     draw_text(10, 30, "Out: " + string(_status.out_bytes_per_sec) + " B/s");
+ *     draw_text(10, 50, "Queued: " + string(_status.pending_reliable + _status.pending_unreliable) + " B");
+ * }
+ * ```
+ * The code above draws some statistics of a connection to the screen.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_messages_get_session_status
+ * @desc This function returns a struct with live statistics of the session with the given user (ping, connection quality, throughput and queued data), or `undefined` if there is no session with that user.
+ * 
+ * @param {int64} user_id The Steam ID of the remote user
+ * 
+ * @returns {struct.NetConnectionStatus|undefined}
+ * 
+ * @example
+ * ```gml
+ * var _status = steam_net_messages_get_session_status(user_id);
+ * if (_status != undefined && _status.pending_unreliable > 4096)
+ * {
+ *     tick_rate = max(tick_rate - 5, 10);
+ * }
+ * ```
+ * The code above lowers the network tick rate when unreliable data starts piling up.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_init_relay_network_access
+ * @desc This function starts initializing access to the Steam Datagram Relay network in the background. Calling it early (e.g. right after initialising Steam) ensures the local ping location is available by the time it's needed, otherwise this happens lazily on first use.
+ * The function returns whether the request could be made.
+ * 
+ * @returns {boolean}
+ * 
+ * @event steam
+ * @desc This event is triggered whenever the status of the relay network changes.
+ * @member {string} event_type The string value `"net_relay_network_status"`
+ * @member {constant.NetRelayAvailability} availability The overall availability of the relay network
+ * @member {boolean} ping_measurement_in_progress Whether ping measurement is currently in progress
+ * @member {constant.NetRelayAvailability} network_config The availability of the network configuration
+ * @member {constant.NetRelayAvailability} any_relay The availability of the relays
+ * @member {string} debug A human readable description of the status
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * steam_net_init_relay_network_access();
+ * ```
+ * The code above starts initializing relay network access, the status is reported in the ${event.steam}:
+ * ```gml
+ * if (async_load[? "event_type"] == "net_relay_network_status")
+ * {
+ *     if (async_load[? "availability"] == steam_net_relay_availability_current)
+ *     {
+ *         steam_lobby_set_data("ping_location", steam_net_get_ping_location());
+ *     }
+ * }
+ * ```
+ * The code above stores the local ping location in the lobby data once the relay network is available.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_get_relay_network_status
+ * @desc This function returns the current availability of the relay network, as one of the ${constant.NetRelayAvailability} constants.
+ * 
+ * @returns {constant.NetRelayAvailability}
+ * 
+ * @example
+ * ```gml
+ * if (steam_net_get_relay_network_status() == steam_net_relay_availability_current)
+ * {
+ *     my_location = steam_net_get_ping_location();
+ * }
+ * ```
+ * The code above gets the local ping location if the relay network is available.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_get_ping_location
+ * @desc This function returns the local ping location as a string that can be shared with other users (e.g. through lobby data), or an empty string if it isn't available yet.
+ * 
+ * [[NOTE: The ping location is only available once the relay network has been initialised, see ${function.steam_net_init_relay_network_access}.]]
+ * 
+ * @returns {string}
+ * 
+ * @example
+ * ```gml
+ * var _location = steam_net_get_ping_location();
+ * if (_location != "")
+ * {
+ *     steam_lobby_set_data("ping_location", _location);
+ * }
+ * ```
+ * The code above stores the local ping location in the current lobby's data.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_estimate_ping_between
+ * @desc This function estimates the round-trip ping time in milliseconds between two ping location strings (as returned by ${function.steam_net_get_ping_location}), or returns -1 if it can't be estimated.
+ * 
+ * @param {string} location1 The first ping location string
+ * @param {string} location2 The second ping location string
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * var _ping = steam_net_estimate_ping_between(host_location, player_location);
+ * ```
+ * The code above estimates the ping between two users.
+ * @func_end
+ */
+
+/**
+ * @func steam_net_estimate_ping_from_local
+ * @desc This function estimates the round-trip ping time in milliseconds from the local host to the given ping location string, or returns -1 if it can't be estimated.
+ * 
+ * @param {string} location The ping location string
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * var _lobbies = [];
+ * for (var i = 0; i < steam_lobby_list_get_count(); i++)
+ * {
+ *     var _ping = steam_net_estimate_ping_from_local(steam_lobby_list_get_data(i, "ping_location"));
+ *     array_push(_lobbies, { index: i, ping: (_ping < 0) ? infinity : _ping });
+ * }
+ * array_sort(_lobbies, function(_a, _b) { return _a.ping - _b.ping; });
+ * ```
+ * The code above sorts the results of a lobby list request by estimated ping.
+ * @func_end
+ */
+
+/**
+ * @func steam_loopback_start
+ * @desc This function starts routing the networking and lobby functions through a local loopback transport instead of Steam, so that several instances of your game running on the same machine can play together without Steam (e.g. for local testing or on a CI machine). It returns whether the loopback transport could be started.
+ * 
+ * Each instance is given a different `index` and acts as a fake user with its own Steam ID (as returned by ${function.steam_get_user_steam_id}). Instances communicate using UDP on `127.0.0.1`, instance `index` using port `base_port + index`.
+ * 
+ * While the loopback transport is active, the following functions use it instead of Steam:
+ * 
+ * * ${function.steam_net_packet_send}, ${function.steam_net_packet_receive} and ${function.steam_net_packet_receive_all} (along with the `steam_net_packet_get_*` functions)
+ * * ${function.steam_lobby_create}, ${function.steam_lobby_join_id}, ${function.steam_lobby_list_join}, ${function.steam_lobby_leave} and ${function.steam_lobby_list_request}
+ * * The current lobby getters and setters (owner, members, data, type and joinable state) and the `steam_lobby_list_get_*` functions
+ * * ${function.steam_lobby_send_chat_message} and ${function.steam_lobby_send_chat_message_buffer}
+ * 
+ * The `"lobby_created"`, `"lobby_joined"`, `"lobby_list"`, `"lobby_chat_update"` and `"lobby_chat_message"` async events are triggered the same way as they are with Steam, as long as ${function.steam_update} is called every step.
+ * 
+ * [[NOTE: Lobby list filters are ignored, all public and friends-only lobbies are listed. Only one lobby can be joined at a time: ${function.steam_lobby_create}, ${function.steam_lobby_join_id} and ${function.steam_lobby_list_join} return `false` (and log an error) if you are still in a lobby, e.g. when `false` is passed for `leave_current`. Packets can be at most 65000 bytes and are always delivered reliably (as they never leave the machine).]]
+ * 
+ * [[WARNING: This is a testing tool and does not require Steam to be running, so make sure it can't be enabled in release builds.]]
+ * 
+ * @param {real} index The index of this game instance (`0` to `count - 1`)
+ * @param {real} [count] The number of game instances (default 4, at most 255)
+ * @param {real} [base_port] The UDP port used by the first instance (default 27100)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * var _index = parameter_count() > 1 ? real(parameter_string(1)) : 0;
+ * if (!steam_loopback_start(_index, 4))
+ * {
+ *     show_debug_message("Could not start loopback networking as instance " + string(_index));
+ * }
+ * ```
+ * The code above uses a command line parameter to pick the instance index, so that several copies of the game can be launched side by side, each acting as a different user.
+ * @func_end
+ */
+
+/**
+ * @func steam_loopback_stop
+ * @desc This function stops the loopback transport started with ${function.steam_loopback_start}, leaving the current lobby (if any). It returns whether the loopback transport was active.
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_loopback_stop();
+ * ```
+ * The code above stops using the loopback transport, networking and lobby functions will use Steam again.
+ * @func_end
+ */
+
+/**
+ * @func steam_loopback_is_active
+ * @desc This function returns whether the loopback transport is currently active (see ${function.steam_loopback_start}).
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * if (steam_loopback_is_active())
+ * {
+ *     draw_text(10, 10, "LOOPBACK " + string(steam_get_user_steam_id()));
+ * }
+ * ```
+ * The code above draws a notice when the game is using the loopback transport.
  * @func_end
  */
 
@@ -205,6 +844,92 @@
  * @const_end
  */
 
+/**
+ * @const NetConnectionState
+ * @desc These constants specify the state of a connection created using the ${function.steam_net_sockets_connect_p2p} and ${function.steam_net_sockets_create_listen_socket_p2p} functions.
+ * 
+ * @member steam_net_connection_state_none The connection handle is not valid
+ * @member steam_net_connection_state_connecting The connection is being established, incoming connections are in this state until they are accepted
+ * @member steam_net_connection_state_finding_route The connection was accepted and a route to the remote user is being negotiated
+ * @member steam_net_connection_state_connected The connection is established and messages can be sent and received
+ * @member steam_net_connection_state_closed_by_peer The remote user closed the connection
+ * @member steam_net_connection_state_problem_detected_locally The connection was lost or timed out
+ * @const_end
+ */
+
+/**
+ * @const NetRelayAvailability
+ * @desc These constants describe the availability of the relay network, as returned by ${function.steam_net_get_relay_network_status}.
+ * 
+ * @member steam_net_relay_availability_cannot_try A dependency is not available, so the relay network can't be used
+ * @member steam_net_relay_availability_failed The last attempt failed and won't be retried
+ * @member steam_net_relay_availability_previously The relay network was available but the connection was lost
+ * @member steam_net_relay_availability_retrying A previous attempt failed and it's being retried
+ * @member steam_net_relay_availability_never_tried Access hasn't been requested yet, see ${function.steam_net_init_relay_network_access}
+ * @member steam_net_relay_availability_waiting Waiting on a dependency before trying
+ * @member steam_net_relay_availability_attempting Currently trying to get access
+ * @member steam_net_relay_availability_current The relay network is available
+ * @member steam_net_relay_availability_unknown The status is unknown
+ * @const_end
+ */
+
+/**
+ * @const NetSendResult
+ * @desc These constants specify the result of ${function.steam_net_packet_send}.
+ * 
+ * @member steam_net_send_result_ok The packet was sent (or queued for sending)
+ * @member steam_net_send_result_fail The packet couldn't be sent, e.g. because Steam networking is not available (the Steam API isn't initialised)
+ * @member steam_net_send_result_invalid_param The user ID or buffer is not valid
+ * @member steam_net_send_result_limit_exceeded The packet is too big for the packet type (1200 bytes for unreliable packets, 1MB for reliable packets)
+ * @member steam_net_send_result_no_connection The session with the user could not be established (or the loopback instance couldn't be reached)
+ * @const_end
+ */
+
+/**
+ * @const P2PSessionError
+ * @desc These constants specify the error of a P2P session, as reported by ${function.steam_net_get_p2p_session_state} and the `"p2p_session_connect_fail"` event.
+ * 
+ * @member steam_net_p2p_session_error_none There is no error
+ * @member steam_net_p2p_session_error_not_running_app The target user is not running the same game
+ * @member steam_net_p2p_session_error_no_rights_to_app The local user doesn't own the app that is running
+ * @member steam_net_p2p_session_error_destination_not_logged_in The target user isn't connected to Steam
+ * @member steam_net_p2p_session_error_timeout The connection timed out because the target user didn't respond
+ * @const_end
+ */
+
+// STRUCTS
+
+/**
+ * @struct P2PSessionState
+ * @desc This struct holds information about a P2P session with a user.
+ * @member {boolean} connection_active Whether there is an open connection with the user
+ * @member {boolean} connecting Whether the connection is still being established
+ * @member {boolean} using_relay Whether the connection goes through a Steam relay server
+ * @member {constant.P2PSessionError} session_error The last error of the session
+ * @member {real} bytes_queued_for_send The number of bytes queued for sending
+ * @member {real} packets_queued_for_send The number of packets queued for sending
+ * @struct_end
+ */
+
+/**
+ * @struct NetConnectionStatus
+ * @desc This struct holds live statistics of a connection or a messages session.
+ * @member {constant.NetConnectionState} state The current state of the connection
+ * @member {real} ping The current ping in milliseconds
+ * @member {real} quality_local The fraction of packets received from the remote user that were delivered intact and in order (0 to 1), or -1 if unknown
+ * @member {real} quality_remote The fraction of packets sent to the remote user that were delivered intact and in order (0 to 1), or -1 if unknown
+ * @member {real} out_packets_per_sec The current outgoing packet rate
+ * @member {real} out_bytes_per_sec The current outgoing data rate
+ * @member {real} in_packets_per_sec The current incoming packet rate
+ * @member {real} in_bytes_per_sec The current incoming data rate
+ * @member {real} send_rate The estimated rate at which data can be sent, in bytes per second
+ * @member {real} pending_unreliable The number of bytes of unreliable data waiting to be sent
+ * @member {real} pending_reliable The number of bytes of reliable data waiting to be sent
+ * @member {real} sent_unacked_reliable The number of bytes of reliable data that were sent but not acknowledged yet
+ * @member {real} queue_time The estimated time in microseconds before new data would be put on the wire
+ * @struct_end
+ */
+
 // MODULES
 
 /**
@@ -219,6 +944,7 @@
  * @ref steam_net_packet_get_sender_id
  * @ref steam_net_packet_get_size
  * @ref steam_net_packet_receive
+ * @ref steam_net_packet_receive_all
  * @ref steam_net_packet_send
  * @ref steam_net_packet_set_type
  * @ref steam_net_accept_p2p_session
@@ -233,6 +959,54 @@
  * @ref steam_net_accept_p2p_session
  * @ref steam_net_close_p2p_session
  * @ref steam_net_set_auto_accept_p2p_sessions
+ * @ref steam_net_get_p2p_session_state
+ * 
+ * @section_end
+ * 
+ * @section_func Connections
+ * @desc The following functions allow using connection-oriented networking (ISteamNetworkingSockets):
+ * 
+ * @ref steam_net_sockets_create_listen_socket_p2p
+ * @ref steam_net_sockets_close_listen_socket
+ * @ref steam_net_sockets_connect_p2p
+ * @ref steam_net_sockets_accept_connection
+ * @ref steam_net_sockets_close_connection
+ * @ref steam_net_sockets_send_message
+ * @ref steam_net_sockets_receive_message
+ * @ref steam_net_sockets_get_connection_status
+ * 
+ * @section_end
+ * 
+ * @section_func Messages
+ * @desc The following functions allow sending and receiving messages on channels without managing connections (ISteamNetworkingMessages):
+ * 
+ * @ref steam_net_messages_send
+ * @ref steam_net_messages_receive
+ * @ref steam_net_messages_get_sender_id
+ * @ref steam_net_messages_accept_session
+ * @ref steam_net_messages_close_session
+ * @ref steam_net_messages_close_channel
+ * @ref steam_net_messages_get_session_status
+ * 
+ * @section_end
+ * 
+ * @section_func Relay Network
+ * @desc The following functions allow estimating the ping between users using the Steam Datagram Relay network:
+ * 
+ * @ref steam_net_init_relay_network_access
+ * @ref steam_net_get_relay_network_status
+ * @ref steam_net_get_ping_location
+ * @ref steam_net_estimate_ping_between
+ * @ref steam_net_estimate_ping_from_local
+ * 
+ * @section_end
+ * 
+ * @section_func Loopback
+ * @desc The following functions allow testing networking and lobbies with several game instances on the same machine, without Steam:
+ * 
+ * @ref steam_loopback_start
+ * @ref steam_loopback_stop
+ * @ref steam_loopback_is_active
  * 
  * @section_end
  * 
@@ -240,6 +1014,18 @@
  * @desc These are the constants used by this API:
  * 
  * @ref PacketType
+ * @ref NetSendResult
+ * @ref P2PSessionError
+ * @ref NetConnectionState
+ * @ref NetRelayAvailability
+ * 
+ * @section_end
+ * 
+ * @section_struct Structs
+ * @desc These are the structs used by this API:
+ * 
+ * @ref P2PSessionState
+ * @ref NetConnectionStatus
  * 
  * @section_end
  * 
@@ -0,0 +1,346 @@
+// FUNCTIONS
+
+/**
+ * @func steam_server_add_favorite
+ * @desc This function adds a game server to the user's favorites, or to their play history if `history` is `true`. These are the servers listed by ${function.steam_server_list_request} with `steam_server_list_type_favorites` and `steam_server_list_type_history` respectively. The function returns whether or not the server was added.
+ * 
+ * @param {string} ip The IPv4 address of the game server (e.g. `"192.168.1.10"`)
+ * @param {real} port The port that clients connect to
+ * @param {real} query_port The port that the server answers queries on
+ * @param {boolean} [history] Whether to add the server to the play history instead of the favorites (default `false`)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_server_add_favorite(server.ip, server.port, server.query_port);
+ * ```
+ * The code above adds a server (as received in a `"server_list_response"` event) to the user's favorites.
+ * @func_end
+ */
+
+/**
+ * @func steam_server_list_add_filter
+ * @desc This function adds a filter for the next server list request (see ${function.steam_server_list_request}). Servers that don't match all filters are excluded from the results. The function returns `true`.
+ * 
+ * Commonly used filter keys are:
+ * 
+ * * `"map"` - the server is running the given map
+ * * `"gamedir"` - the server is running the given game/mod directory
+ * * `"gametagsand"` - the server has all of the given (comma-separated) tags
+ * * `"gametagsnor"` - the server has none of the given (comma-separated) tags
+ * * `"secure"`, `"dedicated"`, `"notfull"`, `"hasplayers"`, `"noplayers"` - set to `"1"` to only list such servers
+ * 
+ * See the Steamworks documentation of `ISteamMatchmakingServers` for the full list.
+ * 
+ * [[NOTE: Filters are reset by ${function.steam_server_list_request} and have to be added again for subsequent requests. LAN server lists can't be filtered.]]
+ * 
+ * @param {string} key The filter key
+ * @param {string} value The filter value
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_server_list_add_filter("notfull", "1");
+ * steam_server_list_add_filter("gametagsand", "ctf");
+ * steam_server_list_request(steam_server_list_type_internet);
+ * ```
+ * The code above requests a list of internet servers that aren't full and have the `"ctf"` tag.
+ * @func_end
+ */
+
+/**
+ * @func steam_server_list_cancel
+ * @desc This function cancels a server list request started with ${function.steam_server_list_request}. No further events are triggered for it. The function returns whether or not the request was found.
+ * 
+ * @param {real} request_id The request ID, as returned by ${function.steam_server_list_request}
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_server_list_cancel(server_list_request);
+ * server_list_request = steam_server_list_request(steam_server_list_type_lan);
+ * ```
+ * The code above cancels the current server list request and requests the LAN servers instead.
+ * @func_end
+ */
+
+/**
+ * @func steam_server_list_clear_filters
+ * @desc This function removes all filters added with ${function.steam_server_list_add_filter}. The function returns `true`.
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_server_list_clear_filters();
+ * ```
+ * The code above removes all filters for the next server list request.
+ * @func_end
+ */
+
+/**
+ * @func steam_server_list_is_loading
+ * @desc This function returns whether the given server list request is still loading, i.e. its `"server_list_complete"` event hasn't been triggered yet.
+ * 
+ * @param {real} request_id The request ID, as returned by ${function.steam_server_list_request}
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * if (steam_server_list_is_loading(server_list_request))
+ * {
+ *     draw_text(10, 10, "Refreshing...");
+ * }
+ * ```
+ * The code above draws a notice while the server list is being loaded.
+ * @func_end
+ */
+
+/**
+ * @func steam_server_list_request
+ * @desc This function starts loading a list of game servers, matching the filters added with ${function.steam_server_list_add_filter}. The function returns a request ID, or -1 if the request couldn't be started.
+ * 
+ * Servers are reported one by one in `"server_list_response"` events while they respond, so you can show them right away. A `"server_list_complete"` event is triggered once all servers have been queried. Several requests can be running at the same time.
+ * 
+ * [[NOTE: Filters are reset afterwards and have to be added again for subsequent requests.]]
+ * 
+ * @param {constant.ServerListType} type The type of server list to request
+ * @param {real} [app_id] The App ID of the game to list servers for (default: the current App ID)
+ * 
+ * @returns {real}
+ * 
+ * @event steam
+ * @desc This event is triggered for each server that responded.
+ * @member {string} event_type The string value `"server_list_response"`
+ * @member {real} id The request ID
+ * @member {real} index The index of the server in the request
+ * @member {string} name The name of the server
+ * @member {string} map The map the server is running
+ * @member {string} game_dir The game/mod directory of the server
+ * @member {string} description The game description of the server
+ * @member {string} tags The tags of the server (comma-separated)
+ * @member {real} players The number of players on the server
+ * @member {real} max_players The maximum number of players on the server
+ * @member {real} bot_players The number of bots on the server
+ * @member {real} ping The ping to the server, in milliseconds
+ * @member {string} ip The IPv4 address of the server
+ * @member {real} port The port that clients connect to
+ * @member {real} query_port The port that the server answers queries on (see ${function.steam_server_request_rules})
+ * @member {int64} server_id The Steam ID of the server
+ * @member {boolean} password Whether the server is password-protected
+ * @member {boolean} secure Whether the server is VAC-secured
+ * @member {real} version The version of the server
+ * @member {real} last_played When the user last played on the server (Unix time), for favorites and history lists
+ * @event_end
+ * 
+ * @event steam
+ * @desc This event is triggered once all servers have been queried.
+ * @member {string} event_type The string value `"server_list_complete"`
+ * @member {real} id The request ID
+ * @member {real} server_count The total number of servers in the list (including those that didn't respond)
+ * @member {boolean} success Whether or not the request was successful
+ * @member {real} result The code of the result
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * steam_server_list_add_filter("map", "dust");
+ * server_list_request = steam_server_list_request(steam_server_list_type_internet);
+ * ```
+ * The code above starts loading the list of internet servers running the `"dust"` map. The results can then be collected in the ${event.steam}:
+ * 
+ * ```gml
+ * if (async_load[? "id"] == server_list_request)
+ * {
+ *     switch (async_load[? "event_type"])
+ *     {
+ *         case "server_list_response":
+ *             array_push(servers, {
+ *                 name: async_load[? "name"],
+ *                 players: async_load[? "players"],
+ *                 max_players: async_load[? "max_players"],
+ *                 ping: async_load[? "ping"],
+ *                 ip: async_load[? "ip"],
+ *                 port: async_load[? "port"],
+ *             });
+ *             break;
+ *         case "server_list_complete":
+ *             show_debug_message("Found " + string(array_length(servers)) + " servers");
+ *             break;
+ *     }
+ * }
+ * ```
+ * The code above adds each responding server to an array and prints the number of servers once the request is complete.
+ * @func_end
+ */
+
+/**
+ * @func steam_server_remove_favorite
+ * @desc This function removes a game server from the user's favorites, or from their play history if `history` is `true` (see ${function.steam_server_add_favorite}). The function returns whether or not the server was removed.
+ * 
+ * @param {string} ip The IPv4 address of the game server
+ * @param {real} port The port that clients connect to
+ * @param {real} query_port The port that the server answers queries on
+ * @param {boolean} [history] Whether to remove the server from the play history instead of the favorites (default `false`)
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_server_remove_favorite(server.ip, server.port, server.query_port);
+ * ```
+ * The code above removes a server from the user's favorites.
+ * @func_end
+ */
+
+/**
+ * @func steam_server_request_cancel
+ * @desc This function cancels a request started with ${function.steam_server_request_rules} or ${function.steam_server_request_players}. No further events are triggered for it. The function returns whether or not the request was found.
+ * 
+ * @param {real} request_id The request ID
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_server_request_cancel(rules_request);
+ * ```
+ * The code above cancels a pending rules request, e.g. when the player closes the server details window.
+ * @func_end
+ */
+
+/**
+ * @func steam_server_request_players
+ * @desc This function starts loading the list of players on the game server at the given address. The function returns a request ID, or -1 if the request couldn't be started.
+ * 
+ * @param {string} ip The IPv4 address of the game server
+ * @param {real} query_port The port that the server answers queries on
+ * 
+ * @returns {real}
+ * 
+ * @event steam
+ * @desc This event is triggered for each player on the server.
+ * @member {string} event_type The string value `"server_players_response"`
+ * @member {real} id The request ID
+ * @member {string} name The name of the player
+ * @member {real} score The score of the player
+ * @member {real} time_played How long the player has been on the server, in seconds
+ * @event_end
+ * 
+ * @event steam
+ * @desc This event is triggered once all players have been received, or the server didn't respond.
+ * @member {string} event_type The string value `"server_players_complete"`
+ * @member {real} id The request ID
+ * @member {boolean} success Whether or not the server responded
+ * @member {real} result The code of the result
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * players_request = steam_server_request_players(server.ip, server.query_port);
+ * ```
+ * The code above requests the players of a server (as received in a `"server_list_response"` event). They can then be shown in the ${event.steam}:
+ * 
+ * ```gml
+ * if (async_load[? "id"] == players_request && async_load[? "event_type"] == "server_players_response")
+ * {
+ *     show_debug_message(async_load[? "name"] + ": " + string(async_load[? "score"]));
+ * }
+ * ```
+ * The code above prints the name and score of each player.
+ * @func_end
+ */
+
+/**
+ * @func steam_server_request_rules
+ * @desc This function starts loading the rules (key/value pairs set by the server) of the game server at the given address. The function returns a request ID, or -1 if the request couldn't be started.
+ * 
+ * @param {string} ip The IPv4 address of the game server
+ * @param {real} query_port The port that the server answers queries on
+ * 
+ * @returns {real}
+ * 
+ * @event steam
+ * @desc This event is triggered for each rule of the server.
+ * @member {string} event_type The string value `"server_rules_response"`
+ * @member {real} id The request ID
+ * @member {string} rule The name of the rule
+ * @member {string} value The value of the rule
+ * @event_end
+ * 
+ * @event steam
+ * @desc This event is triggered once all rules have been received, or the server didn't respond.
+ * @member {string} event_type The string value `"server_rules_complete"`
+ * @member {real} id The request ID
+ * @member {boolean} success Whether or not the server responded
+ * @member {real} result The code of the result
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * rules_request = steam_server_request_rules(server.ip, server.query_port);
+ * rules = {};
+ * ```
+ * The code above requests the rules of a server. They can then be collected in the ${event.steam}:
+ * 
+ * ```gml
+ * if (async_load[? "id"] == rules_request && async_load[? "event_type"] == "server_rules_response")
+ * {
+ *     rules[$ async_load[? "rule"]] = async_load[? "value"];
+ * }
+ * ```
+ * The code above stores each rule in a struct.
+ * @func_end
+ */
+
+/**
+ * @const ServerListType
+ * @desc These constants specify the type of server list to request with ${function.steam_server_list_request}.
+ * @member steam_server_list_type_internet Servers on the internet
+ * @member steam_server_list_type_lan Servers on the local network
+ * @member steam_server_list_type_friends Servers that the user's friends are playing on
+ * @member steam_server_list_type_favorites Servers that the user added to their favorites (see ${function.steam_server_add_favorite})
+ * @member steam_server_list_type_history Servers that the user has recently played on
+ * @const_end
+ */
+
+// MODULES
+
+/**
+ * @module servers
+ * @title Server Browser
+ * @desc The following functions and constants allow you to list and query dedicated game servers, using Steam's server browser functionality. Unlike lobbies, game servers are listed by their address and report their own name, map, players and tags.
+ * 
+ * @section_func Server Lists
+ * @desc These functions are provided for requesting lists of game servers:
+ * @ref steam_server_list_add_filter
+ * @ref steam_server_list_clear_filters
+ * @ref steam_server_list_request
+ * @ref steam_server_list_is_loading
+ * @ref steam_server_list_cancel
+ * @section_end
+ * 
+ * @section_func Server Details
+ * @desc These functions are provided for querying a single game server:
+ * @ref steam_server_request_rules
+ * @ref steam_server_request_players
+ * @ref steam_server_request_cancel
+ * @section_end
+ * 
+ * @section_func Favorites
+ * @desc These functions are provided for managing the user's favorite servers and play history:
+ * @ref steam_server_add_favorite
+ * @ref steam_server_remove_favorite
+ * @section_end
+ * 
+ * @section_const Constants
+ * @desc These are the constants used by this API:
+ * @ref ServerListType
+ * @section_end
+ * 
+ * @module_end
+ */
@@ -85,6 +85,48 @@
  * @func_end
  */
 
+/**
+ * @func steam_get_friends
+ * @desc This function returns an array with the current user's Steam friends (or other users they have a relationship with), including those who are offline or not in a game. The users are filtered by relationship: pass one or more ${constant.FriendFlags} constants combined with the bitwise or `|` operator.
+ * 
+ * [[NOTE: The Steam level of a friend is `0` until Steam has loaded it. Persona names and states are kept up to date by Steam for friends, but not for other users (e.g. with `steam_friend_flag_blocked`).]]
+ * 
+ * @param {constant.FriendFlags} [flags] The relationship flags to filter by (default `steam_friend_flag_immediate`, i.e. regular friends)
+ * 
+ * @returns {array[struct.FriendInfo]}
+ * 
+ * @event steam
+ * @desc This event is triggered whenever information about a friend (or another user the current user has a relationship with) changes, so it can be used to keep a friends list up to date without polling.
+ * @member {string} event_type The string value `"persona_state_change"`
+ * @member {int64} steam_id The Steam ID of the user whose information changed
+ * @member {real} change_flags What changed, as a combination of ${constant.PersonaChange} constants
+ * @event_end
+ * 
+ * @example
+ * ```gml
+ * var _friends = steam_get_friends();
+ * for (var i = 0; i < array_length(_friends); i++)
+ * {
+ *     var _friend = _friends[i];
+ *     var _name = _friend.nickname != "" ? _friend.nickname : _friend.name;
+ *     var _online = _friend.personaState != steam_persona_state_offline;
+ *     show_debug_message(_name + (_online ? " (online)" : " (offline)"));
+ * }
+ * ```
+ * The above code gets all friends of the current user and prints their names (or the nickname the user gave them) and whether they are online. Changes can then be picked up in the ${event.steam}:
+ * 
+ * ```gml
+ * if (async_load[? "event_type"] == "persona_state_change") {
+ *     var _flags = async_load[? "change_flags"];
+ *     if (_flags & (steam_persona_change_name | steam_persona_change_status)) {
+ *         friends = steam_get_friends();
+ *     }
+ * }
+ * ```
+ * The above code gets the friends list again when a friend's name or online status changes.
+ * @func_end
+ */
+
 /**
  * @func steam_get_user_avatar
  * @desc This function fetches an avatar for the specified user ID. 
@@ -92,12 +134,13 @@
  *       it returns `-1` if the request is pending, in which case a ${event.steam} will be triggered.
  * Returns positive ID's if the avatar is ready, this ID is to be used with the following functions:
  * 
+ * * ${function.steam_image_create_buffer}
  * * ${function.steam_image_get_bgra}
  * * ${function.steam_image_get_rgba}
  * * ${function.steam_image_get_size}
  * 
  * @param {int64} userID The user Steam unique identifier
- * @param {constant.AvatarSize} avatar_size The size of the avatar to be requested
+ * @param {constant.AvatarSize} [avatar_size] The size of the avatar to be requested (default `steam_user_avatar_size_small`)
  * 
  * @returns {real}
  * 
@@ -118,15 +161,10 @@
  * if (_l_img > 0)
  * {
  *     var _l_dims = steam_image_get_size(_l_img);
- *     var _buff_size = _l_dims[0] * _l_dims[1] * 4;
+ *     var _l_cols = steam_image_create_buffer(_l_img);
  * 
- *     var _l_cols = buffer_create(_buff_size, buffer_fixed, 1);
- * 
- *     var _l_ok = steam_image_get_rgba(_l_img, _l_cols, _buff_size);
- * 
- *     if(!_l_ok)
+ *     if (_l_cols == -1)
  *     {
- *         buffer_delete(_l_cols);
  *         exit;
  *     }
  * 
@@ -141,7 +179,7 @@
  * ```
  * In the code above we query for the current user's ${function.steam_get_user_steam_id} avatar, this function will either return:
  * 
- * * the handle to the function (return value greater than zero): in this case we follow by getting size information (${function.steam_image_get_size}), creating a buffer and getting the avatar image RBGA data into the buffer (${function.steam_image_get_rgba}) and lastly creating a sprite from said buffer.
+ * * the handle to the function (return value greater than zero): in this case we follow by getting size information (${function.steam_image_get_size}), getting the avatar image RGBA data in a new buffer (${function.steam_image_create_buffer}) and lastly creating a sprite from said buffer.
  * * no handle at all (return value equal to zero): in this case there is no avatar image for the specified user.
  * * a value of -1: in this last case it means that the request is pending and you can catch the output with a ${event.steam}, using the following code:
  * 
@@ -194,6 +232,38 @@
  * @func_end
  */
 
+/**
+ * @func steam_image_create_buffer
+ * @desc This function creates a new buffer with the RGBA data of the specified Steam image ID, so the image doesn't have to be measured and copied into a buffer manually. The buffer is of type `buffer_fixed` and its size is width * height * 4 bytes (see ${function.steam_image_get_size}).
+ * Returns the new buffer, or `-1` if the image isn't available.
+ * 
+ * [[NOTE: The buffer should be deleted with ${function.buffer_delete} when it's no longer needed.]]
+ * 
+ * @param {real} steam_image_id The Steam image identifier
+ * 
+ * @returns {type.buffer}
+ * 
+ * @example
+ * ```gml
+ * /// @desc Async - Steam
+ * if (async_load[? "event_type"] == "avatar_image_loaded" && async_load[? "success"])
+ * {
+ *     var _w = async_load[? "width"], _h = async_load[? "height"];
+ *     var _buff = steam_image_create_buffer(async_load[? "image"]);
+ *     if (_buff != -1)
+ *     {
+ *         var _surf = surface_create(_w, _h);
+ *         buffer_set_surface(_buff, _surf, 0);
+ *         avatar_sprite = sprite_create_from_surface(_surf, 0, 0, _w, _h, false, false, 0, 0);
+ *         surface_free(_surf);
+ *         buffer_delete(_buff);
+ *     }
+ * }
+ * ```
+ * The above code turns an avatar into a sprite once it has been loaded.
+ * @func_end
+ */
+
 /**
  * @func steam_image_get_rgba
  * @desc This function grabs the RGBA data of the specified Steam image ID into a GameMaker buffer.
@@ -399,13 +469,77 @@
  * @struct_end
  */
 
+/**
+ * @struct FriendInfo
+ * @desc This struct holds information about a friend, as returned by ${function.steam_get_friends}.
+ * @member {int64} friendId The Steam user ID
+ * @member {string} name The friend's persona name
+ * @member {constant.PersonaState} personaState The friend's persona state
+ * @member {string} nickname The nickname the current user gave the friend, or an empty string if none is set
+ * @member {real} steamLevel The friend's Steam level (`0` if it isn't loaded yet)
+ * @struct_end
+ */
+
 // CONSTANTS
 
 /**
  * @const AvatarSize
- * @member steam_user_avatar_size_small Small avatar size
- * @member steam_user_avatar_size_medium Medium avatar size
- * @member steam_user_avatar_size_large Large avatar size
+ * @member steam_user_avatar_size_small Small avatar size (32x32 pixels)
+ * @member steam_user_avatar_size_medium Medium avatar size (64x64 pixels)
+ * @member steam_user_avatar_size_large Large avatar size (184x184 pixels)
+ * @const_end
+ */
+
+/**
+ * @const FriendFlags
+ * @desc These constants specify the relationships to include when calling ${function.steam_get_friends}. They can be combined using the bitwise or `|` operator.
+ * @member steam_friend_flag_none No users
+ * @member steam_friend_flag_blocked Users that the current user has blocked
+ * @member steam_friend_flag_friendship_requested Users that sent a friend request to the current user
+ * @member steam_friend_flag_immediate Regular friends
+ * @member steam_friend_flag_clan_member Users in the same Steam group as the current user
+ * @member steam_friend_flag_on_game_server Users on the same game server as the current user
+ * @member steam_friend_flag_requesting_friendship Users that the current user sent a friend request to
+ * @member steam_friend_flag_requesting_info Users that are sending additional info about themselves after a call to ${function.steam_get_user_persona_name}
+ * @member steam_friend_flag_ignored Users that the current user has ignored
+ * @member steam_friend_flag_ignored_friend Users that have ignored the current user
+ * @member steam_friend_flag_chat_member Users in the same chat as the current user
+ * @member steam_friend_flag_all All of the above
+ * @const_end
+ */
+
+/**
+ * @const PersonaState
+ * @desc These constants specify the online status of a user.
+ * @member steam_persona_state_offline The user is offline (or appears offline)
+ * @member steam_persona_state_online The user is online
+ * @member steam_persona_state_busy The user is online, but busy
+ * @member steam_persona_state_away The user is away
+ * @member steam_persona_state_snooze The user has been away for a long time
+ * @member steam_persona_state_looking_to_trade The user is online and looking to trade
+ * @member steam_persona_state_looking_to_play The user is online and looking to play
+ * @member steam_persona_state_invisible The user appears offline to others (only returned for the current user)
+ * @const_end
+ */
+
+/**
+ * @const PersonaChange
+ * @desc These constants are the flags in the `change_flags` of a `"persona_state_change"` event (see ${function.steam_get_friends}). Several can be set in the same event, check them using the bitwise and `&` operator.
+ * @member steam_persona_change_name The persona name changed
+ * @member steam_persona_change_status The persona state changed
+ * @member steam_persona_change_come_online The user came online
+ * @member steam_persona_change_gone_offline The user went offline
+ * @member steam_persona_change_game_played The game the user is playing changed
+ * @member steam_persona_change_game_server The game server the user is on changed
+ * @member steam_persona_change_avatar The avatar changed
+ * @member steam_persona_change_joined_source The user joined a chat or group the current user is in
+ * @member steam_persona_change_left_source The user left a chat or group the current user is in
+ * @member steam_persona_change_relationship_changed The relationship with the current user changed (e.g. they became friends)
+ * @member steam_persona_change_name_first_set The persona name was loaded for the first time
+ * @member steam_persona_change_broadcast The user started or stopped broadcasting
+ * @member steam_persona_change_nickname The nickname the current user gave them changed
+ * @member steam_persona_change_steam_level The Steam level changed or was loaded
+ * @member steam_persona_change_rich_presence The rich presence changed
  * @const_end
  */
 
@@ -431,18 +565,24 @@
  * 
  * @ref steam_user_set_played_with
  * @ref steam_get_friends_game_info
+ * @ref steam_get_friends
  * @ref steam_get_user_avatar
  * @ref steam_image_get_size
+ * @ref steam_image_create_buffer
  * @ref steam_image_get_rgba
  * @ref steam_image_get_bgra
  * @section_end
  * 
  * @section_struct Structs
  * @ref FriendsGameInfo
+ * @ref FriendInfo
  * @section_end
  * 
  * @section_const
  * @ref AvatarSize
+ * @ref FriendFlags
+ * @ref PersonaState
+ * @ref PersonaChange
  * @section_end
  * 
  * @module_end
@@ -0,0 +1,146 @@
+// FUNCTIONS
+
+/**
+ * @func steam_voice_decompress
+ * @desc This function decompresses voice data received from another user (see ${function.steam_voice_get_compressed}) into raw audio: 16-bit signed mono PCM at the given sample rate. The data is written to the destination buffer starting at offset 0, and a buffer of type `buffer_grow` is resized if it's too small. The function returns the number of bytes written, or `0` if the data couldn't be decompressed or the sample rate is out of range.
+ * 
+ * The decompressed audio can be played with GameMaker's ${function.audio_create_play_queue} and ${function.audio_queue_sound} functions, using the `buffer_s16` format and the same sample rate.
+ * 
+ * @param {type.buffer} buffer The buffer containing the compressed voice data
+ * @param {real} size The size of the compressed voice data in bytes
+ * @param {type.buffer} dest_buffer The buffer to write the decompressed audio to
+ * @param {real} [sample_rate] The sample rate to decompress to, from 11025 to 48000 Hz (default: ${function.steam_voice_get_optimal_sample_rate})
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * /// @desc Create
+ * voice_rate = steam_voice_get_optimal_sample_rate();
+ * voice_queue = audio_create_play_queue(buffer_s16, voice_rate, audio_mono);
+ * voice_buffers = [];
+ * voice_playing = false;
+ * packet_buffer = buffer_create(8192, buffer_grow, 1);
+ * 
+ * /// @desc Step
+ * while (steam_net_packet_receive(1))
+ * {
+ *     var _size = steam_net_packet_get_size();
+ *     steam_net_packet_get_data(packet_buffer);
+ *     var _pcm = buffer_create(8192, buffer_grow, 1);
+ *     var _pcm_size = steam_voice_decompress(packet_buffer, _size, _pcm, voice_rate);
+ *     if (_pcm_size > 0)
+ *     {
+ *         audio_queue_sound(voice_queue, _pcm, 0, _pcm_size);
+ *         array_push(voice_buffers, _pcm);
+ *         if (!voice_playing)
+ *         {
+ *             audio_play_sound(voice_queue, 0, false);
+ *             voice_playing = true;
+ *         }
+ *     }
+ *     else
+ *     {
+ *         buffer_delete(_pcm);
+ *     }
+ * }
+ * ```
+ * The above code receives voice packets on channel 1, decompresses them and queues them for playback. The PCM buffers are kept in an array so they can be deleted in the ${event.async_audio_playback} once they've been played.
+ * @func_end
+ */
+
+/**
+ * @func steam_voice_get_compressed
+ * @desc This function copies the compressed voice data that was recorded since the last call into a buffer, starting at offset 0. A buffer of type `buffer_grow` is resized if it's too small. The function returns the number of bytes written, or `0` if there is no new voice data (e.g. the user isn't talking or recording isn't started).
+ * 
+ * Call this function every step while recording and send the data to the other users (e.g. with ${function.steam_net_packet_send} and `steam_net_packet_type_unreliable_nodelay`), who can then decompress it with ${function.steam_voice_decompress}.
+ * 
+ * @param {type.buffer} buffer The buffer to write the compressed voice data to
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * /// @desc Step
+ * var _size = steam_voice_get_compressed(voice_buffer);
+ * if (_size > 0)
+ * {
+ *     for (var i = 0; i < array_length(team_ids); i++)
+ *     {
+ *         steam_net_packet_send(team_ids[i], voice_buffer, _size, steam_net_packet_type_unreliable_nodelay, 1);
+ *     }
+ * }
+ * ```
+ * The above code sends the voice data recorded since the last step to all members of the player's team, on channel 1 so that it's kept apart from other game packets.
+ * @func_end
+ */
+
+/**
+ * @func steam_voice_get_optimal_sample_rate
+ * @desc This function returns the sample rate (in Hz) that gives the best quality when decompressing voice data with ${function.steam_voice_decompress}, or `0` if the Steam API isn't initialised.
+ * 
+ * @returns {real}
+ * 
+ * @example
+ * ```gml
+ * voice_rate = steam_voice_get_optimal_sample_rate();
+ * ```
+ * The above code gets the optimal sample rate and stores it in a variable.
+ * @func_end
+ */
+
+/**
+ * @func steam_voice_start_recording
+ * @desc This function starts recording the user's voice with the microphone configured in Steam. While recording, the voice data can be retrieved with ${function.steam_voice_get_compressed}. Steam only records while the user is talking, so the function can be called once at the start of a match for an always-on voice chat, or when a push-to-talk key is pressed. The function returns whether the Steam API is initialised.
+ * 
+ * [[NOTE: Recording also tells Steam that the user is in a voice chat, which lowers the volume of other Steam voice chats.]]
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * if (keyboard_check_pressed(ord("V")))
+ * {
+ *     steam_voice_start_recording();
+ * }
+ * if (keyboard_check_released(ord("V")))
+ * {
+ *     steam_voice_stop_recording();
+ * }
+ * ```
+ * The above code implements push-to-talk on the V key.
+ * @func_end
+ */
+
+/**
+ * @func steam_voice_stop_recording
+ * @desc This function stops recording the user's voice. Recording continues for a short moment afterwards so that the last words aren't cut off, so keep calling ${function.steam_voice_get_compressed} until it returns `0`. The function returns whether the Steam API is initialised.
+ * 
+ * @returns {boolean}
+ * 
+ * @example
+ * ```gml
+ * steam_voice_stop_recording();
+ * ```
+ * The above code stops recording the user's voice.
+ * @func_end
+ */
+
+// MODULES
+
+/**
+ * @module voice
+ * @title Voice
+ * @desc The following functions allow you to record the user's voice, send it to other users with the networking functions (see ${module.networking}) and play it back, e.g. for team or proximity voice chat. Voice data is compressed by Steam, so it uses little bandwidth.
+ * 
+ * @section_func Functions
+ * @desc The following functions are provided for voice chat:
+ * @ref steam_voice_start_recording
+ * @ref steam_voice_stop_recording
+ * @ref steam_voice_get_compressed
+ * @ref steam_voice_decompress
+ * @ref steam_voice_get_optimal_sample_rate
+ * @section_end
+ * 
+ * @module_end
+ */
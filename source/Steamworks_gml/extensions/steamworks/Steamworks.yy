@@ -254,6 +254,76 @@
         {"$GMExtensionConstant":"","%Name":"steam_music_playback_paused","hidden":false,"name":"steam_music_playback_paused","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2",},
         {"$GMExtensionConstant":"","%Name":"steam_music_playback_idle","hidden":false,"name":"steam_music_playback_idle","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"3",},
         {"$GMExtensionConstant":"","%Name":"steam_item_instance_id_invalid","hidden":false,"name":"steam_item_instance_id_invalid","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"0xFFFFFFFFFFFFFFFF",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_connection_state_none","hidden":false,"name":"steam_net_connection_state_none","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"0",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_connection_state_connecting","hidden":false,"name":"steam_net_connection_state_connecting","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_connection_state_finding_route","hidden":false,"name":"steam_net_connection_state_finding_route","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_connection_state_connected","hidden":false,"name":"steam_net_connection_state_connected","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"3",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_connection_state_closed_by_peer","hidden":false,"name":"steam_net_connection_state_closed_by_peer","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"4",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_connection_state_problem_detected_locally","hidden":false,"name":"steam_net_connection_state_problem_detected_locally","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"5",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_relay_availability_cannot_try","hidden":false,"name":"steam_net_relay_availability_cannot_try","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"-102",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_relay_availability_failed","hidden":false,"name":"steam_net_relay_availability_failed","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"-101",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_relay_availability_previously","hidden":false,"name":"steam_net_relay_availability_previously","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"-100",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_relay_availability_retrying","hidden":false,"name":"steam_net_relay_availability_retrying","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"-10",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_relay_availability_never_tried","hidden":false,"name":"steam_net_relay_availability_never_tried","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_relay_availability_waiting","hidden":false,"name":"steam_net_relay_availability_waiting","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_relay_availability_attempting","hidden":false,"name":"steam_net_relay_availability_attempting","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"3",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_relay_availability_current","hidden":false,"name":"steam_net_relay_availability_current","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"100",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_relay_availability_unknown","hidden":false,"name":"steam_net_relay_availability_unknown","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"0",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_send_result_ok","hidden":false,"name":"steam_net_send_result_ok","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_send_result_fail","hidden":false,"name":"steam_net_send_result_fail","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"0",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_send_result_invalid_param","hidden":false,"name":"steam_net_send_result_invalid_param","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"-1",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_send_result_limit_exceeded","hidden":false,"name":"steam_net_send_result_limit_exceeded","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"-2",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_send_result_no_connection","hidden":false,"name":"steam_net_send_result_no_connection","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"-3",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_p2p_session_error_none","hidden":false,"name":"steam_net_p2p_session_error_none","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"0",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_p2p_session_error_not_running_app","hidden":false,"name":"steam_net_p2p_session_error_not_running_app","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_p2p_session_error_no_rights_to_app","hidden":false,"name":"steam_net_p2p_session_error_no_rights_to_app","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_p2p_session_error_destination_not_logged_in","hidden":false,"name":"steam_net_p2p_session_error_destination_not_logged_in","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"3",},
+        {"$GMExtensionConstant":"","%Name":"steam_net_p2p_session_error_timeout","hidden":false,"name":"steam_net_p2p_session_error_timeout","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"4",},
+        {"$GMExtensionConstant":"","%Name":"steam_lobby_chat_entry_type_chat_message","hidden":false,"name":"steam_lobby_chat_entry_type_chat_message","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1",},
+        {"$GMExtensionConstant":"","%Name":"steam_lobby_chat_entry_type_typing","hidden":false,"name":"steam_lobby_chat_entry_type_typing","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2",},
+        {"$GMExtensionConstant":"","%Name":"steam_server_list_type_internet","hidden":false,"name":"steam_server_list_type_internet","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"0",},
+        {"$GMExtensionConstant":"","%Name":"steam_server_list_type_lan","hidden":false,"name":"steam_server_list_type_lan","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1",},
+        {"$GMExtensionConstant":"","%Name":"steam_server_list_type_friends","hidden":false,"name":"steam_server_list_type_friends","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2",},
+        {"$GMExtensionConstant":"","%Name":"steam_server_list_type_favorites","hidden":false,"name":"steam_server_list_type_favorites","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"3",},
+        {"$GMExtensionConstant":"","%Name":"steam_server_list_type_history","hidden":false,"name":"steam_server_list_type_history","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"4",},
+        {"$GMExtensionConstant":"","%Name":"steam_gameserver_mode_no_authentication","hidden":false,"name":"steam_gameserver_mode_no_authentication","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1",},
+        {"$GMExtensionConstant":"","%Name":"steam_gameserver_mode_authentication","hidden":false,"name":"steam_gameserver_mode_authentication","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2",},
+        {"$GMExtensionConstant":"","%Name":"steam_gameserver_mode_authentication_and_secure","hidden":false,"name":"steam_gameserver_mode_authentication_and_secure","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"3",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_none","hidden":false,"name":"steam_friend_flag_none","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"0",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_blocked","hidden":false,"name":"steam_friend_flag_blocked","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_friendship_requested","hidden":false,"name":"steam_friend_flag_friendship_requested","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_immediate","hidden":false,"name":"steam_friend_flag_immediate","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"4",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_clan_member","hidden":false,"name":"steam_friend_flag_clan_member","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"8",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_on_game_server","hidden":false,"name":"steam_friend_flag_on_game_server","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"16",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_requesting_friendship","hidden":false,"name":"steam_friend_flag_requesting_friendship","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"128",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_requesting_info","hidden":false,"name":"steam_friend_flag_requesting_info","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"256",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_ignored","hidden":false,"name":"steam_friend_flag_ignored","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"512",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_ignored_friend","hidden":false,"name":"steam_friend_flag_ignored_friend","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1024",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_chat_member","hidden":false,"name":"steam_friend_flag_chat_member","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"4096",},
+        {"$GMExtensionConstant":"","%Name":"steam_friend_flag_all","hidden":false,"name":"steam_friend_flag_all","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"65535",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_state_offline","hidden":false,"name":"steam_persona_state_offline","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"0",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_state_online","hidden":false,"name":"steam_persona_state_online","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_state_busy","hidden":false,"name":"steam_persona_state_busy","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_state_away","hidden":false,"name":"steam_persona_state_away","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"3",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_state_snooze","hidden":false,"name":"steam_persona_state_snooze","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"4",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_state_looking_to_trade","hidden":false,"name":"steam_persona_state_looking_to_trade","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"5",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_state_looking_to_play","hidden":false,"name":"steam_persona_state_looking_to_play","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"6",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_state_invisible","hidden":false,"name":"steam_persona_state_invisible","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"7",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_name","hidden":false,"name":"steam_persona_change_name","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_status","hidden":false,"name":"steam_persona_change_status","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_come_online","hidden":false,"name":"steam_persona_change_come_online","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"4",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_gone_offline","hidden":false,"name":"steam_persona_change_gone_offline","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"8",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_game_played","hidden":false,"name":"steam_persona_change_game_played","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"16",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_game_server","hidden":false,"name":"steam_persona_change_game_server","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"32",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_avatar","hidden":false,"name":"steam_persona_change_avatar","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"64",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_joined_source","hidden":false,"name":"steam_persona_change_joined_source","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"128",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_left_source","hidden":false,"name":"steam_persona_change_left_source","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"256",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_relationship_changed","hidden":false,"name":"steam_persona_change_relationship_changed","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"512",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_name_first_set","hidden":false,"name":"steam_persona_change_name_first_set","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"1024",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_broadcast","hidden":false,"name":"steam_persona_change_broadcast","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"2048",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_nickname","hidden":false,"name":"steam_persona_change_nickname","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"4096",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_steam_level","hidden":false,"name":"steam_persona_change_steam_level","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"8192",},
+        {"$GMExtensionConstant":"","%Name":"steam_persona_change_rich_presence","hidden":false,"name":"steam_persona_change_rich_presence","resourceType":"GMExtensionConstant","resourceVersion":"2.0","value":"16384",},
       ],"copyToTargets":194,"filename":"Steamworks.ext","final":"","functions":[
         {"$GMExtensionFunction":"","%Name":"steam_user_owns_dlc","argCount":1,"args":[2,],"documentation":"/// @param {Int64} dlc_id The unique identifier for the DLC to be checked.\n/// @returns {Real}","externalName":"steam_user_owns_dlc","help":"steam_user_owns_dlc(dlc_id)","hidden":false,"kind":11,"name":"steam_user_owns_dlc","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_user_installed_dlc","argCount":1,"args":[2,],"documentation":"/// @param {Int64} dlc_id The unique identifier for the DLC to be checked.\n/// @returns {Bool}","externalName":"steam_user_installed_dlc","help":"steam_user_installed_dlc(dlc_id)","hidden":false,"kind":11,"name":"steam_user_installed_dlc","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
@@ -344,8 +414,8 @@
         {"$GMExtensionFunction":"","%Name":"steam_shutdown","argCount":0,"args":[],"documentation":"/// @returns {Undefined}","externalName":"steam_shutdown","help":"steam_shutdown()","hidden":false,"kind":1,"name":"steam_shutdown","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_is_subscribed","argCount":0,"args":[],"documentation":"/// @returns {Bool}","externalName":"steam_is_subscribed","help":"steam_is_subscribed()","hidden":false,"kind":1,"name":"steam_is_subscribed","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_set_warning_message_hook","argCount":0,"args":[],"documentation":"/// @returns {Undefined}","externalName":"steam_set_warning_message_hook","help":"steam_set_warning_message_hook()","hidden":false,"kind":1,"name":"steam_set_warning_message_hook","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
-        {"$GMExtensionFunction":"","%Name":"steam_lobby_send_chat_message","argCount":0,"args":[1,],"documentation":"/// @param {String} text The string to be sent (up to 4000 characters)\n/// @returns {Bool}","externalName":"steam_lobby_send_chat_message","help":"steam_lobby_send_chat_message(text)","hidden":false,"kind":4,"name":"steam_lobby_send_chat_message","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
-        {"$GMExtensionFunction":"","%Name":"steam_lobby_send_chat_message_buffer","argCount":0,"args":[2,2,],"documentation":"/// @param {Id.Buffer} buffer The buffer to be sent (up to 4 Kilobytes in size)\n/// @param {Real} size The amount of byte to be sent (there is no offset).\n/// @returns {Bool}","externalName":"steam_lobby_send_chat_message_buffer","help":"steam_lobby_send_chat_message_buffer(buf, size)","hidden":false,"kind":4,"name":"steam_lobby_send_chat_message_buffer","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_send_chat_message","argCount":0,"args":[1,],"documentation":"/// @param {String} text The string to be sent (up to 4000 characters)\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\n/// @returns {Bool}","externalName":"steam_lobby_send_chat_message","help":"steam_lobby_send_chat_message(text)","hidden":false,"kind":4,"name":"steam_lobby_send_chat_message","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_send_chat_message_buffer","argCount":0,"args":[2,2,],"documentation":"/// @param {Id.Buffer} buffer The buffer to be sent (up to 4 Kilobytes in size)\n/// @param {Real} size The amount of byte to be sent (there is no offset).\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\n/// @returns {Bool}","externalName":"steam_lobby_send_chat_message_buffer","help":"steam_lobby_send_chat_message_buffer(buf, size)","hidden":false,"kind":4,"name":"steam_lobby_send_chat_message_buffer","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_get_chat_message_text","argCount":0,"args":[2,],"documentation":"/// @param {Real} index Message index\n/// @returns {String}","externalName":"steam_lobby_get_chat_message_text","help":"steam_lobby_get_chat_message_text(message_index)","hidden":false,"kind":4,"name":"steam_lobby_get_chat_message_text","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_get_chat_message_size","argCount":0,"args":[2,],"documentation":"/// @param {Real} message_index The argument to be passed in\n/// @returns {Real}","externalName":"steam_lobby_get_chat_message_size","help":"steam_lobby_get_chat_message_size(message_index)","hidden":false,"kind":4,"name":"steam_lobby_get_chat_message_size","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_get_chat_message_data","argCount":0,"args":[2,2,],"documentation":"/// @param {Real} message_index The message unique identifier\n/// @param {Id.Buffer} buffer The buffer to write the data to\n/// @returns {Bool}","externalName":"steam_lobby_get_chat_message_data","help":"steam_lobby_get_chat_message_data(message_index, buf)","hidden":false,"kind":4,"name":"steam_lobby_get_chat_message_data","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
@@ -353,10 +423,10 @@
         {"$GMExtensionFunction":"","%Name":"steam_lobby_leave","argCount":0,"args":[],"documentation":"/// @returns {Undefined}","externalName":"steam_lobby_leave","help":"steam_lobby_leave()","hidden":false,"kind":4,"name":"steam_lobby_leave","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_is_owner","argCount":0,"args":[],"documentation":"/// @returns {Bool}","externalName":"steam_lobby_is_owner","help":"steam_lobby_is_owner()","hidden":false,"kind":4,"name":"steam_lobby_is_owner","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_get_owner_id","argCount":0,"args":[],"documentation":"/// @returns {Int64}","externalName":"steam_lobby_get_owner_id","help":"steam_lobby_get_owner_id()","hidden":false,"kind":4,"name":"steam_lobby_get_owner_id","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
-        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_owner_id","argCount":0,"args":[2,],"documentation":"/// @param {Bool} user_id The user to set as owner of the lobby\n/// @returns {Bool}","externalName":"steam_lobby_set_owner_id","help":"steam_lobby_set_owner_id(user_id)","hidden":false,"kind":4,"name":"steam_lobby_set_owner_id","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
-        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_joinable","argCount":0,"args":[2,],"documentation":"/// @param {Bool} joinable Allow ( **true** ) or prevent ( **false** ) users from joining this lobby\n/// @returns {Bool}","externalName":"steam_lobby_set_joinable","help":"steam_lobby_set_joinable(joinable)","hidden":false,"kind":4,"name":"steam_lobby_set_joinable","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_owner_id","argCount":0,"args":[2,],"documentation":"/// @param {Bool} user_id The user to set as owner of the lobby\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\n/// @returns {Bool}","externalName":"steam_lobby_set_owner_id","help":"steam_lobby_set_owner_id(user_id)","hidden":false,"kind":4,"name":"steam_lobby_set_owner_id","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_joinable","argCount":0,"args":[2,],"documentation":"/// @param {Bool} joinable Allow ( **true** ) or prevent ( **false** ) users from joining this lobby\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\n/// @returns {Bool}","externalName":"steam_lobby_set_joinable","help":"steam_lobby_set_joinable(joinable)","hidden":false,"kind":4,"name":"steam_lobby_set_joinable","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_get_member_count","argCount":0,"args":[],"documentation":"/// @returns {Real}","externalName":"steam_lobby_get_member_count","help":"steam_lobby_get_member_count()","hidden":false,"kind":4,"name":"steam_lobby_get_member_count","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
-        {"$GMExtensionFunction":"","%Name":"steam_lobby_get_member_id","argCount":0,"args":[2,],"documentation":"/// @param {Real} index Position of the member of the lobby to return\n/// @returns {Int64}","externalName":"steam_lobby_get_member_id","help":"steam_lobby_get_member_id(index)","hidden":false,"kind":4,"name":"steam_lobby_get_member_id","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_get_member_id","argCount":0,"args":[2,],"documentation":"/// @param {Real} index Position of the member of the lobby to return\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\n/// @returns {Int64}","externalName":"steam_lobby_get_member_id","help":"steam_lobby_get_member_id(index)","hidden":false,"kind":4,"name":"steam_lobby_get_member_id","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_activate_invite_overlay","argCount":0,"args":[],"documentation":"/// @returns {Bool}","externalName":"steam_lobby_activate_invite_overlay","help":"steam_lobby_activate_invite_overlay()","hidden":false,"kind":4,"name":"steam_lobby_activate_invite_overlay","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_list_request","argCount":0,"args":[],"documentation":"/// @returns {Undefined}","externalName":"steam_lobby_list_request","help":"steam_lobby_list_request()","hidden":false,"kind":4,"name":"steam_lobby_list_request","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_list_add_string_filter","argCount":0,"args":[1,1,2,],"documentation":"/// @param {String} key The filter key name to match\n/// @param {String} value The string to compare\n/// @param {Real} comparison_type The type of comparison to make, see constants (strings only accepts equal or not equal comparison)\n/// @returns {Bool}","externalName":"steam_lobby_list_add_string_filter","help":"steam_lobby_list_add_string_filter(key, value, comparison_type)","hidden":false,"kind":4,"name":"steam_lobby_list_add_string_filter","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
@@ -369,18 +439,18 @@
         {"$GMExtensionFunction":"","%Name":"steam_lobby_list_get_lobby_owner_id","argCount":0,"args":[2,],"documentation":"/// @param {Real} index The lobby index from the lobby list request result\n/// @returns {Int64}","externalName":"steam_lobby_list_get_lobby_owner_id","help":"steam_lobby_list_get_lobby_owner_id(index)","hidden":false,"kind":4,"name":"steam_lobby_list_get_lobby_owner_id","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_list_get_lobby_member_count","argCount":0,"args":[2,],"documentation":"/// @param {Real} lobby_index The lobby ID of the lobby to get the number of members of.\n/// @returns {Real}","externalName":"steam_lobby_list_get_lobby_member_count","help":"steam_lobby_list_get_lobby_member_count(lobby_index)","hidden":false,"kind":4,"name":"steam_lobby_list_get_lobby_member_count","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_list_get_lobby_member_id","argCount":0,"args":[2,2,],"documentation":"/// @param {Real} lobby_index This MUST be an index ranging from 0 to steam_lobby_list_get_count\n/// @param {Real} member_index This MUST be an index ranging from 0 to steam_lobby_list_get_lobby_member_count of the lobby index\n/// @returns {Int64}","externalName":"steam_lobby_list_get_lobby_member_id","help":"steam_lobby_list_get_lobby_member_id( lobby_index, member_index)","hidden":false,"kind":4,"name":"steam_lobby_list_get_lobby_member_id","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
-        {"$GMExtensionFunction":"","%Name":"steam_lobby_list_join","argCount":0,"args":[2,],"documentation":"/// @param {Real} index Position of the lobby in the list\n/// @returns {Undefined}","externalName":"steam_lobby_list_join","help":"steam_lobby_list_join(index)","hidden":false,"kind":4,"name":"steam_lobby_list_join","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_list_join","argCount":0,"args":[2,],"documentation":"/// @param {Real} index Position of the lobby in the list\n/// @param {Bool} [leave_current] Whether to leave the current lobby first\n/// @returns {Undefined}","externalName":"steam_lobby_list_join","help":"steam_lobby_list_join(index)","hidden":false,"kind":4,"name":"steam_lobby_list_join","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_join_id","argCount":0,"args":[2,],"documentation":"/// @param {Int64} lobby_id Identifier of the lobby\n/// @returns {Undefined}","externalName":"steam_lobby_join_id","help":"steam_lobby_join_id(lobby_id)","hidden":false,"kind":4,"name":"steam_lobby_join_id","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
-        {"$GMExtensionFunction":"","%Name":"steam_lobby_create","argCount":0,"args":[2,2,],"documentation":"/// @param {Real} type Constant that indicate the status of the lobby (see constants)\n/// @param {Real} max_members Indicates the maximum allowed number of users in the lobby (including the lobby's creator)\n/// @returns {Bool}","externalName":"steam_lobby_create","help":"steam_lobby_create(type, max_members)","hidden":false,"kind":4,"name":"steam_lobby_create","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
-        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_data","argCount":0,"args":[1,2,],"documentation":"/// @param {String} key The key to set the data for\n/// @param {String} value The value to set\n/// @returns {Bool}","externalName":"steam_lobby_set_data","help":"steam_lobby_set_data(key, value)","hidden":false,"kind":4,"name":"steam_lobby_set_data","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
-        {"$GMExtensionFunction":"","%Name":"steam_lobby_get_data","argCount":0,"args":[1,],"documentation":"/// @param {String} key String representation of the data\n/// @returns {String}","externalName":"steam_lobby_get_data","help":"steam_lobby_get_data(key)","hidden":false,"kind":4,"name":"steam_lobby_get_data","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
-        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_type","argCount":0,"args":[2,],"documentation":"/// @param {Real} type The lobby visibility (see constants).\n/// @returns {Undefined}","externalName":"steam_lobby_set_type","help":"steam_lobby_set_type(type)","hidden":false,"kind":4,"name":"steam_lobby_set_type","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_create","argCount":0,"args":[2,2,],"documentation":"/// @param {Real} type Constant that indicate the status of the lobby (see constants)\n/// @param {Real} max_members Indicates the maximum allowed number of users in the lobby (including the lobby's creator)\n/// @param {Bool} [leave_current] Whether to leave the current lobby first\n/// @returns {Bool}","externalName":"steam_lobby_create","help":"steam_lobby_create(type, max_members)","hidden":false,"kind":4,"name":"steam_lobby_create","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_data","argCount":0,"args":[1,2,],"documentation":"/// @param {String} key The key to set the data for\n/// @param {String} value The value to set\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\n/// @returns {Bool}","externalName":"steam_lobby_set_data","help":"steam_lobby_set_data(key, value)","hidden":false,"kind":4,"name":"steam_lobby_set_data","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_get_data","argCount":0,"args":[1,],"documentation":"/// @param {String} key String representation of the data\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\n/// @returns {String}","externalName":"steam_lobby_get_data","help":"steam_lobby_get_data(key)","hidden":false,"kind":4,"name":"steam_lobby_get_data","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_type","argCount":0,"args":[2,],"documentation":"/// @param {Real} type The lobby visibility (see constants).\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\n/// @returns {Undefined}","externalName":"steam_lobby_set_type","help":"steam_lobby_set_type(type)","hidden":false,"kind":4,"name":"steam_lobby_set_type","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_lobby_list_is_loading","argCount":0,"args":[],"documentation":"/// @returns {Bool}","externalName":"steam_lobby_list_is_loading","help":"steam_lobby_list_is_loading()","hidden":false,"kind":4,"name":"steam_lobby_list_is_loading","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_net_set_auto_accept_p2p_sessions","argCount":0,"args":[2,],"documentation":"/// @param {Bool} enable disable/enable auto accept sessions\n/// @returns {Undefined}","externalName":"steam_net_set_auto_accept_p2p_sessions","help":"steam_net_set_auto_accept_p2p_sessions(auto_accept)","hidden":false,"kind":4,"name":"steam_net_set_auto_accept_p2p_sessions","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_net_accept_p2p_session","argCount":0,"args":[2,],"documentation":"/// @param {Int64} userID The User ID of the user that sent the initial packet to us.\n/// @returns {Bool}","externalName":"steam_net_accept_p2p_session","help":"steam_net_accept_p2p_session(user_id)","hidden":false,"kind":4,"name":"steam_net_accept_p2p_session","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_net_close_p2p_session","argCount":0,"args":[2,],"documentation":"/// @param {Int64} user_id The user ID of the user to close the connection with.\n/// @returns {Bool}","externalName":"steam_net_close_p2p_session","help":"steam_net_close_p2p_session(user_id)","hidden":false,"kind":4,"name":"steam_net_close_p2p_session","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_net_packet_set_type","argCount":0,"args":[2,],"documentation":"/// @param {Real} protocol The default connection protocol to be used (see constants).\n/// @returns {Bool}","externalName":"steam_net_packet_set_type","help":"steam_net_packet_set_type(type)","hidden":false,"kind":4,"name":"steam_net_packet_set_type","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
-        {"$GMExtensionFunction":"","%Name":"steam_net_packet_send","argCount":0,"args":[2,1,2,],"documentation":"/// @param {Int64} user_id The target user to send the packet to\n/// @param {Id.Buffer} buffer Buffer that contains the raw byte array for the packet data to send\n/// @param {Real} size The size of data to send (default -1, sends the entire buffer) OPTIONAL\n/// @param {Real} packet_type The type of packet to be used (Optional)\n/// @returns {Bool}","externalName":"steam_net_packet_send","help":"steam_net_packet_send(id, data, size)","hidden":false,"kind":4,"name":"steam_net_packet_send","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_packet_send","argCount":0,"args":[2,1,2,],"documentation":"/// @param {Int64} user_id The target user to send the packet to\n/// @param {Id.Buffer} buffer Buffer that contains the raw byte array for the packet data to send\n/// @param {Real} size The size of data to send (default -1, sends the entire buffer) OPTIONAL\n/// @param {Real} packet_type The type of packet to be used (Optional)\n/// @param {Real} channel The channel to send the packet on (Optional)\n/// @returns {Real}","externalName":"steam_net_packet_send","help":"steam_net_packet_send(id, data, size)","hidden":false,"kind":4,"name":"steam_net_packet_send","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_net_packet_receive","argCount":0,"args":[],"documentation":"/// @returns {Bool}","externalName":"steam_net_packet_receive","help":"steam_net_packet_receive()","hidden":false,"kind":4,"name":"steam_net_packet_receive","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_net_packet_get_size","argCount":0,"args":[],"documentation":"/// @returns {Real}","externalName":"steam_net_packet_get_size","help":"steam_net_packet_get_size()","hidden":false,"kind":4,"name":"steam_net_packet_get_size","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_net_packet_get_data","argCount":0,"args":[2,],"documentation":"/// @param {Id.Buffer} buffer The buffer to write the incoming data to.\n/// @returns {Bool}","externalName":"steam_net_packet_get_data","help":"steam_net_packet_get_data(data)","hidden":false,"kind":4,"name":"steam_net_packet_get_data","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
@@ -390,7 +460,7 @@
         {"$GMExtensionFunction":"","%Name":"steam_get_user_persona_name_sync","argCount":0,"args":[2,],"documentation":"/// @returns {String}","externalName":"steam_get_user_persona_name_sync","help":"steam_get_user_persona_name_sync(user_id)","hidden":false,"kind":4,"name":"steam_get_user_persona_name_sync","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_set_rich_presence","argCount":0,"args":[1,1,],"documentation":"/// @param {String} key The rich presence 'key' to set\n/// @param {String} value The rich presence 'value' to associate\n/// @returns {Undefined}","externalName":"steam_set_rich_presence","help":"steam_set_rich_presence(pchKey, pchValue)","hidden":false,"kind":4,"name":"steam_set_rich_presence","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_clear_rich_presence","argCount":0,"args":[],"documentation":"/// @returns {Undefined}","externalName":"steam_clear_rich_presence","help":"steam_clear_rich_presence()","hidden":false,"kind":4,"name":"steam_clear_rich_presence","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
-        {"$GMExtensionFunction":"","%Name":"steam_get_user_avatar","argCount":0,"args":[2,2,],"documentation":"/// @param {Int64} userID The user Steam unique identifier\n/// @param {Real} avatar_size The size of the avatar to be requested (see constants)\n/// @returns {Real}","externalName":"steam_get_user_avatar","help":"steam_get_user_avatar(user_id, avatar_size)","hidden":false,"kind":4,"name":"steam_get_user_avatar","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
+        {"$GMExtensionFunction":"","%Name":"steam_get_user_avatar","argCount":0,"args":[2,2,],"documentation":"/// @param {Int64} userID The user Steam unique identifier\n/// @param {Real} [avatar_size] The size of the avatar to be requested (see constants, default small)\n/// @returns {Real}","externalName":"steam_get_user_avatar","help":"steam_get_user_avatar(user_id, avatar_size)","hidden":false,"kind":4,"name":"steam_get_user_avatar","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_image_get_size","argCount":0,"args":[2,],"documentation":"/// @param {Int64} steam_image_id steam identifier of the image\n/// @returns {Array}","externalName":"steam_image_get_size","help":"steam_image_get_size(img)","hidden":false,"kind":4,"name":"steam_image_get_size","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_image_get_rgba","argCount":0,"args":[2,2,2,],"documentation":"/// @param {Int64} steam_image_id The steam image identifier\n/// @param {Id.Buffer} buffer The buffer where data will be written\n/// @param {Real} size The size of the buffer supplied\n/// @returns {Boolean}","externalName":"steam_image_get_rgba","help":"steam_image_get_rgba(img, dest_buf, buf_size)","hidden":false,"kind":4,"name":"steam_image_get_rgba","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
         {"$GMExtensionFunction":"","%Name":"steam_image_get_bgra","argCount":0,"args":[2,2,2,],"documentation":"/// @param {Int64} steam_image_id The steam image identifier\n/// @param {Id.Buffer} buffer The buffer where data will be written\n/// @param {Real} size The size of the buffer supplied\n/// @returns {Boolean}","externalName":"steam_image_get_bgra","help":"steam_image_get_bgra(img, dest_buf, buf_size)","hidden":false,"kind":4,"name":"steam_image_get_bgra","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":2,},
@@ -517,6 +587,102 @@
         {"$GMExtensionFunction":"","%Name":"steam_file_read_buffer","argCount":0,"args":[],"documentation":"/// @param {string} filename The name of the file to read from.\r\n/// @param {Id.Buffer} [bufferId] OPTIONAL: ID of the buffer to read into, or -1 to create a new one. You are responsible for calling buffer_delete in both cases.\r\n/// @param {real} [offset] OPTIONAL: Offset at which to begin writing data into the buffer, if creating a new buffer this argument is ignored. \r\n/// @returns {Id.Buffer|undefined}","externalName":"","help":"","hidden":false,"kind":4,"name":"steam_file_read_buffer","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_file_write_buffer","argCount":0,"args":[],"documentation":"/// @param {string} filename The name of the file to write or create.\r\n/// @param {Id.Buffer} bufferId ID of the buffer to read from, any seek positions are ignored and the buffer will be read in full.\r\n/// @returns {bool}","externalName":"","help":"","hidden":false,"kind":4,"name":"steam_file_write_buffer","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
         {"$GMExtensionFunction":"","%Name":"steam_user_get_auth_ticket_for_web_api","argCount":0,"args":[],"documentation":"@param {string} [identity] OPTIONAL: The identity of the remote service that will authenticate the ticket. The service should provide a string identifier.\r\n@returns {real}","externalName":"steam_user_get_auth_ticket_for_web_api","help":"","hidden":false,"kind":4,"name":"steam_user_get_auth_ticket_for_web_api","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_sockets_create_listen_socket_p2p","argCount":0,"args":[],"documentation":"/// @param {real} [virtual_port] OPTIONAL: The virtual port to listen on (default 0)\r\n/// @returns {real}","externalName":"steam_net_sockets_create_listen_socket_p2p","help":"","hidden":false,"kind":4,"name":"steam_net_sockets_create_listen_socket_p2p","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_sockets_close_listen_socket","argCount":0,"args":[],"documentation":"/// @param {real} listen_socket The listen socket handle\r\n/// @returns {bool}","externalName":"steam_net_sockets_close_listen_socket","help":"","hidden":false,"kind":4,"name":"steam_net_sockets_close_listen_socket","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_sockets_connect_p2p","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The user to connect to\r\n/// @param {real} [virtual_port] OPTIONAL: The remote virtual port (default 0)\r\n/// @returns {real}","externalName":"steam_net_sockets_connect_p2p","help":"","hidden":false,"kind":4,"name":"steam_net_sockets_connect_p2p","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_sockets_accept_connection","argCount":0,"args":[],"documentation":"/// @param {real} connection The connection handle\r\n/// @returns {real}","externalName":"steam_net_sockets_accept_connection","help":"","hidden":false,"kind":4,"name":"steam_net_sockets_accept_connection","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_sockets_close_connection","argCount":0,"args":[],"documentation":"/// @param {real} connection The connection handle\r\n/// @param {real} [reason] OPTIONAL: Application defined end reason\r\n/// @param {string} [debug] OPTIONAL: Debug message\r\n/// @param {bool} [linger] OPTIONAL: Flush pending reliable data before closing\r\n/// @returns {bool}","externalName":"steam_net_sockets_close_connection","help":"","hidden":false,"kind":4,"name":"steam_net_sockets_close_connection","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_sockets_send_message","argCount":0,"args":[],"documentation":"/// @param {real} connection The connection handle\r\n/// @param {Id.Buffer} buffer Buffer that contains the message data\r\n/// @param {real} [size] OPTIONAL: The size of data to send (default -1, sends the entire buffer)\r\n/// @param {real} [packet_type] OPTIONAL: The type of packet to be used (default reliable)\r\n/// @returns {real}","externalName":"steam_net_sockets_send_message","help":"","hidden":false,"kind":4,"name":"steam_net_sockets_send_message","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_sockets_receive_message","argCount":0,"args":[],"documentation":"/// @param {real} connection The connection handle\r\n/// @param {Id.Buffer} buffer The buffer to write the message to\r\n/// @returns {real}","externalName":"steam_net_sockets_receive_message","help":"","hidden":false,"kind":4,"name":"steam_net_sockets_receive_message","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_messages_send","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The target user to send the message to\r\n/// @param {Id.Buffer} buffer Buffer that contains the message data\r\n/// @param {real} [size] OPTIONAL: The size of data to send (default -1, sends the entire buffer)\r\n/// @param {real} [packet_type] OPTIONAL: The type of packet to be used (default reliable)\r\n/// @param {real} [channel] OPTIONAL: The channel to send the message on (default 0)\r\n/// @returns {real}","externalName":"steam_net_messages_send","help":"","hidden":false,"kind":4,"name":"steam_net_messages_send","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_messages_receive","argCount":0,"args":[],"documentation":"/// @param {real} channel The channel to receive from\r\n/// @param {Id.Buffer} buffer The buffer to write the message to\r\n/// @returns {real}","externalName":"steam_net_messages_receive","help":"","hidden":false,"kind":4,"name":"steam_net_messages_receive","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_messages_get_sender_id","argCount":0,"args":[],"documentation":"/// @returns {int64}","externalName":"steam_net_messages_get_sender_id","help":"","hidden":false,"kind":4,"name":"steam_net_messages_get_sender_id","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_messages_accept_session","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The user that requested the session\r\n/// @returns {bool}","externalName":"steam_net_messages_accept_session","help":"","hidden":false,"kind":4,"name":"steam_net_messages_accept_session","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_messages_close_session","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The user to close the session with\r\n/// @returns {bool}","externalName":"steam_net_messages_close_session","help":"","hidden":false,"kind":4,"name":"steam_net_messages_close_session","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_messages_close_channel","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The user to close the channel with\r\n/// @param {real} channel The channel to close\r\n/// @returns {bool}","externalName":"steam_net_messages_close_channel","help":"","hidden":false,"kind":4,"name":"steam_net_messages_close_channel","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_sockets_get_connection_status","argCount":0,"args":[],"documentation":"/// @param {real} connection The connection handle\r\n/// @returns {struct|undefined}","externalName":"steam_net_sockets_get_connection_status","help":"","hidden":false,"kind":4,"name":"steam_net_sockets_get_connection_status","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_messages_get_session_status","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the remote user\r\n/// @returns {struct|undefined}","externalName":"steam_net_messages_get_session_status","help":"","hidden":false,"kind":4,"name":"steam_net_messages_get_session_status","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_init_relay_network_access","argCount":0,"args":[],"documentation":"/// @returns {bool}","externalName":"steam_net_init_relay_network_access","help":"","hidden":false,"kind":4,"name":"steam_net_init_relay_network_access","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_get_relay_network_status","argCount":0,"args":[],"documentation":"/// @returns {real}","externalName":"steam_net_get_relay_network_status","help":"","hidden":false,"kind":4,"name":"steam_net_get_relay_network_status","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_get_ping_location","argCount":0,"args":[],"documentation":"/// @returns {string}","externalName":"steam_net_get_ping_location","help":"","hidden":false,"kind":4,"name":"steam_net_get_ping_location","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_estimate_ping_between","argCount":0,"args":[],"documentation":"/// @param {string} location1 The first ping location string\r\n/// @param {string} location2 The second ping location string\r\n/// @returns {real}","externalName":"steam_net_estimate_ping_between","help":"","hidden":false,"kind":4,"name":"steam_net_estimate_ping_between","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_estimate_ping_from_local","argCount":0,"args":[],"documentation":"/// @param {string} location The ping location string\r\n/// @returns {real}","externalName":"steam_net_estimate_ping_from_local","help":"","hidden":false,"kind":4,"name":"steam_net_estimate_ping_from_local","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_get_p2p_session_state","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the remote user\r\n/// @returns {struct|undefined}","externalName":"steam_net_get_p2p_session_state","help":"","hidden":false,"kind":4,"name":"steam_net_get_p2p_session_state","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_net_packet_receive_all","argCount":0,"args":[],"documentation":"/// @param {Id.Buffer} buffer The buffer to write the incoming packets to\r\n/// @param {real} [channel_count] OPTIONAL: The number of channels to receive from (default 1)\r\n/// @returns {real}","externalName":"steam_net_packet_receive_all","help":"","hidden":false,"kind":4,"name":"steam_net_packet_receive_all","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_loopback_start","argCount":0,"args":[],"documentation":"/// @param {real} index The index of this game instance (0 to count - 1)\r\n/// @param {real} [count] OPTIONAL: The number of game instances (default 4)\r\n/// @param {real} [base_port] OPTIONAL: The UDP port of the first instance (default 27100)\r\n/// @returns {bool}","externalName":"steam_loopback_start","help":"","hidden":false,"kind":4,"name":"steam_loopback_start","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_loopback_stop","argCount":0,"args":[],"documentation":"/// @returns {bool}","externalName":"steam_loopback_stop","help":"","hidden":false,"kind":4,"name":"steam_loopback_stop","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_loopback_is_active","argCount":0,"args":[],"documentation":"/// @returns {bool}","externalName":"steam_loopback_is_active","help":"","hidden":false,"kind":4,"name":"steam_loopback_is_active","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_member_data","argCount":0,"args":[],"documentation":"/// @param {string} key The key to set the data for\r\n/// @param {string} value The value to set\r\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\r\n/// @returns {bool}","externalName":"steam_lobby_set_member_data","help":"","hidden":false,"kind":4,"name":"steam_lobby_set_member_data","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_get_member_data","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the lobby member\r\n/// @param {string} key The key to get the data for\r\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\r\n/// @returns {string}","externalName":"steam_lobby_get_member_data","help":"","hidden":false,"kind":4,"name":"steam_lobby_get_member_data","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_get_data_count","argCount":0,"args":[],"documentation":"/// @returns {real}","externalName":"steam_lobby_get_data_count","help":"","hidden":false,"kind":4,"name":"steam_lobby_get_data_count","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_get_data_by_index","argCount":0,"args":[],"documentation":"/// @param {real} index The index of the data field\r\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\r\n/// @returns {struct|undefined}","externalName":"steam_lobby_get_data_by_index","help":"","hidden":false,"kind":4,"name":"steam_lobby_get_data_by_index","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_list_get_data_count","argCount":0,"args":[],"documentation":"/// @param {real} lobby_index The index of the lobby in the list\r\n/// @returns {real}","externalName":"steam_lobby_list_get_data_count","help":"","hidden":false,"kind":4,"name":"steam_lobby_list_get_data_count","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_list_get_data_by_index","argCount":0,"args":[],"documentation":"/// @param {real} lobby_index The index of the lobby in the list\r\n/// @param {real} index The index of the data field\r\n/// @returns {struct|undefined}","externalName":"steam_lobby_list_get_data_by_index","help":"","hidden":false,"kind":4,"name":"steam_lobby_list_get_data_by_index","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_game_server","argCount":0,"args":[],"documentation":"/// @param {string} ip The IPv4 address of the game server\r\n/// @param {real} port The port of the game server\r\n/// @param {int64} [server_id] The Steam ID of the game server\r\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\r\n/// @returns {boolean}","externalName":"steam_lobby_set_game_server","help":"","hidden":false,"kind":4,"name":"steam_lobby_set_game_server","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_get_game_server","argCount":0,"args":[],"documentation":"/// @returns {struct|undefined}","externalName":"steam_lobby_get_game_server","help":"","hidden":false,"kind":4,"name":"steam_lobby_get_game_server","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_invite_user","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the user to invite\r\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\r\n/// @returns {boolean}","externalName":"steam_lobby_invite_user","help":"","hidden":false,"kind":4,"name":"steam_lobby_invite_user","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_list_add_slots_available_filter","argCount":0,"args":[],"documentation":"/// @param {real} slots The minimum number of open slots\r\n/// @returns {boolean}","externalName":"steam_lobby_list_add_slots_available_filter","help":"","hidden":false,"kind":4,"name":"steam_lobby_list_add_slots_available_filter","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_list_add_result_count_filter","argCount":0,"args":[],"documentation":"/// @param {real} max_results The maximum number of lobbies to return\r\n/// @returns {boolean}","externalName":"steam_lobby_list_add_result_count_filter","help":"","hidden":false,"kind":4,"name":"steam_lobby_list_add_result_count_filter","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_list_add_compatible_members_filter","argCount":0,"args":[],"documentation":"/// @param {int64} lobby_id The Steam ID of the lobby whose members to match\r\n/// @returns {boolean}","externalName":"steam_lobby_list_add_compatible_members_filter","help":"","hidden":false,"kind":4,"name":"steam_lobby_list_add_compatible_members_filter","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_member_limit","argCount":0,"args":[],"documentation":"/// @param {real} max_members The new maximum number of members\r\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\r\n/// @returns {boolean}","externalName":"steam_lobby_set_member_limit","help":"","hidden":false,"kind":4,"name":"steam_lobby_set_member_limit","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_get_member_limit","argCount":0,"args":[],"documentation":"/// @returns {real}","externalName":"steam_lobby_get_member_limit","help":"","hidden":false,"kind":4,"name":"steam_lobby_get_member_limit","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_kick_user","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the member to kick\r\n/// @param {boolean} [ban] Whether to also ban the user from joining the lobby again\r\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\r\n/// @returns {boolean}","externalName":"steam_lobby_kick_user","help":"","hidden":false,"kind":4,"name":"steam_lobby_kick_user","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_unban_user","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the user to unban\r\n/// @param {int64} [lobby_id] The ID of the lobby (default: the current lobby)\r\n/// @returns {boolean}","externalName":"steam_lobby_unban_user","help":"","hidden":false,"kind":4,"name":"steam_lobby_unban_user","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_send_chat_typing","argCount":0,"args":[],"documentation":"/// @returns {boolean}","externalName":"steam_lobby_send_chat_typing","help":"","hidden":false,"kind":4,"name":"steam_lobby_send_chat_typing","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_get_joined_lobbies","argCount":0,"args":[],"documentation":"/// @returns {array[int64]}","externalName":"steam_lobby_get_joined_lobbies","help":"","hidden":false,"kind":4,"name":"steam_lobby_get_joined_lobbies","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_lobby_set_current","argCount":0,"args":[],"documentation":"/// @param {int64} lobby_id The ID of the lobby\r\n/// @returns {boolean}","externalName":"steam_lobby_set_current","help":"","hidden":false,"kind":4,"name":"steam_lobby_set_current","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_server_list_add_filter","argCount":0,"args":[],"documentation":"/// @param {string} key The filter key\r\n/// @param {string} value The filter value\r\n/// @returns {boolean}","externalName":"steam_server_list_add_filter","help":"","hidden":false,"kind":4,"name":"steam_server_list_add_filter","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_server_list_clear_filters","argCount":0,"args":[],"documentation":"/// @returns {boolean}","externalName":"steam_server_list_clear_filters","help":"","hidden":false,"kind":4,"name":"steam_server_list_clear_filters","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_server_list_request","argCount":0,"args":[],"documentation":"/// @param {real} type The type of server list (steam_server_list_type_*)\r\n/// @param {real} [app_id] The App ID of the game to list servers for\r\n/// @returns {real}","externalName":"steam_server_list_request","help":"","hidden":false,"kind":4,"name":"steam_server_list_request","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_server_list_is_loading","argCount":0,"args":[],"documentation":"/// @param {real} request_id The request ID\r\n/// @returns {boolean}","externalName":"steam_server_list_is_loading","help":"","hidden":false,"kind":4,"name":"steam_server_list_is_loading","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_server_list_cancel","argCount":0,"args":[],"documentation":"/// @param {real} request_id The request ID\r\n/// @returns {boolean}","externalName":"steam_server_list_cancel","help":"","hidden":false,"kind":4,"name":"steam_server_list_cancel","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_server_request_rules","argCount":0,"args":[],"documentation":"/// @param {string} ip The IPv4 address of the game server\r\n/// @param {real} query_port The query port of the game server\r\n/// @returns {real}","externalName":"steam_server_request_rules","help":"","hidden":false,"kind":4,"name":"steam_server_request_rules","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_server_request_players","argCount":0,"args":[],"documentation":"/// @param {string} ip The IPv4 address of the game server\r\n/// @param {real} query_port The query port of the game server\r\n/// @returns {real}","externalName":"steam_server_request_players","help":"","hidden":false,"kind":4,"name":"steam_server_request_players","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_server_request_cancel","argCount":0,"args":[],"documentation":"/// @param {real} request_id The request ID\r\n/// @returns {boolean}","externalName":"steam_server_request_cancel","help":"","hidden":false,"kind":4,"name":"steam_server_request_cancel","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_server_add_favorite","argCount":0,"args":[],"documentation":"/// @param {string} ip The IPv4 address of the game server\r\n/// @param {real} port The connection port\r\n/// @param {real} query_port The query port\r\n/// @param {boolean} [history] Whether to add to the play history instead\r\n/// @returns {boolean}","externalName":"steam_server_add_favorite","help":"","hidden":false,"kind":4,"name":"steam_server_add_favorite","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_server_remove_favorite","argCount":0,"args":[],"documentation":"/// @param {string} ip The IPv4 address of the game server\r\n/// @param {real} port The connection port\r\n/// @param {real} query_port The query port\r\n/// @param {boolean} [history] Whether to remove from the play history instead\r\n/// @returns {boolean}","externalName":"steam_server_remove_favorite","help":"","hidden":false,"kind":4,"name":"steam_server_remove_favorite","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_init","argCount":0,"args":[],"documentation":"/// @param {string} ip The local IPv4 address to bind to (empty string for all addresses)\r\n/// @param {real} game_port The port clients connect to\r\n/// @param {real} query_port The port for server browser queries\r\n/// @param {real} server_mode The authentication mode (steam_gameserver_mode_*)\r\n/// @param {string} version The version of the server\r\n/// @returns {boolean}","externalName":"steam_gameserver_init","help":"","hidden":false,"kind":4,"name":"steam_gameserver_init","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_is_active","argCount":0,"args":[],"documentation":"/// @returns {boolean}","externalName":"steam_gameserver_is_active","help":"","hidden":false,"kind":4,"name":"steam_gameserver_is_active","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_shutdown","argCount":0,"args":[],"documentation":"/// @returns {boolean}","externalName":"steam_gameserver_shutdown","help":"","hidden":false,"kind":4,"name":"steam_gameserver_shutdown","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_product","argCount":0,"args":[],"documentation":"/// @param {string} product The product name\r\n/// @param {string} description The game description\r\n/// @param {string} mod_dir The game/mod directory\r\n/// @param {boolean} [dedicated] Whether this is a dedicated server\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_product","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_product","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_log_on","argCount":0,"args":[],"documentation":"/// @param {string} [token] The game server login token (empty for anonymous)\r\n/// @returns {boolean}","externalName":"steam_gameserver_log_on","help":"","hidden":false,"kind":4,"name":"steam_gameserver_log_on","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_log_off","argCount":0,"args":[],"documentation":"/// @returns {boolean}","externalName":"steam_gameserver_log_off","help":"","hidden":false,"kind":4,"name":"steam_gameserver_log_off","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_is_logged_on","argCount":0,"args":[],"documentation":"/// @returns {boolean}","externalName":"steam_gameserver_is_logged_on","help":"","hidden":false,"kind":4,"name":"steam_gameserver_is_logged_on","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_is_secure","argCount":0,"args":[],"documentation":"/// @returns {boolean}","externalName":"steam_gameserver_is_secure","help":"","hidden":false,"kind":4,"name":"steam_gameserver_is_secure","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_get_steam_id","argCount":0,"args":[],"documentation":"/// @returns {int64}","externalName":"steam_gameserver_get_steam_id","help":"","hidden":false,"kind":4,"name":"steam_gameserver_get_steam_id","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_get_public_ip","argCount":0,"args":[],"documentation":"/// @returns {string}","externalName":"steam_gameserver_get_public_ip","help":"","hidden":false,"kind":4,"name":"steam_gameserver_get_public_ip","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_advertise","argCount":0,"args":[],"documentation":"/// @param {boolean} advertise Whether to list the server\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_advertise","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_advertise","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_server_name","argCount":0,"args":[],"documentation":"/// @param {string} name The server name\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_server_name","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_server_name","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_map_name","argCount":0,"args":[],"documentation":"/// @param {string} map The map name\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_map_name","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_map_name","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_max_player_count","argCount":0,"args":[],"documentation":"/// @param {real} count The maximum number of players\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_max_player_count","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_max_player_count","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_bot_player_count","argCount":0,"args":[],"documentation":"/// @param {real} count The number of bots\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_bot_player_count","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_bot_player_count","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_password_protected","argCount":0,"args":[],"documentation":"/// @param {boolean} password_protected Whether the server is password-protected\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_password_protected","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_password_protected","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_tags","argCount":0,"args":[],"documentation":"/// @param {string} tags The comma-separated tags\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_tags","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_tags","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_game_data","argCount":0,"args":[],"documentation":"/// @param {string} data The comma-separated game data\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_game_data","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_game_data","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_key_value","argCount":0,"args":[],"documentation":"/// @param {string} key The key\r\n/// @param {string} value The value\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_key_value","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_key_value","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_clear_key_values","argCount":0,"args":[],"documentation":"/// @returns {boolean}","externalName":"steam_gameserver_clear_key_values","help":"","hidden":false,"kind":4,"name":"steam_gameserver_clear_key_values","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_begin_auth_session","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @param {real} buffer The buffer containing the ticket\r\n/// @param {real} [size] The size of the ticket\r\n/// @returns {real}","externalName":"steam_gameserver_begin_auth_session","help":"","hidden":false,"kind":4,"name":"steam_gameserver_begin_auth_session","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_end_auth_session","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @returns {boolean}","externalName":"steam_gameserver_end_auth_session","help":"","hidden":false,"kind":4,"name":"steam_gameserver_end_auth_session","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_update_user_data","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @param {string} name The name of the client\r\n/// @param {real} score The score of the client\r\n/// @returns {boolean}","externalName":"steam_gameserver_update_user_data","help":"","hidden":false,"kind":4,"name":"steam_gameserver_update_user_data","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_request_user_stats","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @returns {boolean}","externalName":"steam_gameserver_request_user_stats","help":"","hidden":false,"kind":4,"name":"steam_gameserver_request_user_stats","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_get_user_stat_int","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @param {string} name The stat name\r\n/// @returns {real}","externalName":"steam_gameserver_get_user_stat_int","help":"","hidden":false,"kind":4,"name":"steam_gameserver_get_user_stat_int","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_get_user_stat_float","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @param {string} name The stat name\r\n/// @returns {real}","externalName":"steam_gameserver_get_user_stat_float","help":"","hidden":false,"kind":4,"name":"steam_gameserver_get_user_stat_float","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_user_stat_int","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @param {string} name The stat name\r\n/// @param {real} value The new value\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_user_stat_int","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_user_stat_int","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_user_stat_float","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @param {string} name The stat name\r\n/// @param {real} value The new value\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_user_stat_float","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_user_stat_float","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_get_user_achievement","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @param {string} name The achievement name\r\n/// @returns {boolean}","externalName":"steam_gameserver_get_user_achievement","help":"","hidden":false,"kind":4,"name":"steam_gameserver_get_user_achievement","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_set_user_achievement","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @param {string} name The achievement name\r\n/// @returns {boolean}","externalName":"steam_gameserver_set_user_achievement","help":"","hidden":false,"kind":4,"name":"steam_gameserver_set_user_achievement","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_clear_user_achievement","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @param {string} name The achievement name\r\n/// @returns {boolean}","externalName":"steam_gameserver_clear_user_achievement","help":"","hidden":false,"kind":4,"name":"steam_gameserver_clear_user_achievement","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_gameserver_store_user_stats","argCount":0,"args":[],"documentation":"/// @param {int64} user_id The Steam ID of the client\r\n/// @returns {boolean}","externalName":"steam_gameserver_store_user_stats","help":"","hidden":false,"kind":4,"name":"steam_gameserver_store_user_stats","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_user_begin_auth_session","argCount":0,"args":[],"documentation":"/// @param {real} ticket_buffer The buffer containing the ticket\r\n/// @param {int64} steam_id The Steam ID of the user that sent the ticket\r\n/// @returns {real}","externalName":"steam_user_begin_auth_session","help":"","hidden":false,"kind":4,"name":"steam_user_begin_auth_session","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_user_end_auth_session","argCount":0,"args":[],"documentation":"/// @param {int64} steam_id The Steam ID of the user\r\n/// @returns {boolean}","externalName":"steam_user_end_auth_session","help":"","hidden":false,"kind":4,"name":"steam_user_end_auth_session","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_user_get_encrypted_app_ticket","argCount":0,"args":[],"documentation":"/// @param {real} buffer The buffer to copy the ticket into\r\n/// @returns {real}","externalName":"steam_user_get_encrypted_app_ticket","help":"","hidden":false,"kind":4,"name":"steam_user_get_encrypted_app_ticket","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_voice_start_recording","argCount":0,"args":[],"documentation":"/// @returns {boolean}","externalName":"steam_voice_start_recording","help":"","hidden":false,"kind":4,"name":"steam_voice_start_recording","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_voice_stop_recording","argCount":0,"args":[],"documentation":"/// @returns {boolean}","externalName":"steam_voice_stop_recording","help":"","hidden":false,"kind":4,"name":"steam_voice_stop_recording","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_voice_get_compressed","argCount":0,"args":[],"documentation":"/// @param {real} buffer The buffer to write the compressed voice data to\r\n/// @returns {real}","externalName":"steam_voice_get_compressed","help":"","hidden":false,"kind":4,"name":"steam_voice_get_compressed","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_voice_decompress","argCount":0,"args":[],"documentation":"/// @param {real} buffer The buffer containing the compressed voice data\r\n/// @param {real} size The size of the compressed voice data\r\n/// @param {real} dest_buffer The buffer to write the decompressed audio to\r\n/// @param {real} [sample_rate] The sample rate to decompress to\r\n/// @returns {real}","externalName":"steam_voice_decompress","help":"","hidden":false,"kind":4,"name":"steam_voice_decompress","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_voice_get_optimal_sample_rate","argCount":0,"args":[],"documentation":"/// @returns {real}","externalName":"steam_voice_get_optimal_sample_rate","help":"","hidden":false,"kind":4,"name":"steam_voice_get_optimal_sample_rate","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_get_friends","argCount":0,"args":[],"documentation":"/// @param {real} [flags] The relationship flags to filter by (steam_friend_flag_*)\r\n/// @returns {array}","externalName":"steam_get_friends","help":"","hidden":false,"kind":4,"name":"steam_get_friends","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
+        {"$GMExtensionFunction":"","%Name":"steam_image_create_buffer","argCount":0,"args":[],"documentation":"/// @param {real} steam_image_id The Steam image identifier\r\n/// @returns {real}","externalName":"steam_image_create_buffer","help":"","hidden":false,"kind":4,"name":"steam_image_create_buffer","resourceType":"GMExtensionFunction","resourceVersion":"2.0","returnType":1,},
       ],"init":"steam_init","kind":4,"name":"Steamworks.ext","order":[
         {"name":"steam_user_owns_dlc","path":"extensions/Steamworks/Steamworks.yy",},
         {"name":"steam_user_installed_dlc","path":"extensions/Steamworks/Steamworks.yy",},
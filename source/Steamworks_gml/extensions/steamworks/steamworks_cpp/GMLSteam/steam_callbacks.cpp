@@ -3,4 +3,28 @@
 steam_net_callbacks_t steam_net_callbacks;
 /*void steam_net_callbacks_t::OnPersonaStateChange(PersonaStateChange_t* e) {
 trace("Persona state change %d\n", e->m_ulSteamID);
-}*/
\ No newline at end of file
+}*/
+
+static std::vector<steam_pending_call_t*> steam_pending_calls;
+
+steam_pending_call_t::steam_pending_call_t(bool gameserver) : m_gameserver(gameserver)
+{
+	steam_pending_calls.push_back(this);
+}
+
+steam_pending_call_t::~steam_pending_call_t()
+{
+	for (size_t i = 0; i < steam_pending_calls.size(); i++) {
+		if (steam_pending_calls[i] == this) {
+			steam_pending_calls.erase(steam_pending_calls.begin() + i);
+			break;
+		}
+	}
+}
+
+void steam_call_cancel_all(bool gameserver)
+{
+	std::vector<steam_pending_call_t*> calls;
+	for (auto call : steam_pending_calls) if (call->m_gameserver == gameserver) calls.push_back(call);
+	for (auto call : calls) delete call;
+}
@@ -11,10 +11,18 @@ public:
 		//
 	};
 	STEAM_CALLBACK(steam_net_callbacks_t, p2p_session_request, P2PSessionRequest_t);
+	STEAM_CALLBACK(steam_net_callbacks_t, p2p_session_connect_fail, P2PSessionConnectFail_t);
+	STEAM_CALLBACK(steam_net_callbacks_t, net_connection_status_changed, SteamNetConnectionStatusChangedCallback_t);
+	STEAM_CALLBACK(steam_net_callbacks_t, net_messages_session_request, SteamNetworkingMessagesSessionRequest_t);
+	STEAM_CALLBACK(steam_net_callbacks_t, net_messages_session_failed, SteamNetworkingMessagesSessionFailed_t);
+	STEAM_CALLBACK(steam_net_callbacks_t, net_relay_network_status, SteamRelayNetworkStatus_t);
 	//STEAM_CALLBACK(steam_net_callbacks_t, OnPersonaStateChange, PersonaStateChange_t);
 	STEAM_CALLBACK(steam_net_callbacks_t, lobby_chat_update, LobbyChatUpdate_t);
 	STEAM_CALLBACK(steam_net_callbacks_t, lobby_chat_message, LobbyChatMsg_t);
 	STEAM_CALLBACK(steam_net_callbacks_t, lobby_join_requested, GameLobbyJoinRequested_t);
+	STEAM_CALLBACK(steam_net_callbacks_t, lobby_data_update, LobbyDataUpdate_t);
+	STEAM_CALLBACK(steam_net_callbacks_t, lobby_game_created, LobbyGameCreated_t);
+	STEAM_CALLBACK(steam_net_callbacks_t, lobby_invite, LobbyInvite_t);
 	STEAM_CALLBACK(steam_net_callbacks_t, micro_txn_auth_response, MicroTxnAuthorizationResponse_t);
 	STEAM_CALLBACK(steam_net_callbacks_t, steam_inventory_result_ready, SteamInventoryResultReady_t);
 	STEAM_CALLBACK(steam_net_callbacks_t, steam_inventory_full_update, SteamInventoryFullUpdate_t);
@@ -33,4 +41,33 @@ public:
 	void item_deleted(DeleteItemResult_t* r, bool failed);
 	void encrypted_app_ticket_response_received(EncryptedAppTicketResponse_t* pEncryptedAppTicketResponse, bool bIOFailure);
 };
-extern steam_net_callbacks_t steam_net_callbacks;
\ No newline at end of file
+extern steam_net_callbacks_t steam_net_callbacks;
+
+/// Base of steam_call_t; keeps track of the calls that are still pending so that they can be cleaned up on shutdown.
+class steam_pending_call_t
+{
+public:
+	bool m_gameserver;
+	steam_pending_call_t(bool gameserver);
+	virtual ~steam_pending_call_t();
+};
+
+/// Waits for the result of a single call and deletes itself afterwards,
+/// for calls that can be pending several times at once (unlike a single CCallResult).
+template<typename T> class steam_call_t final : public steam_pending_call_t
+{
+public:
+	CCallResult<steam_call_t<T>, T> m_callResult;
+	void (*m_handler)(T*, bool);
+
+	steam_call_t(SteamAPICall_t call, void (*handler)(T*, bool), bool gameserver = false) : steam_pending_call_t(gameserver), m_handler(handler)
+	{
+		m_callResult.Set(call, this, &steam_call_t<T>::OnResult);
+	}
+
+	void OnResult(T* e, bool failed)
+	{
+		m_handler(e, failed);
+		delete this; // (unregisters)
+	}
+};
\ No newline at end of file
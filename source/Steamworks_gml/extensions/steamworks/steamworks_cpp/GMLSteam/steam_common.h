@@ -4,6 +4,7 @@
 #endif
 
 #include <vector>
+#include <string>
 // Check if NAN is already defined
 #ifndef NAN 
 	// Include the cmath header if NAN is not defined
@@ -23,6 +24,9 @@ extern int requestInd;
 extern int getAsyncRequestInd();
 
 extern void Steam_UserStats_Process();
+extern void Steam_Servers_Process();
+extern void Steam_GameServer_Process();
+extern void steam_call_cancel_all(bool gameserver);
 
 extern void _SW_SetArrayOfString(RValue* _array, char* str, const char* delim);
 extern void _SW_SetArrayOfInt32(RValue* _array, std::vector<int> &values);
@@ -32,3 +36,48 @@ extern void _SW_SetArrayOfRValue(RValue* _array, std::vector<RValue> &values);
 extern std::vector<const char*> _SW_GetArrayOfStrings(RValue* arg, int arg_idx, const char* func);
 extern std::vector<int32> _SW_GetArrayOfInt32(RValue* arg, int arg_idx, const char* func);
 extern std::vector<uint64> _SW_GetArrayOfUint64(RValue* arg, int arg_idx, const char* func);
+
+extern std::string steam_ip_to_string(uint32 ip);
+extern bool steam_ip_from_string(const char* text, uint32* ip);
+
+extern void steam_lobby_chat_push(CSteamID lobby_id, CSteamID user_id, int entry_type, const void* data, size_t size);
+extern bool steam_lobby_chat_send(CSteamID lobby, const void* data, uint32 size);
+extern bool steam_lobby_kick_handle(CSteamID lobby_id, CSteamID user_id, const void* data, size_t size);
+extern void steam_lobby_ban_check(CSteamID lobby);
+extern std::vector<CSteamID> steam_lobby_joined_ids;
+extern void steam_lobby_joined_add(CSteamID lobby);
+extern void steam_lobby_joined_remove(CSteamID lobby);
+extern CSteamID steam_lobby_arg(RValue* arg, int argc, int index);
+extern void steam_lobby_list_finish(std::vector<CSteamID>& lobbies, bool success);
+extern void steam_lobby_data_update_dispatch(CSteamID lobby_id, CSteamID member_id, bool success);
+extern void steam_lobby_game_created_dispatch(CSteamID lobby_id, CSteamID server_id, uint32 ip, uint16 port);
+extern void steam_lobby_invite_dispatch(CSteamID user_id, CSteamID lobby_id, uint64 game_id);
+
+extern bool steam_loopback_active;
+extern CSteamID steam_loopback_get_user_id();
+extern std::string steam_loopback_get_user_name(CSteamID user);
+extern void steam_loopback_update();
+extern bool steam_loopback_packet_send(CSteamID target, const void* data, uint32 size, int channel);
+extern bool steam_loopback_packet_read(int channel, std::vector<uint8>& data, CSteamID& sender);
+extern bool steam_loopback_lobby_create(int type, int max_members);
+extern bool steam_loopback_lobby_join(CSteamID lobby);
+extern void steam_loopback_lobby_leave();
+extern CSteamID steam_loopback_lobby_get_owner(CSteamID lobby);
+extern int steam_loopback_lobby_get_member_count(CSteamID lobby);
+extern CSteamID steam_loopback_lobby_get_member(CSteamID lobby, int index);
+extern const char* steam_loopback_lobby_get_data(CSteamID lobby, const char* key);
+extern bool steam_loopback_lobby_set_data(CSteamID lobby, const char* key, const char* value);
+extern int steam_loopback_lobby_get_data_count(CSteamID lobby);
+extern bool steam_loopback_lobby_get_data_by_index(CSteamID lobby, int index, std::string& key, std::string& value);
+extern const char* steam_loopback_lobby_get_member_data(CSteamID lobby, CSteamID user, const char* key);
+extern bool steam_loopback_lobby_set_member_data(CSteamID lobby, const char* key, const char* value);
+extern bool steam_loopback_lobby_set_owner(CSteamID lobby, CSteamID user);
+extern bool steam_loopback_lobby_set_joinable(CSteamID lobby, bool joinable);
+extern bool steam_loopback_lobby_set_type(CSteamID lobby, int type);
+extern bool steam_loopback_lobby_set_member_limit(CSteamID lobby, int max_members);
+extern int steam_loopback_lobby_get_member_limit(CSteamID lobby);
+extern bool steam_loopback_lobby_set_game_server(CSteamID lobby, uint32 ip, uint16 port, CSteamID server);
+extern bool steam_loopback_lobby_get_game_server(CSteamID lobby, uint32* ip, uint16* port, CSteamID* server);
+extern bool steam_loopback_lobby_invite(CSteamID lobby, CSteamID user);
+extern bool steam_loopback_lobby_send_chat(CSteamID lobby, const void* data, uint32 size);
+extern bool steam_loopback_lobby_list_request();
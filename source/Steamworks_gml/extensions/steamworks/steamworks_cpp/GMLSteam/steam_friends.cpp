@@ -40,6 +40,7 @@ protected:
 	Singleton()
 		: m_CallbackOverlayActivated(this, &Singleton::OnGameOverlayActivated),
 		  m_CallbackFriendRichPresence(this, &Singleton::OnFriendRichPresenceUpdate),
+		  m_CallbackPersonaStateChange(this, &Singleton::OnPersonaStateChange),
 		m_bOverlayActivated(false)
 	{}
 
@@ -70,8 +71,20 @@ protected:
 		CreateAsyncEventWithDSMap(map, EVENT_OTHER_WEB_STEAM);
 	}
 
+	void OnPersonaStateChange(PersonaStateChange_t* callback)
+	{
+		int map = CreateDsMap(0, 0);
+
+		DsMapAddString(map, "event_type", "persona_state_change");
+		DsMapAddInt64(map, "steam_id", callback->m_ulSteamID);
+		DsMapAddDouble(map, "change_flags", callback->m_nChangeFlags);
+
+		CreateAsyncEventWithDSMap(map, EVENT_OTHER_WEB_STEAM);
+	}
+
 	CCallback<Singleton, GameOverlayActivated_t, false>	m_CallbackOverlayActivated;
 	CCallback<Singleton, FriendRichPresenceUpdate_t, false> m_CallbackFriendRichPresence;
+	CCallback<Singleton, PersonaStateChange_t, false> m_CallbackPersonaStateChange;
 
 	bool m_bOverlayActivated;
 	static Singleton* singleton_;
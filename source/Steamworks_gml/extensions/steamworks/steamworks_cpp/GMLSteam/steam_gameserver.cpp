@@ -0,0 +1,487 @@
+/// steam_gameserver.cpp
+
+#include "pch.h"
+
+#include "steam_glue.h"
+#include "steam_api.h"
+#include "steam_gameserver.h"
+#include "Extension_Interface.h"
+#include "YYRValue.h"
+#include "steam_common.h"
+
+/// The server doesn't authenticate users and isn't listed in the server browser
+#define steam_gameserver_mode_no_authentication 1
+/// The server authenticates users, lists itself in the server browser and can be used with Steam networking
+#define steam_gameserver_mode_authentication 2
+/// Same as above, but VAC is enabled as well
+#define steam_gameserver_mode_authentication_and_secure 3
+
+bool steam_gameserver_active = false;
+
+#pragma region Callbacks
+
+class steam_gameserver_callbacks_t {
+public:
+	STEAM_GAMESERVER_CALLBACK(steam_gameserver_callbacks_t, connected, SteamServersConnected_t);
+	STEAM_GAMESERVER_CALLBACK(steam_gameserver_callbacks_t, connect_failure, SteamServerConnectFailure_t);
+	STEAM_GAMESERVER_CALLBACK(steam_gameserver_callbacks_t, disconnected, SteamServersDisconnected_t);
+	STEAM_GAMESERVER_CALLBACK(steam_gameserver_callbacks_t, policy_response, GSPolicyResponse_t);
+	STEAM_GAMESERVER_CALLBACK(steam_gameserver_callbacks_t, validate_auth_ticket_response, ValidateAuthTicketResponse_t);
+};
+static steam_gameserver_callbacks_t* steam_gameserver_callbacks = nullptr;
+
+void steam_gameserver_callbacks_t::connected(SteamServersConnected_t* e)
+{
+	steam_net_event ev((char*)"gameserver_connected");
+	CSteamID server_id = SteamGameServer()->GetSteamID();
+	ev.set_steamid_all("server_id", server_id);
+	ev.dispatch();
+}
+
+void steam_gameserver_callbacks_t::connect_failure(SteamServerConnectFailure_t* e)
+{
+	steam_net_event ev((char*)"gameserver_connect_failure");
+	ev.set_result(e->m_eResult);
+	ev.set((char*)"still_retrying", e->m_bStillRetrying);
+	ev.dispatch();
+}
+
+void steam_gameserver_callbacks_t::disconnected(SteamServersDisconnected_t* e)
+{
+	steam_net_event ev((char*)"gameserver_disconnected");
+	ev.set_result(e->m_eResult);
+	ev.dispatch();
+}
+
+void steam_gameserver_callbacks_t::policy_response(GSPolicyResponse_t* e)
+{
+	steam_net_event ev((char*)"gameserver_policy_response");
+	ev.set((char*)"secure", e->m_bSecure != 0);
+	ev.dispatch();
+}
+
+void steam_gameserver_callbacks_t::validate_auth_ticket_response(ValidateAuthTicketResponse_t* e)
+{
+	steam_net_event ev((char*)"gameserver_validate_auth_ticket_response");
+	ev.set_steamid_all("user_id", e->m_SteamID);
+	ev.set_steamid_all("owner_id", e->m_OwnerSteamID);
+	ev.set((char*)"response", (int32)e->m_eAuthSessionResponse);
+	ev.set_success(e->m_eAuthSessionResponse == k_EAuthSessionResponseOK);
+	ev.dispatch();
+}
+
+template<typename T> void steam_gameserver_stats_dispatch(const char* event_type, T* e, bool failed)
+{
+	steam_net_event ev((char*)event_type);
+	ev.set_steamid_all("user_id", e->m_steamIDUser);
+	ev.set_result(failed ? k_EResultFail : e->m_eResult);
+	ev.dispatch();
+}
+
+void steam_gameserver_stats_received(GSStatsReceived_t* e, bool failed)
+{
+	steam_gameserver_stats_dispatch("gameserver_stats_received", e, failed);
+}
+
+void steam_gameserver_stats_stored(GSStatsStored_t* e, bool failed)
+{
+	steam_gameserver_stats_dispatch("gameserver_stats_stored", e, failed);
+}
+
+/// Runs the game server callbacks (called from steam_update, even if the Steam client API isn't initialised).
+void Steam_GameServer_Process()
+{
+	if (steam_gameserver_active) SteamGameServer_RunCallbacks();
+}
+
+#pragma endregion
+
+#pragma region Setup
+
+/// Initialises the game server API. Call this instead of relying on steam_init in dedicated server builds.
+YYEXPORT void /*bool*/ steam_gameserver_init(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* ip, double game_port, double query_port, double server_mode, char* version)
+{
+	const char* ip_string = YYGetString(arg, 0);
+	uint16 game_port = (uint16)YYGetInt32(arg, 1);
+	uint16 query_port = (uint16)YYGetInt32(arg, 2);
+	int32 server_mode = YYGetInt32(arg, 3);
+	const char* version = YYGetString(arg, 4);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (steam_gameserver_active) return;
+
+	if (server_mode < steam_gameserver_mode_no_authentication || server_mode > steam_gameserver_mode_authentication_and_secure)
+	{
+		DebugConsoleOutput("steam_gameserver_init() - error: %d is not a valid server mode\n", (int)server_mode);
+		return;
+	}
+
+	// an empty string binds to all local addresses:
+	uint32 ip = 0;
+	if (*ip_string && !steam_ip_from_string(ip_string, &ip))
+	{
+		DebugConsoleOutput("steam_gameserver_init() - error: \"%s\" is not a valid IPv4 address\n", ip_string);
+		return;
+	}
+
+	SteamErrMsg errMsg;
+	if (SteamGameServer_InitEx(ip, game_port, query_port, (EServerMode)server_mode, version, &errMsg) != k_ESteamAPIInitResult_OK)
+	{
+		DebugConsoleOutput("steam_gameserver_init() - error: %s\n", errMsg);
+		return;
+	}
+
+	steam_gameserver_active = true;
+	steam_gameserver_callbacks = new steam_gameserver_callbacks_t();
+	Result.val = true;
+}
+
+/// Returns whether the game server API is initialised.
+YYEXPORT void /*bool*/ steam_gameserver_is_active(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+}
+
+/// Logs off and shuts down the game server API.
+YYEXPORT void /*bool*/ steam_gameserver_shutdown(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (!steam_gameserver_active) return;
+
+	SteamGameServer()->SetAdvertiseServerActive(false);
+	SteamGameServer()->LogOff();
+	delete steam_gameserver_callbacks;
+	steam_gameserver_callbacks = nullptr;
+	steam_call_cancel_all(true);
+	SteamGameServer_Shutdown();
+	steam_gameserver_active = false;
+}
+
+/// [before logging on] Sets the game's product name, game description, mod directory and whether this is a dedicated server.
+YYEXPORT void /*bool*/ steam_gameserver_set_product(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* product, char* description, char* mod_dir, bool dedicated = true)
+{
+	const char* product = YYGetString(arg, 0);
+	const char* description = YYGetString(arg, 1);
+	const char* mod_dir = YYGetString(arg, 2);
+	bool dedicated = argc > 3 ? YYGetBool(arg, 3) : true;
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (!steam_gameserver_active) return;
+
+	SteamGameServer()->SetProduct(product);
+	SteamGameServer()->SetGameDescription(description);
+	SteamGameServer()->SetModDir(mod_dir);
+	SteamGameServer()->SetDedicatedServer(dedicated);
+}
+
+/// Logs on with a game server login token (or anonymously if the token is empty).
+YYEXPORT void /*bool*/ steam_gameserver_log_on(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* token)
+{
+	const char* token = argc > 0 ? YYGetString(arg, 0) : "";
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (!steam_gameserver_active) return;
+
+	if (*token)
+		SteamGameServer()->LogOn(token);
+	else
+		SteamGameServer()->LogOnAnonymous();
+}
+
+/// Logs off from Steam.
+YYEXPORT void /*bool*/ steam_gameserver_log_off(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->LogOff();
+}
+
+/// Returns whether the game server is logged on.
+YYEXPORT void /*bool*/ steam_gameserver_is_logged_on(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active && SteamGameServer()->BLoggedOn();
+}
+
+/// Returns whether the game server is VAC-secured (as reported by Steam).
+YYEXPORT void /*bool*/ steam_gameserver_is_secure(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active && SteamGameServer()->BSecure();
+}
+
+/// Returns the Steam ID of the game server (valid once logged on).
+YYEXPORT void /*int64*/ steam_gameserver_get_steam_id(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_INT64;
+	Result.v64 = steam_gameserver_active ? SteamGameServer()->GetSteamID().ConvertToUint64() : 0;
+}
+
+/// Returns the public IPv4 address of the game server as seen by Steam (valid once logged on).
+YYEXPORT void /*char**/ steam_gameserver_get_public_ip(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	if (!steam_gameserver_active)
+	{
+		YYCreateString(&Result, "");
+		return;
+	}
+	SteamIPAddress_t ip = SteamGameServer()->GetPublicIP();
+	YYCreateString(&Result, ip.IsSet() && ip.m_eType == k_ESteamIPTypeIPv4 ? steam_ip_to_string(ip.m_unIPv4).c_str() : "");
+}
+
+#pragma endregion
+
+#pragma region Server details
+
+/// Sets whether the game server is listed in the server browser.
+YYEXPORT void /*bool*/ steam_gameserver_set_advertise(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(bool advertise)
+{
+	bool advertise = YYGetBool(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->SetAdvertiseServerActive(advertise);
+}
+
+YYEXPORT void /*bool*/ steam_gameserver_set_server_name(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* name)
+{
+	const char* name = YYGetString(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->SetServerName(name);
+}
+
+YYEXPORT void /*bool*/ steam_gameserver_set_map_name(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* map)
+{
+	const char* map = YYGetString(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->SetMapName(map);
+}
+
+/// Sets the maximum number of players. The current number of players is the number of users with an auth session.
+YYEXPORT void /*bool*/ steam_gameserver_set_max_player_count(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double count)
+{
+	int32 count = YYGetInt32(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->SetMaxPlayerCount(count);
+}
+
+YYEXPORT void /*bool*/ steam_gameserver_set_bot_player_count(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double count)
+{
+	int32 count = YYGetInt32(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->SetBotPlayerCount(count);
+}
+
+YYEXPORT void /*bool*/ steam_gameserver_set_password_protected(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(bool password_protected)
+{
+	bool password_protected = YYGetBool(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->SetPasswordProtected(password_protected);
+}
+
+/// Sets the (comma-separated) tags that the server browser can filter on.
+YYEXPORT void /*bool*/ steam_gameserver_set_tags(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* tags)
+{
+	const char* tags = YYGetString(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->SetGameTags(tags);
+}
+
+/// Sets the (hidden) game data that the server browser can filter on.
+YYEXPORT void /*bool*/ steam_gameserver_set_game_data(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* data)
+{
+	const char* data = YYGetString(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->SetGameData(data);
+}
+
+/// Sets a key/value pair that is returned by server rules queries.
+YYEXPORT void /*bool*/ steam_gameserver_set_key_value(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* key, char* value)
+{
+	const char* key = YYGetString(arg, 0);
+	const char* value = YYGetString(arg, 1);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->SetKeyValue(key, value);
+}
+
+YYEXPORT void /*bool*/ steam_gameserver_clear_key_values(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->ClearAllKeyValues();
+}
+
+#pragma endregion
+
+#pragma region Client authentication
+
+/// Starts validating a client's auth session ticket (see steam_user_get_auth_session_ticket). Returns an EBeginAuthSessionResult code.
+YYEXPORT void /*double*/ steam_gameserver_begin_auth_session(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, gml_buffer ticket, double size = -1)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	int32 bufferId = YYGetInt32(arg, 1);
+	int32 size = argc > 2 ? YYGetInt32(arg, 2) : -1;
+
+	// -1 when the session couldn't be started locally (see steam_user_begin_auth_session):
+	Result.kind = VALUE_REAL;
+	Result.val = -1;
+	if (!steam_gameserver_active) return;
+
+	void* buffer_data = nullptr;
+	int buffer_size = 0;
+	if (!BufferGetContent(bufferId, &buffer_data, &buffer_size) || !buffer_data)
+	{
+		DebugConsoleOutput("steam_gameserver_begin_auth_session() - error: specified buffer %d not found\n", (int)bufferId);
+		return;
+	}
+	if (size < 0 || size > buffer_size) size = buffer_size;
+
+	Result.val = SteamGameServer()->BeginAuthSession(buffer_data, size, user_id);
+	YYFree(buffer_data);
+}
+
+/// Ends a client's auth session, e.g. when they leave the server.
+YYEXPORT void /*bool*/ steam_gameserver_end_auth_session(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active;
+	if (steam_gameserver_active) SteamGameServer()->EndAuthSession(user_id);
+}
+
+/// Updates the name and score of a client, as returned by server player queries.
+YYEXPORT void /*bool*/ steam_gameserver_update_user_data(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* name, double score)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	const char* name = YYGetString(arg, 1);
+	uint32 score = (uint32)YYGetInt32(arg, 2);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active && SteamGameServer()->BUpdateUserData(user_id, name, score);
+}
+
+#pragma endregion
+
+#pragma region Stats
+
+/// [async] Requests the stats and achievements of a client, which must be connected (i.e. have an auth session).
+YYEXPORT void /*bool*/ steam_gameserver_request_user_stats(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!steam_gameserver_active || !SteamGameServerStats()) return;
+
+	// several clients can be pending at once:
+	new steam_call_t<GSStatsReceived_t>(SteamGameServerStats()->RequestUserStats(user_id), steam_gameserver_stats_received, true);
+	Result.val = true;
+}
+
+YYEXPORT void /*double*/ steam_gameserver_get_user_stat_int(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* name)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	const char* name = YYGetString(arg, 1);
+
+	int32 value = 0;
+	if (steam_gameserver_active && SteamGameServerStats()) SteamGameServerStats()->GetUserStat(user_id, name, &value);
+	Result.kind = VALUE_REAL;
+	Result.val = value;
+}
+
+YYEXPORT void /*double*/ steam_gameserver_get_user_stat_float(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* name)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	const char* name = YYGetString(arg, 1);
+
+	float value = 0;
+	if (steam_gameserver_active && SteamGameServerStats()) SteamGameServerStats()->GetUserStat(user_id, name, &value);
+	Result.kind = VALUE_REAL;
+	Result.val = value;
+}
+
+YYEXPORT void /*bool*/ steam_gameserver_set_user_stat_int(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* name, double value)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	const char* name = YYGetString(arg, 1);
+	int32 value = YYGetInt32(arg, 2);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active && SteamGameServerStats() && SteamGameServerStats()->SetUserStat(user_id, name, value);
+}
+
+YYEXPORT void /*bool*/ steam_gameserver_set_user_stat_float(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* name, double value)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	const char* name = YYGetString(arg, 1);
+	float value = (float)YYGetReal(arg, 2);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active && SteamGameServerStats() && SteamGameServerStats()->SetUserStat(user_id, name, value);
+}
+
+YYEXPORT void /*bool*/ steam_gameserver_get_user_achievement(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* name)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	const char* name = YYGetString(arg, 1);
+
+	bool achieved = false;
+	if (steam_gameserver_active && SteamGameServerStats()) SteamGameServerStats()->GetUserAchievement(user_id, name, &achieved);
+	Result.kind = VALUE_BOOL;
+	Result.val = achieved;
+}
+
+YYEXPORT void /*bool*/ steam_gameserver_set_user_achievement(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* name)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	const char* name = YYGetString(arg, 1);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active && SteamGameServerStats() && SteamGameServerStats()->SetUserAchievement(user_id, name);
+}
+
+YYEXPORT void /*bool*/ steam_gameserver_clear_user_achievement(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* name)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	const char* name = YYGetString(arg, 1);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_gameserver_active && SteamGameServerStats() && SteamGameServerStats()->ClearUserAchievement(user_id, name);
+}
+
+/// [async] Uploads the changed stats and achievements of a client.
+YYEXPORT void /*bool*/ steam_gameserver_store_user_stats(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id)
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!steam_gameserver_active || !SteamGameServerStats()) return;
+
+	new steam_call_t<GSStatsStored_t>(SteamGameServerStats()->StoreUserStats(user_id), steam_gameserver_stats_stored, true);
+	Result.val = true;
+}
+
+#pragma endregion
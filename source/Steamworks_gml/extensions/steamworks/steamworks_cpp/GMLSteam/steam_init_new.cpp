@@ -21,6 +21,12 @@ int getAsyncRequestInd()
 
 YYEXPORT void steam_update(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)
 {
+	if (steam_loopback_active)
+		steam_loopback_update();
+
+	// dedicated servers usually run without the Steam client:
+	Steam_GameServer_Process();
+
 	if (!steam_is_initialised)
 	{
 		Result.kind = VALUE_REAL;
@@ -30,6 +36,7 @@ YYEXPORT void steam_update(RValue& Result, CInstance* selfinst, CInstance* other
 
 	SteamAPI_RunCallbacks();
 	Steam_UserStats_Process();
+	Steam_Servers_Process();
 
 	Result.kind = VALUE_REAL;
 	Result.val = 1;
@@ -121,6 +128,9 @@ void OldPreGraphicsInitialisation()
     tracef("SteamAPI_Init had succeeded without errors, debug flag = %d", debug ? 1 : 0);
 
     steam_is_initialised = true;
+
+    // registers the overlay, rich presence and persona state callbacks:
+    Steam_Friends_Init();
 }
 
 YYEXPORT void steam_initialised(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)
@@ -196,6 +206,7 @@ YYEXPORT void steam_shutdown(RValue& Result, CInstance* selfinst, CInstance* oth
 		return;
 	}
 
+	steam_call_cancel_all(false);
 	SteamAPI_Shutdown();
 }
 
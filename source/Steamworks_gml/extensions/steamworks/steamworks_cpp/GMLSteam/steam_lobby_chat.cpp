@@ -8,6 +8,8 @@
 #include "steam_glue.h"
 #include "steam_callbacks.h"
 
+#include <ctime>
+
 struct steam_lobby_message {
 	uint8_t* data;
 	size_t size;
@@ -39,11 +41,29 @@ void steam_lobby_chat_update() {
 
 #define steam_lobby_max_chat_message_size 4096
 
-YYEXPORT void /*bool*/ steam_lobby_send_chat_message(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(const char* text) 
+/// A regular chat message
+#define steam_lobby_chat_entry_type_chat_message 1
+/// The sender is typing a message (see steam_lobby_send_chat_typing)
+#define steam_lobby_chat_entry_type_typing 2
+
+// Steam only sends regular chat messages through lobby chat,
+// so typing notifications are sent as chat messages consisting of this header:
+static const char steam_lobby_typing_header[8] = { '\x1B', 'g', 'm', '_', 't', 'y', 'p', 'e' };
+
+/// Sends a chat message to a joined lobby.
+bool steam_lobby_chat_send(CSteamID lobby, const void* data, uint32 size)
+{
+	if (!lobby.IsValid()) return false;
+	if (steam_loopback_active) return steam_loopback_lobby_send_chat(lobby, data, size);
+	return SteamMatchmaking() && SteamMatchmaking()->SendLobbyChatMsg(lobby, data, (int)size);
+}
+
+YYEXPORT void /*bool*/ steam_lobby_send_chat_message(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(const char* text, int64 lobby_id = current) 
 {
 	char* text = (char*)YYGetString(arg, 0);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 1);
 
-	if (!steam_lobby_current.IsValid())
+	if (!lobby.IsValid())
 	{
 		Result.kind = VALUE_BOOL;
 		Result.val = false;
@@ -51,15 +71,23 @@ YYEXPORT void /*bool*/ steam_lobby_send_chat_message(RValue& Result, CInstance*
 	}
 
 	Result.kind = VALUE_BOOL;
-	Result.val = SteamMatchmaking()->SendLobbyChatMsg(steam_lobby_current, text, (int)strlen(text) + 1);
+	Result.val = steam_lobby_chat_send(lobby, text, (uint32)strlen(text) + 1);
 }
 
-YYEXPORT void /*bool*/ steam_lobby_send_chat_message_buffer(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(gml_buffer buf, int size = -1) 
+/// Notifies the other lobby members that the local user is typing a message.
+YYEXPORT void /*bool*/ steam_lobby_send_chat_typing(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id = current) 
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_lobby_chat_send(steam_lobby_arg(arg, argc, 0), steam_lobby_typing_header, sizeof(steam_lobby_typing_header));
+}
+
+YYEXPORT void /*bool*/ steam_lobby_send_chat_message_buffer(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(gml_buffer buf, int size = -1, int64 lobby_id = current) 
 {
 	int32 bufferId = YYGetInt32(arg, 0);
 	int32 size = YYGetInt32(arg, 1);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 2);
 
-	if (!steam_lobby_current.IsValid())
+	if (!lobby.IsValid())
 	{
 		Result.kind = VALUE_BOOL;
 		Result.val = false;
@@ -81,7 +109,7 @@ YYEXPORT void /*bool*/ steam_lobby_send_chat_message_buffer(RValue& Result, CIns
 	if (size <= -1 || size > buffer_size) size = buffer_size;
 
 	Result.kind = VALUE_BOOL;
-	Result.val = SteamMatchmaking()->SendLobbyChatMsg(steam_lobby_current, buffer_data, size);
+	Result.val = steam_lobby_chat_send(lobby, buffer_data, (uint32)size);
 	YYFree(buffer_data);
 }
 
@@ -149,11 +177,26 @@ YYEXPORT void /*bool*/ steam_lobby_get_chat_message_data(RValue& Result, CInstan
 	
 }
 
-void steam_net_callbacks_t::lobby_chat_message(LobbyChatMsg_t* e) 
+std::string steam_lobby_chat_user_name(CSteamID user_id)
+{
+	if (steam_loopback_active) return steam_loopback_get_user_name(user_id);
+	if (!SteamFriends()) return "";
+	return SteamFriends()->GetFriendPersonaName(user_id);
+}
+
+/// Stores a chat message and dispatches a "lobby_chat_message" event for it.
+void steam_lobby_chat_push(CSteamID lobby_id, CSteamID user_id, int entry_type, const void* data, size_t size)
 {
+	// kicks from the lobby owner are handled internally (see steam_lobby_kick_user):
+	if (steam_lobby_kick_handle(lobby_id, user_id, data, size)) return;
+
+	if (entry_type == steam_lobby_chat_entry_type_chat_message && size == sizeof(steam_lobby_typing_header)
+		&& memcmp(data, steam_lobby_typing_header, size) == 0) {
+		entry_type = steam_lobby_chat_entry_type_typing;
+		size = 0;
+	}
+
 	steam_lobby_message msg{};
-	static uint8_t data[steam_lobby_max_chat_message_size];
-	auto size = SteamMatchmaking()->GetLobbyChatEntry(e->m_ulSteamIDLobby, e->m_iChatID, nullptr, &data, sizeof(data), nullptr);
 	msg.size = size;
 	msg.data = new uint8_t[size + 1];
 	msg.data[size] = 0;
@@ -161,16 +204,26 @@ void steam_net_callbacks_t::lobby_chat_message(LobbyChatMsg_t* e)
 	memcpy(msg.data, data, size);
 	auto index = chat_messages.arr.size();
 	chat_messages.arr.push_back(msg);
+	uint32 timestamp = SteamUtils() ? SteamUtils()->GetServerRealTime() : (uint32)time(nullptr);
 	
 	steam_net_event ev = steam_net_event((char*)"lobby_chat_message");
-	ev.set_uint64_all("lobby_id", e->m_ulSteamIDLobby);
-	ev.set_uint64_all("user_id", e->m_ulSteamIDUser);
-	ev.set((char*)"entry_type", e->m_eChatEntryType);
+	ev.set_steamid_all("lobby_id", lobby_id);
+	ev.set_steamid_all("user_id", user_id);
+	ev.set((char*)"entry_type", (int32)entry_type);
 	ev.set((char*)"message_index", (double)index);
 	ev.set((char*)"message_size", (double)size);
+	ev.set((char*)"user_name", (char*)steam_lobby_chat_user_name(user_id).c_str());
+	ev.set((char*)"timestamp", (double)timestamp);
 	ev.dispatch();
 }
 
+void steam_net_callbacks_t::lobby_chat_message(LobbyChatMsg_t* e) 
+{
+	static uint8_t data[steam_lobby_max_chat_message_size];
+	auto size = SteamMatchmaking()->GetLobbyChatEntry(e->m_ulSteamIDLobby, e->m_iChatID, nullptr, &data, sizeof(data), nullptr);
+	steam_lobby_chat_push(CSteamID(e->m_ulSteamIDLobby), CSteamID(e->m_ulSteamIDUser), e->m_eChatEntryType, data, size);
+}
+
 enum class steam_lobby_member_change {
 	entered = 0x01,
 	left = 0x02,
@@ -0,0 +1,891 @@
+/// steam_loopback.cpp
+/// A local stand-in for Steam networking and lobbies, so that several game instances
+/// on the same machine can exchange packets and lobby events without Steam (e.g. for testing).
+/// Each instance binds a UDP socket on 127.0.0.1 at (base_port + index) and acts as a fake user.
+/// The owner of a lobby holds its state and forwards any changes to the other members.
+
+#include "pch.h"
+#include "steam_glue.h"
+#include "steam_api.h"
+#include "Extension_Interface.h"
+#include "YYRValue.h"
+#include "steam_common.h"
+
+#include <deque>
+#include <chrono>
+
+#ifdef _WIN32
+#include <winsock2.h>
+#include <ws2tcpip.h>
+#include <mstcpip.h>
+#pragma comment(lib, "ws2_32.lib")
+typedef SOCKET steam_loopback_socket_t;
+#define steam_loopback_socket_invalid INVALID_SOCKET
+#define steam_loopback_socket_close closesocket
+#else
+#include <sys/socket.h>
+#include <netinet/in.h>
+#include <arpa/inet.h>
+#include <fcntl.h>
+#include <unistd.h>
+typedef int steam_loopback_socket_t;
+#define steam_loopback_socket_invalid (-1)
+#define steam_loopback_socket_close close
+#endif
+
+/// Largest packet that fits in a single loopback datagram (with room for the header)
+#define steam_loopback_max_packet 65000
+/// How long to wait for lobby list responses
+#define steam_loopback_list_timeout_ms 250
+/// How long to wait for the lobby owner to respond to a join request
+#define steam_loopback_join_timeout_ms 1000
+
+#pragma region Transport
+
+bool steam_loopback_active = false;
+int steam_loopback_index = 0;
+int steam_loopback_count = 0;
+int steam_loopback_base_port = 0;
+steam_loopback_socket_t steam_loopback_socket = steam_loopback_socket_invalid;
+
+enum class steam_loopback_message : uint8 {
+	packet = 1,
+	lobby_join,
+	lobby_join_response,
+	lobby_leave,
+	lobby_state,
+	lobby_chat,
+	lobby_chat_relay,
+	lobby_list_request,
+	lobby_list_response,
+	lobby_member_data,
+	lobby_invite,
+};
+
+/// Instance N acts as the individual account N + 1.
+CSteamID steam_loopback_user_id(int index)
+{
+	return CSteamID((uint32)(index + 1), k_EUniversePublic, k_EAccountTypeIndividual);
+}
+
+int steam_loopback_user_index(CSteamID id)
+{
+	return (int)id.GetAccountID() - 1;
+}
+
+CSteamID steam_loopback_get_user_id()
+{
+	return steam_loopback_user_id(steam_loopback_index);
+}
+
+/// Instances don't have persona names, so they are just numbered.
+std::string steam_loopback_get_user_name(CSteamID user)
+{
+	return "Player " + std::to_string(steam_loopback_user_index(user) + 1);
+}
+
+class steam_loopback_writer {
+public:
+	std::vector<uint8> data;
+	steam_loopback_writer(steam_loopback_message type) {
+		write_u8((uint8)type);
+		write_u64(steam_loopback_get_user_id().ConvertToUint64());
+	}
+	void write_raw(const void* value, size_t size) {
+		auto bytes = (const uint8*)value;
+		data.insert(data.end(), bytes, bytes + size);
+	}
+	void write_u8(uint8 value) {
+		data.push_back(value);
+	}
+	void write_u32(uint32 value) {
+		write_raw(&value, sizeof(value));
+	}
+	void write_u64(uint64 value) {
+		write_raw(&value, sizeof(value));
+	}
+	void write_string(const std::string& value) {
+		write_u32((uint32)value.size());
+		write_raw(value.data(), value.size());
+	}
+};
+
+class steam_loopback_reader {
+private:
+	const uint8* data;
+	size_t size;
+	size_t pos = 0;
+public:
+	bool ok = true;
+	steam_loopback_reader(const uint8* data, size_t size) : data(data), size(size) {}
+	bool read_raw(void* out, size_t count) {
+		if (!ok || pos + count > size) {
+			ok = false;
+			return false;
+		}
+		memcpy(out, data + pos, count);
+		pos += count;
+		return true;
+	}
+	uint8 read_u8() {
+		uint8 value = 0;
+		read_raw(&value, sizeof(value));
+		return value;
+	}
+	uint32 read_u32() {
+		uint32 value = 0;
+		read_raw(&value, sizeof(value));
+		return value;
+	}
+	uint64 read_u64() {
+		uint64 value = 0;
+		read_raw(&value, sizeof(value));
+		return value;
+	}
+	std::string read_string() {
+		uint32 count = read_u32();
+		if (!ok || pos + count > size) {
+			ok = false;
+			return "";
+		}
+		std::string value((const char*)data + pos, count);
+		pos += count;
+		return value;
+	}
+	/// Returns the unread remainder of the message.
+	const uint8* rest(size_t* count) {
+		*count = size - pos;
+		return data + pos;
+	}
+};
+
+bool steam_loopback_send_to(int index, const steam_loopback_writer& w)
+{
+	if (steam_loopback_socket == steam_loopback_socket_invalid || index < 0 || index >= steam_loopback_count) return false;
+
+	sockaddr_in addr{};
+	addr.sin_family = AF_INET;
+	addr.sin_port = htons((uint16)(steam_loopback_base_port + index));
+	addr.sin_addr.s_addr = htonl(INADDR_LOOPBACK);
+	return sendto(steam_loopback_socket, (const char*)w.data.data(), (int)w.data.size(), 0, (sockaddr*)&addr, sizeof(addr)) >= 0;
+}
+
+/// Sends a message to every instance (including this one).
+void steam_loopback_broadcast(const steam_loopback_writer& w)
+{
+	for (int i = 0; i < steam_loopback_count; i++) steam_loopback_send_to(i, w);
+}
+
+std::chrono::steady_clock::time_point steam_loopback_now()
+{
+	return std::chrono::steady_clock::now();
+}
+
+bool steam_loopback_elapsed(std::chrono::steady_clock::time_point since, int ms)
+{
+	return steam_loopback_now() - since >= std::chrono::milliseconds(ms);
+}
+
+#pragma endregion
+
+#pragma region Packets
+
+struct steam_loopback_packet {
+	CSteamID sender;
+	int channel;
+	std::vector<uint8> data;
+};
+std::deque<steam_loopback_packet> steam_loopback_packets;
+
+bool steam_loopback_packet_send(CSteamID target, const void* data, uint32 size, int channel)
+{
+	if (size > steam_loopback_max_packet) return false;
+
+	steam_loopback_writer w(steam_loopback_message::packet);
+	w.write_u32((uint32)channel);
+	w.write_raw(data, size);
+	return steam_loopback_send_to(steam_loopback_user_index(target), w);
+}
+
+void steam_loopback_poll();
+bool steam_loopback_packet_read(int channel, std::vector<uint8>& data, CSteamID& sender)
+{
+	steam_loopback_poll();
+	for (auto it = steam_loopback_packets.begin(); it != steam_loopback_packets.end(); ++it) {
+		if (it->channel != channel) continue;
+		data.swap(it->data);
+		sender = it->sender;
+		steam_loopback_packets.erase(it);
+		return true;
+	}
+	return false;
+}
+
+#pragma endregion
+
+#pragma region Lobbies
+
+void steam_loopback_write_map(steam_loopback_writer& w, const std::map<std::string, std::string>& map)
+{
+	w.write_u32((uint32)map.size());
+	for (auto& pair : map) {
+		w.write_string(pair.first);
+		w.write_string(pair.second);
+	}
+}
+
+void steam_loopback_read_map(steam_loopback_reader& r, std::map<std::string, std::string>& map)
+{
+	map.clear();
+	uint32 count = r.read_u32();
+	for (uint32 i = 0; i < count && r.ok; i++) {
+		std::string key = r.read_string();
+		map[key] = r.read_string();
+	}
+}
+
+struct steam_loopback_lobby {
+	CSteamID id;
+	CSteamID owner;
+	int type = 0;
+	int max_members = 0;
+	bool joinable = true;
+	std::vector<CSteamID> members;
+	std::map<std::string, std::string> data;
+	std::map<uint64, std::map<std::string, std::string>> member_data;
+	bool has_game_server = false;
+	uint32 game_server_ip = 0;
+	uint16 game_server_port = 0;
+	CSteamID game_server_id;
+
+	bool has_member(CSteamID user) const {
+		for (auto& member : members) if (member == user) return true;
+		return false;
+	}
+	void remove_member(CSteamID user) {
+		member_data.erase(user.ConvertToUint64());
+		for (auto it = members.begin(); it != members.end(); ++it) {
+			if (*it == user) {
+				members.erase(it);
+				return;
+			}
+		}
+	}
+	void write(steam_loopback_writer& w) const {
+		w.write_u64(id.ConvertToUint64());
+		w.write_u64(owner.ConvertToUint64());
+		w.write_u8((uint8)type);
+		w.write_u32((uint32)max_members);
+		w.write_u8(joinable);
+		w.write_u32((uint32)members.size());
+		for (auto& member : members) w.write_u64(member.ConvertToUint64());
+		steam_loopback_write_map(w, data);
+		w.write_u32((uint32)member_data.size());
+		for (auto& pair : member_data) {
+			w.write_u64(pair.first);
+			steam_loopback_write_map(w, pair.second);
+		}
+		w.write_u8(has_game_server);
+		w.write_u32(game_server_ip);
+		w.write_u32(game_server_port);
+		w.write_u64(game_server_id.ConvertToUint64());
+	}
+	bool read(steam_loopback_reader& r) {
+		id.SetFromUint64(r.read_u64());
+		owner.SetFromUint64(r.read_u64());
+		type = r.read_u8();
+		max_members = (int)r.read_u32();
+		joinable = r.read_u8() != 0;
+		uint32 member_count = r.read_u32();
+		if (!r.ok || member_count > 255) return false;
+		members.resize(member_count);
+		for (auto& member : members) member.SetFromUint64(r.read_u64());
+		steam_loopback_read_map(r, data);
+		member_data.clear();
+		uint32 count = r.read_u32();
+		for (uint32 i = 0; i < count && r.ok; i++) {
+			uint64 user = r.read_u64();
+			steam_loopback_read_map(r, member_data[user]);
+		}
+		has_game_server = r.read_u8() != 0;
+		game_server_ip = r.read_u32();
+		game_server_port = (uint16)r.read_u32();
+		game_server_id.SetFromUint64(r.read_u64());
+		return r.ok;
+	}
+};
+
+/// The lobby we are in, mirrored from (or, if we own it, authoritative for) the other members.
+steam_loopback_lobby steam_loopback_current;
+/// Results of the last lobby list request.
+std::vector<steam_loopback_lobby> steam_loopback_list;
+bool steam_loopback_list_loading = false;
+std::chrono::steady_clock::time_point steam_loopback_list_time;
+CSteamID steam_loopback_join_pending;
+std::chrono::steady_clock::time_point steam_loopback_join_time;
+uint32 steam_loopback_lobby_counter = 0;
+
+/// Returns whether the local user owns the given lobby (which can only be the one we are in).
+bool steam_loopback_is_owner(CSteamID lobby)
+{
+	return lobby.IsValid() && lobby == steam_loopback_current.id && steam_loopback_current.owner == steam_loopback_get_user_id();
+}
+
+const steam_loopback_lobby* steam_loopback_find_lobby(CSteamID lobby)
+{
+	if (lobby.IsValid() && lobby == steam_loopback_current.id) return &steam_loopback_current;
+	for (auto& item : steam_loopback_list) if (item.id == lobby) return &item;
+	return nullptr;
+}
+
+/// [owner] Sends the state of the current lobby to the other members.
+void steam_loopback_lobby_send_state(CSteamID except = CSteamID())
+{
+	steam_loopback_writer w(steam_loopback_message::lobby_state);
+	steam_loopback_current.write(w);
+	CSteamID self = steam_loopback_get_user_id();
+	for (auto& member : steam_loopback_current.members) {
+		if (member != self && member != except) steam_loopback_send_to(steam_loopback_user_index(member), w);
+	}
+}
+
+void steam_loopback_dispatch_member_change(CSteamID lobby, CSteamID user, int flags)
+{
+	steam_net_event ev((char*)"lobby_chat_update");
+	ev.set_steamid_all("lobby_id", lobby);
+	ev.set_steamid_all("user_id", user);
+	ev.set_steamid_all("change_id", user);
+	ev.set((char*)"change_flags", (int32)flags);
+	ev.dispatch();
+}
+
+bool steam_loopback_lobby_create(int type, int max_members)
+{
+	CSteamID self = steam_loopback_get_user_id();
+	uint32 account = ((++steam_loopback_lobby_counter & 0xFFFFFF) << 8) | (uint32)(steam_loopback_index + 1);
+
+	steam_loopback_current = steam_loopback_lobby();
+	steam_loopback_current.id = CSteamID(account, k_EChatInstanceFlagLobby, k_EUniversePublic, k_EAccountTypeChat);
+	steam_loopback_current.owner = self;
+	steam_loopback_current.type = type;
+	steam_loopback_current.max_members = max_members;
+	steam_loopback_current.members.push_back(self);
+	steam_lobby_joined_add(steam_loopback_current.id);
+
+	steam_net_event r((char*)"lobby_created");
+	r.set_steamid_all("lobby_id", steam_loopback_current.id);
+	r.set_result(k_EResultOK);
+	r.dispatch();
+	return true;
+}
+
+bool steam_loopback_lobby_join(CSteamID lobby)
+{
+	// the owner isn't known to us unless the lobby came from a list request, so ask everyone:
+	steam_loopback_writer w(steam_loopback_message::lobby_join);
+	w.write_u64(lobby.ConvertToUint64());
+	steam_loopback_broadcast(w);
+	steam_loopback_join_pending = lobby;
+	steam_loopback_join_time = steam_loopback_now();
+	return true;
+}
+
+void steam_loopback_lobby_leave()
+{
+	if (!steam_loopback_current.id.IsValid()) return;
+
+	CSteamID self = steam_loopback_get_user_id();
+	if (steam_loopback_current.owner == self) {
+		steam_loopback_current.remove_member(self);
+		if (!steam_loopback_current.members.empty()) {
+			// hand the lobby over to the next member:
+			steam_loopback_current.owner = steam_loopback_current.members[0];
+			steam_loopback_lobby_send_state();
+		}
+	} else {
+		steam_loopback_writer w(steam_loopback_message::lobby_leave);
+		w.write_u64(steam_loopback_current.id.ConvertToUint64());
+		steam_loopback_send_to(steam_loopback_user_index(steam_loopback_current.owner), w);
+	}
+	CSteamID lobby = steam_loopback_current.id;
+	steam_loopback_current = steam_loopback_lobby();
+	steam_lobby_joined_remove(lobby);
+}
+
+CSteamID steam_loopback_lobby_get_owner(CSteamID lobby)
+{
+	auto item = steam_loopback_find_lobby(lobby);
+	return item ? item->owner : CSteamID();
+}
+
+int steam_loopback_lobby_get_member_count(CSteamID lobby)
+{
+	auto item = steam_loopback_find_lobby(lobby);
+	return item ? (int)item->members.size() : 0;
+}
+
+CSteamID steam_loopback_lobby_get_member(CSteamID lobby, int index)
+{
+	auto item = steam_loopback_find_lobby(lobby);
+	if (!item || index < 0 || index >= (int)item->members.size()) return CSteamID();
+	return item->members[index];
+}
+
+const char* steam_loopback_lobby_get_data(CSteamID lobby, const char* key)
+{
+	auto item = steam_loopback_find_lobby(lobby);
+	if (!item) return "";
+	auto pair = item->data.find(key);
+	return pair != item->data.end() ? pair->second.c_str() : "";
+}
+
+int steam_loopback_lobby_get_data_count(CSteamID lobby)
+{
+	auto item = steam_loopback_find_lobby(lobby);
+	return item ? (int)item->data.size() : 0;
+}
+
+bool steam_loopback_lobby_get_data_by_index(CSteamID lobby, int index, std::string& key, std::string& value)
+{
+	auto item = steam_loopback_find_lobby(lobby);
+	if (!item || index < 0 || index >= (int)item->data.size()) return false;
+	auto pair = std::next(item->data.begin(), index);
+	key = pair->first;
+	value = pair->second;
+	return true;
+}
+
+bool steam_loopback_lobby_set_data(CSteamID lobby, const char* key, const char* value)
+{
+	if (!steam_loopback_is_owner(lobby)) return false;
+	steam_loopback_current.data[key] = value;
+	steam_loopback_lobby_send_state();
+	steam_lobby_data_update_dispatch(steam_loopback_current.id, steam_loopback_current.id, true);
+	return true;
+}
+
+const char* steam_loopback_lobby_get_member_data(CSteamID lobby, CSteamID user, const char* key)
+{
+	auto item = steam_loopback_find_lobby(lobby);
+	if (!item) return "";
+	auto member = item->member_data.find(user.ConvertToUint64());
+	if (member == item->member_data.end()) return "";
+	auto pair = member->second.find(key);
+	return pair != member->second.end() ? pair->second.c_str() : "";
+}
+
+bool steam_loopback_lobby_set_member_data(CSteamID lobby, const char* key, const char* value)
+{
+	if (!lobby.IsValid() || lobby != steam_loopback_current.id) return false;
+
+	// members can't change the lobby state themselves, so the owner does it for them:
+	steam_loopback_writer w(steam_loopback_message::lobby_member_data);
+	w.write_u64(steam_loopback_current.id.ConvertToUint64());
+	w.write_string(key);
+	w.write_string(value);
+	return steam_loopback_send_to(steam_loopback_user_index(steam_loopback_current.owner), w);
+}
+
+bool steam_loopback_lobby_set_owner(CSteamID lobby, CSteamID user)
+{
+	if (!steam_loopback_is_owner(lobby) || !steam_loopback_current.has_member(user)) return false;
+	steam_loopback_current.owner = user;
+	steam_loopback_lobby_send_state();
+	return true;
+}
+
+bool steam_loopback_lobby_set_joinable(CSteamID lobby, bool joinable)
+{
+	if (!steam_loopback_is_owner(lobby)) return false;
+	steam_loopback_current.joinable = joinable;
+	steam_loopback_lobby_send_state();
+	return true;
+}
+
+bool steam_loopback_lobby_set_type(CSteamID lobby, int type)
+{
+	if (!steam_loopback_is_owner(lobby)) return false;
+	steam_loopback_current.type = type;
+	steam_loopback_lobby_send_state();
+	return true;
+}
+
+bool steam_loopback_lobby_set_member_limit(CSteamID lobby, int max_members)
+{
+	if (!steam_loopback_is_owner(lobby)) return false;
+	steam_loopback_current.max_members = max_members;
+	steam_loopback_lobby_send_state();
+	return true;
+}
+
+int steam_loopback_lobby_get_member_limit(CSteamID lobby)
+{
+	auto item = steam_loopback_find_lobby(lobby);
+	return item ? item->max_members : 0;
+}
+
+bool steam_loopback_lobby_set_game_server(CSteamID lobby, uint32 ip, uint16 port, CSteamID server)
+{
+	if (!steam_loopback_is_owner(lobby)) return false;
+	auto& current = steam_loopback_current;
+	current.has_game_server = true;
+	current.game_server_ip = ip;
+	current.game_server_port = port;
+	current.game_server_id = server;
+	steam_loopback_lobby_send_state();
+	steam_lobby_game_created_dispatch(current.id, server, ip, port);
+	return true;
+}
+
+bool steam_loopback_lobby_get_game_server(CSteamID lobby, uint32* ip, uint16* port, CSteamID* server)
+{
+	auto item = steam_loopback_find_lobby(lobby);
+	if (!item || !item->has_game_server) return false;
+	*ip = item->game_server_ip;
+	*port = item->game_server_port;
+	*server = item->game_server_id;
+	return true;
+}
+
+bool steam_loopback_lobby_invite(CSteamID lobby, CSteamID user)
+{
+	if (!lobby.IsValid() || lobby != steam_loopback_current.id) return false;
+
+	steam_loopback_writer w(steam_loopback_message::lobby_invite);
+	w.write_u64(steam_loopback_current.id.ConvertToUint64());
+	return steam_loopback_send_to(steam_loopback_user_index(user), w);
+}
+
+bool steam_loopback_lobby_send_chat(CSteamID lobby, const void* data, uint32 size)
+{
+	if (!lobby.IsValid() || lobby != steam_loopback_current.id || size > steam_loopback_max_packet) return false;
+
+	steam_loopback_writer w(steam_loopback_message::lobby_chat);
+	w.write_u64(steam_loopback_current.id.ConvertToUint64());
+	w.write_raw(data, size);
+	return steam_loopback_send_to(steam_loopback_user_index(steam_loopback_current.owner), w);
+}
+
+bool steam_loopback_lobby_list_request()
+{
+	steam_loopback_list.clear();
+	steam_loopback_writer w(steam_loopback_message::lobby_list_request);
+	steam_loopback_broadcast(w);
+	steam_loopback_list_loading = true;
+	steam_loopback_list_time = steam_loopback_now();
+	return true;
+}
+
+#pragma endregion
+
+#pragma region Message handling
+
+void steam_loopback_handle_lobby_join(CSteamID from, steam_loopback_reader& r)
+{
+	CSteamID lobby(r.read_u64());
+	if (!r.ok || !steam_loopback_is_owner(lobby)) return;
+
+	auto& current = steam_loopback_current;
+	bool ok = current.joinable && !current.has_member(from)
+		&& (current.max_members <= 0 || (int)current.members.size() < current.max_members);
+	if (ok) current.members.push_back(from);
+
+	steam_loopback_writer w(steam_loopback_message::lobby_join_response);
+	w.write_u64(lobby.ConvertToUint64());
+	w.write_u8(ok);
+	current.write(w);
+	steam_loopback_send_to(steam_loopback_user_index(from), w);
+	if (!ok) return;
+
+	steam_loopback_lobby_send_state(from);
+	steam_loopback_dispatch_member_change(lobby, from, k_EChatMemberStateChangeEntered);
+}
+
+void steam_loopback_handle_lobby_join_response(CSteamID from, steam_loopback_reader& r)
+{
+	CSteamID lobby(r.read_u64());
+	bool ok = r.read_u8() != 0;
+	if (!r.ok || lobby != steam_loopback_join_pending) return;
+	steam_loopback_join_pending.Clear();
+
+	if (ok) {
+		steam_loopback_lobby state;
+		ok = state.read(r);
+		if (ok) {
+			steam_loopback_current = state;
+			steam_lobby_joined_add(lobby);
+		}
+	}
+
+	steam_net_event q((char*)"lobby_joined");
+	q.set_steamid_all("lobby_id", lobby);
+	q.set_success(ok);
+	q.set((char*)"response", (uint32)(ok ? k_EChatRoomEnterResponseSuccess : k_EChatRoomEnterResponseError));
+	q.dispatch();
+	if (ok) steam_lobby_ban_check(lobby);
+}
+
+void steam_loopback_handle_lobby_leave(CSteamID from, steam_loopback_reader& r)
+{
+	CSteamID lobby(r.read_u64());
+	if (!r.ok || !steam_loopback_is_owner(lobby) || !steam_loopback_current.has_member(from)) return;
+
+	steam_loopback_current.remove_member(from);
+	steam_loopback_lobby_send_state();
+	steam_loopback_dispatch_member_change(lobby, from, k_EChatMemberStateChangeLeft);
+}
+
+void steam_loopback_handle_lobby_state(CSteamID from, steam_loopback_reader& r)
+{
+	steam_loopback_lobby state;
+	if (!state.read(r) || state.id != steam_loopback_current.id || from != steam_loopback_current.owner) return;
+
+	CSteamID self = steam_loopback_get_user_id();
+	if (!state.has_member(self)) {
+		steam_loopback_current = steam_loopback_lobby();
+		steam_lobby_joined_remove(state.id);
+		return;
+	}
+
+	for (auto& member : state.members) {
+		if (!steam_loopback_current.has_member(member)) steam_loopback_dispatch_member_change(state.id, member, k_EChatMemberStateChangeEntered);
+	}
+	for (auto& member : steam_loopback_current.members) {
+		if (!state.has_member(member)) steam_loopback_dispatch_member_change(state.id, member, k_EChatMemberStateChangeLeft);
+	}
+	if (state.data != steam_loopback_current.data) steam_lobby_data_update_dispatch(state.id, state.id, true);
+	for (auto& member : state.members) {
+		uint64 user = member.ConvertToUint64();
+		auto before = steam_loopback_current.member_data.find(user);
+		auto after = state.member_data.find(user);
+		bool had = before != steam_loopback_current.member_data.end();
+		bool has = after != state.member_data.end();
+		if (had != has || (has && before->second != after->second)) steam_lobby_data_update_dispatch(state.id, member, true);
+	}
+	auto& current = steam_loopback_current;
+	if (state.has_game_server && (!current.has_game_server || state.game_server_ip != current.game_server_ip
+		|| state.game_server_port != current.game_server_port || state.game_server_id != current.game_server_id)) {
+		steam_lobby_game_created_dispatch(state.id, state.game_server_id, state.game_server_ip, state.game_server_port);
+	}
+	steam_loopback_current = state;
+}
+
+void steam_loopback_handle_lobby_chat(CSteamID from, steam_loopback_reader& r)
+{
+	CSteamID lobby(r.read_u64());
+	if (!r.ok || !steam_loopback_is_owner(lobby) || !steam_loopback_current.has_member(from)) return;
+
+	size_t size = 0;
+	const uint8* data = r.rest(&size);
+	steam_loopback_writer w(steam_loopback_message::lobby_chat_relay);
+	w.write_u64(lobby.ConvertToUint64());
+	w.write_u64(from.ConvertToUint64());
+	w.write_raw(data, size);
+	for (auto& member : steam_loopback_current.members) steam_loopback_send_to(steam_loopback_user_index(member), w);
+}
+
+void steam_loopback_handle_lobby_chat_relay(CSteamID from, steam_loopback_reader& r)
+{
+	CSteamID lobby(r.read_u64());
+	CSteamID sender(r.read_u64());
+	if (!r.ok || lobby != steam_loopback_current.id || from != steam_loopback_current.owner) return;
+
+	size_t size = 0;
+	const uint8* data = r.rest(&size);
+	steam_lobby_chat_push(lobby, sender, k_EChatEntryTypeChatMsg, data, size);
+}
+
+void steam_loopback_handle_lobby_member_data(CSteamID from, steam_loopback_reader& r)
+{
+	CSteamID lobby(r.read_u64());
+	std::string key = r.read_string();
+	std::string value = r.read_string();
+	if (!r.ok || !steam_loopback_is_owner(lobby) || !steam_loopback_current.has_member(from)) return;
+
+	steam_loopback_current.member_data[from.ConvertToUint64()][key] = value;
+	steam_loopback_lobby_send_state();
+	steam_lobby_data_update_dispatch(lobby, from, true);
+}
+
+void steam_loopback_handle_lobby_invite(CSteamID from, steam_loopback_reader& r)
+{
+	CSteamID lobby(r.read_u64());
+	if (!r.ok) return;
+
+	steam_lobby_invite_dispatch(from, lobby, steam_app_id);
+}
+
+void steam_loopback_handle_lobby_list_request(CSteamID from, steam_loopback_reader& r)
+{
+	auto& current = steam_loopback_current;
+	if (!steam_loopback_is_owner(current.id) || !current.joinable || current.type == k_ELobbyTypePrivate) return;
+
+	steam_loopback_writer w(steam_loopback_message::lobby_list_response);
+	current.write(w);
+	steam_loopback_send_to(steam_loopback_user_index(from), w);
+}
+
+void steam_loopback_handle_lobby_list_response(CSteamID from, steam_loopback_reader& r)
+{
+	steam_loopback_lobby lobby;
+	if (!steam_loopback_list_loading || !lobby.read(r)) return;
+	for (auto& item : steam_loopback_list) if (item.id == lobby.id) return;
+	steam_loopback_list.push_back(lobby);
+}
+
+void steam_loopback_handle(const uint8* data, size_t size)
+{
+	steam_loopback_reader r(data, size);
+	auto type = (steam_loopback_message)r.read_u8();
+	CSteamID from(r.read_u64());
+	if (!r.ok) return;
+
+	switch (type) {
+		case steam_loopback_message::packet: {
+			steam_loopback_packet packet;
+			packet.sender = from;
+			packet.channel = (int)r.read_u32();
+			if (!r.ok) return;
+			size_t count = 0;
+			const uint8* rest = r.rest(&count);
+			packet.data.assign(rest, rest + count);
+			steam_loopback_packets.push_back(std::move(packet));
+		} break;
+		case steam_loopback_message::lobby_join: steam_loopback_handle_lobby_join(from, r); break;
+		case steam_loopback_message::lobby_join_response: steam_loopback_handle_lobby_join_response(from, r); break;
+		case steam_loopback_message::lobby_leave: steam_loopback_handle_lobby_leave(from, r); break;
+		case steam_loopback_message::lobby_state: steam_loopback_handle_lobby_state(from, r); break;
+		case steam_loopback_message::lobby_chat: steam_loopback_handle_lobby_chat(from, r); break;
+		case steam_loopback_message::lobby_chat_relay: steam_loopback_handle_lobby_chat_relay(from, r); break;
+		case steam_loopback_message::lobby_list_request: steam_loopback_handle_lobby_list_request(from, r); break;
+		case steam_loopback_message::lobby_list_response: steam_loopback_handle_lobby_list_response(from, r); break;
+		case steam_loopback_message::lobby_member_data: steam_loopback_handle_lobby_member_data(from, r); break;
+		case steam_loopback_message::lobby_invite: steam_loopback_handle_lobby_invite(from, r); break;
+	}
+}
+
+/// Handles all messages that arrived since the last call.
+void steam_loopback_poll()
+{
+	static uint8 data[65536];
+	if (steam_loopback_socket == steam_loopback_socket_invalid) return;
+	for (;;) {
+		int size = (int)recvfrom(steam_loopback_socket, (char*)data, sizeof(data), 0, nullptr, nullptr);
+		if (size <= 0) break;
+		steam_loopback_handle(data, (size_t)size);
+	}
+}
+
+/// Called from steam_update.
+void steam_loopback_update()
+{
+	steam_loopback_poll();
+
+	if (steam_loopback_list_loading && steam_loopback_elapsed(steam_loopback_list_time, steam_loopback_list_timeout_ms)) {
+		steam_loopback_list_loading = false;
+		std::vector<CSteamID> lobbies;
+		for (auto& item : steam_loopback_list) lobbies.push_back(item.id);
+		steam_lobby_list_finish(lobbies, true);
+	}
+
+	if (steam_loopback_join_pending.IsValid() && steam_loopback_elapsed(steam_loopback_join_time, steam_loopback_join_timeout_ms)) {
+		steam_net_event q((char*)"lobby_joined");
+		q.set_steamid_all("lobby_id", steam_loopback_join_pending);
+		q.set_success(false);
+		q.set((char*)"response", (uint32)k_EChatRoomEnterResponseDoesntExist);
+		q.dispatch();
+		steam_loopback_join_pending.Clear();
+	}
+}
+
+#pragma endregion
+
+#pragma region Functions
+
+void steam_loopback_stop_()
+{
+	if (!steam_loopback_active) return;
+
+	steam_loopback_lobby_leave();
+	steam_loopback_socket_close(steam_loopback_socket);
+	steam_loopback_socket = steam_loopback_socket_invalid;
+#ifdef _WIN32
+	WSACleanup();
+#endif
+	steam_loopback_packets.clear();
+	steam_loopback_list.clear();
+	steam_loopback_list_loading = false;
+	steam_loopback_join_pending.Clear();
+	steam_loopback_active = false;
+}
+
+/// Starts routing networking and lobby functions through the local loopback transport, acting as the given instance.
+YYEXPORT void /*double*/ steam_loopback_start(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double index, double count = 4, double base_port = 27100)
+{
+	int index = YYGetInt32(arg, 0);
+	int count = argc > 1 ? YYGetInt32(arg, 1) : 4;
+	int base_port = argc > 2 ? YYGetInt32(arg, 2) : 27100;
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (count < 1 || count > 255 || index < 0 || index >= count)
+	{
+		DebugConsoleOutput("steam_loopback_start() - error: invalid instance index %d (of %d)\n", index, count);
+		return;
+	}
+
+	steam_loopback_stop_();
+#ifdef _WIN32
+	WSADATA wsa;
+	if (WSAStartup(MAKEWORD(2, 2), &wsa) != 0) return;
+#endif
+
+	steam_loopback_socket_t s = socket(AF_INET, SOCK_DGRAM, IPPROTO_UDP);
+	sockaddr_in addr{};
+	addr.sin_family = AF_INET;
+	addr.sin_port = htons((uint16)(base_port + index));
+	addr.sin_addr.s_addr = htonl(INADDR_LOOPBACK);
+	if (s == steam_loopback_socket_invalid || bind(s, (sockaddr*)&addr, sizeof(addr)) != 0)
+	{
+		DebugConsoleOutput("steam_loopback_start() - error: could not bind port %d\n", base_port + index);
+		if (s != steam_loopback_socket_invalid) steam_loopback_socket_close(s);
+#ifdef _WIN32
+		WSACleanup();
+#endif
+		return;
+	}
+
+#ifdef _WIN32
+	u_long nonblocking = 1;
+	ioctlsocket(s, FIONBIO, &nonblocking);
+	// don't report "port unreachable" for sends to instances that aren't running as receive errors:
+	BOOL report = FALSE;
+	DWORD bytes = 0;
+	WSAIoctl(s, SIO_UDP_CONNRESET, &report, sizeof(report), nullptr, 0, &bytes, nullptr, nullptr);
+#else
+	fcntl(s, F_SETFL, fcntl(s, F_GETFL, 0) | O_NONBLOCK);
+#endif
+
+	steam_loopback_socket = s;
+	steam_loopback_index = index;
+	steam_loopback_count = count;
+	steam_loopback_base_port = base_port;
+	steam_loopback_active = true;
+	Result.val = true;
+}
+
+/// Stops the loopback transport, leaving the current lobby (if any).
+YYEXPORT void /*double*/ steam_loopback_stop(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_loopback_active;
+	steam_loopback_stop_();
+}
+
+YYEXPORT void /*double*/ steam_loopback_is_active(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_loopback_active;
+}
+
+#pragma endregion
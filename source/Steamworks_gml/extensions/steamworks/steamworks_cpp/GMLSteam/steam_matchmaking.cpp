@@ -8,6 +8,169 @@
 #include "YYRValue.h"
 #include "steam_common.h"
 
+#pragma region Lobby getters
+
+// The following also work with the loopback stand-in (see steam_loopback.cpp):
+
+CSteamID steam_lobby_local_user()
+{
+	if (steam_loopback_active) return steam_loopback_get_user_id();
+	return steam_is_initialised && SteamUser() ? SteamUser()->GetSteamID() : CSteamID();
+}
+
+CSteamID steam_lobby_get_owner_of(CSteamID lobby)
+{
+	if (steam_loopback_active) return steam_loopback_lobby_get_owner(lobby);
+	return SteamMatchmaking() ? SteamMatchmaking()->GetLobbyOwner(lobby) : CSteamID();
+}
+
+int steam_lobby_get_member_count_of(CSteamID lobby)
+{
+	if (steam_loopback_active) return steam_loopback_lobby_get_member_count(lobby);
+	return SteamMatchmaking() ? SteamMatchmaking()->GetNumLobbyMembers(lobby) : 0;
+}
+
+int steam_lobby_get_member_limit_of(CSteamID lobby)
+{
+	if (steam_loopback_active) return steam_loopback_lobby_get_member_limit(lobby);
+	return SteamMatchmaking() ? SteamMatchmaking()->GetLobbyMemberLimit(lobby) : 0;
+}
+
+CSteamID steam_lobby_get_member_of(CSteamID lobby, int index)
+{
+	if (steam_loopback_active) return steam_loopback_lobby_get_member(lobby, index);
+	return SteamMatchmaking() ? SteamMatchmaking()->GetLobbyMemberByIndex(lobby, index) : CSteamID();
+}
+
+const char* steam_lobby_get_data_of(CSteamID lobby, const char* key)
+{
+	if (steam_loopback_active) return steam_loopback_lobby_get_data(lobby, key);
+	return SteamMatchmaking() ? SteamMatchmaking()->GetLobbyData(lobby, key) : "";
+}
+
+/// Lobby data key holding the IDs of banned users (see steam_lobby_kick_user); hidden from data enumeration.
+#define steam_lobby_ban_key "__gm_banned"
+
+int steam_lobby_get_raw_data_count_of(CSteamID lobby)
+{
+	if (steam_loopback_active) return steam_loopback_lobby_get_data_count(lobby);
+	return SteamMatchmaking() ? SteamMatchmaking()->GetLobbyDataCount(lobby) : 0;
+}
+
+bool steam_lobby_get_raw_data_by_index_of(CSteamID lobby, int index, std::string& key, std::string& value)
+{
+	if (steam_loopback_active) return steam_loopback_lobby_get_data_by_index(lobby, index, key, value);
+	if (!SteamMatchmaking()) return false;
+
+	static char key_buf[k_nMaxLobbyKeyLength + 1];
+	static char value_buf[k_cubChatMetadataMax];
+	if (!SteamMatchmaking()->GetLobbyDataByIndex(lobby, index, key_buf, sizeof(key_buf), value_buf, sizeof(value_buf))) return false;
+	key = key_buf;
+	value = value_buf;
+	return true;
+}
+
+int steam_lobby_get_data_count_of(CSteamID lobby)
+{
+	int count = steam_lobby_get_raw_data_count_of(lobby);
+	int visible = count;
+	std::string key, value;
+	for (int i = 0; i < count; i++) {
+		if (steam_lobby_get_raw_data_by_index_of(lobby, i, key, value) && key == steam_lobby_ban_key) visible--;
+	}
+	return visible;
+}
+
+bool steam_lobby_get_data_by_index_of(CSteamID lobby, int index, std::string& key, std::string& value)
+{
+	if (index < 0) return false;
+	int count = steam_lobby_get_raw_data_count_of(lobby);
+	for (int i = 0; i < count; i++) {
+		if (!steam_lobby_get_raw_data_by_index_of(lobby, i, key, value)) return false;
+		if (key == steam_lobby_ban_key) continue;
+		if (index-- == 0) return true;
+	}
+	return false;
+}
+
+/// Returns a struct with the key and value of the lobby data at the given index, or undefined.
+void steam_lobby_data_by_index_to_struct(RValue& Result, CSteamID lobby, int index)
+{
+	std::string key, value;
+	if (!lobby.IsValid() || !steam_lobby_get_data_by_index_of(lobby, index, key, value))
+	{
+		Result.kind = VALUE_UNDEFINED;
+		return;
+	}
+
+	YYStructCreate(&Result);
+	YYStructAddString(&Result, "key", key.c_str());
+	YYStructAddString(&Result, "value", value.c_str());
+}
+
+#pragma endregion
+
+#pragma region Joined lobbies
+
+/// All lobbies that the local user is in. The current lobby (used when functions aren't given a lobby ID) is one of these.
+std::vector<CSteamID> steam_lobby_joined_ids;
+
+bool steam_lobby_is_joined(CSteamID lobby)
+{
+	for (auto& id : steam_lobby_joined_ids) if (id == lobby) return true;
+	return false;
+}
+
+/// Adds a lobby to the joined ones and makes it the current lobby.
+void steam_lobby_joined_add(CSteamID lobby)
+{
+	if (!steam_lobby_is_joined(lobby)) steam_lobby_joined_ids.push_back(lobby);
+	steam_lobby_current = lobby;
+}
+
+/// Removes a lobby from the joined ones. If it was the current lobby, the most recently joined one takes its place.
+void steam_lobby_joined_remove(CSteamID lobby)
+{
+	for (auto it = steam_lobby_joined_ids.begin(); it != steam_lobby_joined_ids.end(); ++it) {
+		if (*it == lobby) {
+			steam_lobby_joined_ids.erase(it);
+			break;
+		}
+	}
+	if (steam_lobby_current == lobby) {
+		if (steam_lobby_joined_ids.empty())
+			steam_lobby_current.Clear();
+		else
+			steam_lobby_current = steam_lobby_joined_ids.back();
+	}
+}
+
+/// Returns the lobby ID given as an optional argument, or the current lobby if it's missing.
+CSteamID steam_lobby_arg(RValue* arg, int argc, int index)
+{
+	return argc > index ? CSteamID((uint64)YYGetInt64(arg, index)) : steam_lobby_current;
+}
+
+/// Returns an array with the IDs of all lobbies the local user is in.
+YYEXPORT void /*array*/ steam_lobby_get_joined_lobbies(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//() 
+{
+	std::vector<int64> ids;
+	for (auto& id : steam_lobby_joined_ids) ids.push_back((int64)id.ConvertToUint64());
+	_SW_SetArrayOfInt64(&Result, ids);
+}
+
+/// Changes which of the joined lobbies is used when functions aren't given a lobby ID.
+YYEXPORT void /*double*/ steam_lobby_set_current(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id) 
+{
+	CSteamID lobby((uint64)YYGetInt64(arg, 0));
+
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_lobby_is_joined(lobby);
+	if (Result.val) steam_lobby_current = lobby;
+}
+
+#pragma endregion
+
 #pragma region Current lobby
 
 YYEXPORT void /*double*/ steam_lobby_get_lobby_id(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//() 
@@ -16,30 +179,37 @@ YYEXPORT void /*double*/ steam_lobby_get_lobby_id(RValue& Result, CInstance* sel
 	Result.v64 = steam_lobby_current.ConvertToUint64();
 }
 
-bool steam_lobby_leave_()
+bool steam_lobby_leave_(CSteamID lobby)
 {
-	if (steam_lobby_current.IsValid()) {
-		SteamMatchmaking()->LeaveLobby(steam_lobby_current);
-		steam_lobby_current.Clear();
-		return true;
-	}
-	else return false;
+	if (!steam_lobby_is_joined(lobby)) return false;
+
+	if (steam_loopback_active)
+		steam_loopback_lobby_leave();
+	else
+		SteamMatchmaking()->LeaveLobby(lobby);
+	steam_lobby_joined_remove(lobby);
+	return true;
 }
 
-/// Leaves the current lobby (if any)
-YYEXPORT void /*double*/ steam_lobby_leave(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//() 
+/// Leaves the current (or given) lobby
+YYEXPORT void /*double*/ steam_lobby_leave(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id = current) 
 {
+	CSteamID lobby = steam_lobby_arg(arg, argc, 0);
+
 	Result.kind = VALUE_BOOL;
-	Result.val = steam_lobby_leave_();
+	Result.val = steam_lobby_leave_(lobby);
 }
 
-/// Returns whether the local user is the owner of the current lobby.
-YYEXPORT void /*double*/ steam_lobby_is_owner(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//() 
+/// Returns whether the local user is the owner of the current (or given) lobby.
+YYEXPORT void /*double*/ steam_lobby_is_owner(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id = current) 
 {
-	if (steam_lobby_current.IsValid()) 
+	CSteamID lobby = steam_lobby_arg(arg, argc, 0);
+
+	if (lobby.IsValid()) 
 	{
+		CSteamID self = steam_lobby_local_user();
 		Result.kind = VALUE_REAL;
-		Result.val = SteamUser()->GetSteamID().ConvertToUint64() == SteamMatchmaking()->GetLobbyOwner(steam_lobby_current).ConvertToUint64();
+		Result.val = self.IsValid() && self == steam_lobby_get_owner_of(lobby);
 	} 
 	else
 	{
@@ -48,25 +218,26 @@ YYEXPORT void /*double*/ steam_lobby_is_owner(RValue& Result, CInstance* selfins
 	}
 }
 
-uint64 steam_lobby_get_owner_id() {
-	if (steam_lobby_current.IsValid()) {
-		return SteamMatchmaking()->GetLobbyOwner(steam_lobby_current).ConvertToUint64();
-	} else return 0;
-}
-YYEXPORT void /*double*/ steam_lobby_get_owner_id(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//() 
+YYEXPORT void /*double*/ steam_lobby_get_owner_id(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id = current) 
 {
+	CSteamID lobby = steam_lobby_arg(arg, argc, 0);
+
 	Result.kind = VALUE_INT64;
-	Result.v64 = steam_lobby_get_owner_id();
+	Result.v64 = lobby.IsValid() ? steam_lobby_get_owner_of(lobby).ConvertToUint64() : 0;
 }
 
-YYEXPORT void /*double*/ steam_lobby_set_owner_id(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double user_id_high, double user_id_low) 
+YYEXPORT void /*double*/ steam_lobby_set_owner_id(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, int64 lobby_id = current) 
 {
 	uint64 value64 = (uint64)YYGetInt64(arg, 0);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 1);
 
-	if (steam_lobby_current.IsValid()) 
+	if (lobby.IsValid()) 
 	{
 		Result.kind = VALUE_REAL;
-		Result.val = SteamMatchmaking()->SetLobbyOwner(steam_lobby_current, value64);
+		if (steam_loopback_active)
+			Result.val = steam_loopback_lobby_set_owner(lobby, value64);
+		else
+			Result.val = SteamMatchmaking() ? SteamMatchmaking()->SetLobbyOwner(lobby, value64) : false;
 		return;
 	} 
 	else 
@@ -76,14 +247,18 @@ YYEXPORT void /*double*/ steam_lobby_set_owner_id(RValue& Result, CInstance* sel
 	}
 }
 
-YYEXPORT void /*bool*/ steam_lobby_set_joinable(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(bool joinable) 
+YYEXPORT void /*bool*/ steam_lobby_set_joinable(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(bool joinable, int64 lobby_id = current) 
 {
 	bool joinable = YYGetBool(arg, 0);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 1);
 
-	if (steam_lobby_current.IsValid()) 
+	if (lobby.IsValid()) 
 	{
 		Result.kind = VALUE_BOOL;
-		Result.val = SteamMatchmaking()->SetLobbyJoinable(steam_lobby_current, joinable);
+		if (steam_loopback_active)
+			Result.val = steam_loopback_lobby_set_joinable(lobby, joinable);
+		else
+			Result.val = SteamMatchmaking() ? SteamMatchmaking()->SetLobbyJoinable(lobby, joinable) : false;
 	} 
 	else
 	{
@@ -92,42 +267,31 @@ YYEXPORT void /*bool*/ steam_lobby_set_joinable(RValue& Result, CInstance* selfi
 	}
 }
 
-double steam_lobby_get_member_count_()
-{
-	if (SteamMatchmaking()) {
-		return SteamMatchmaking()->GetNumLobbyMembers(steam_lobby_current);
-	}
-	else return 0;
-}
-
 /// Returns the number of users in the lobby.
-YYEXPORT void /*double*/ steam_lobby_get_member_count(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//() 
+YYEXPORT void /*double*/ steam_lobby_get_member_count(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id = current) 
 {
-	Result.kind = VALUE_REAL;
-	Result.val = steam_lobby_get_member_count_();
-}
+	CSteamID lobby = steam_lobby_arg(arg, argc, 0);
 
-uint64 steam_lobby_get_member_id(int index) 
-{
-	if(index >= 0 && index < steam_lobby_get_member_count_())
-	{
-		return SteamMatchmaking()->GetLobbyMemberByIndex(steam_lobby_current, index).ConvertToUint64();
-	} else return 0;
+	Result.kind = VALUE_REAL;
+	Result.val = steam_lobby_get_member_count_of(lobby);
 }
 
-YYEXPORT void /*double*/ steam_lobby_get_member_id(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double index) 
+YYEXPORT void /*double*/ steam_lobby_get_member_id(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double index, int64 lobby_id = current) 
 {
-	double index = YYGetReal(arg, 0);
+	int index = YYGetInt32(arg, 0);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 1);
 
 	Result.kind = VALUE_INT64;
-	Result.v64 = steam_lobby_get_member_id((int)index);
+	Result.v64 = (index >= 0 && index < steam_lobby_get_member_count_of(lobby)) ? steam_lobby_get_member_of(lobby, index).ConvertToUint64() : 0;
 }
 
-/// Opens an overlay to invite users to the current lobby.
-YYEXPORT void /*double*/ steam_lobby_activate_invite_overlay(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//() 
+/// Opens an overlay to invite users to the current (or given) lobby.
+YYEXPORT void /*double*/ steam_lobby_activate_invite_overlay(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id = current) 
 {
-	if (steam_lobby_current.IsValid() && SteamFriends()) {
-		SteamFriends()->ActivateGameOverlayInviteDialog(steam_lobby_current);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 0);
+
+	if (lobby.IsValid() && SteamFriends()) {
+		SteamFriends()->ActivateGameOverlayInviteDialog(lobby);
 		Result.kind = VALUE_BOOL;
 		Result.val = true;
 	}
@@ -138,6 +302,40 @@ YYEXPORT void /*double*/ steam_lobby_activate_invite_overlay(RValue& Result, CIn
 	}
 }
 
+/// Invites the given user to the current (or given) lobby.
+YYEXPORT void /*double*/ steam_lobby_invite_user(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, int64 lobby_id = current) 
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	CSteamID lobby = steam_lobby_arg(arg, argc, 1);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!lobby.IsValid()) return;
+
+	if (steam_loopback_active)
+	{
+		Result.val = steam_loopback_lobby_invite(lobby, user_id);
+	}
+	else if (SteamMatchmaking())
+	{
+		Result.val = SteamMatchmaking()->InviteUserToLobby(lobby, user_id);
+	}
+}
+
+void steam_lobby_invite_dispatch(CSteamID user_id, CSteamID lobby_id, uint64 game_id)
+{
+	steam_net_event ev((char*)"lobby_invite");
+	ev.set_steamid_all("user_id", user_id);
+	ev.set_steamid_all("lobby_id", lobby_id);
+	ev.set((char*)"game_id", game_id);
+	ev.dispatch();
+}
+
+void steam_net_callbacks_t::lobby_invite(LobbyInvite_t* e)
+{
+	steam_lobby_invite_dispatch(CSteamID(e->m_ulSteamIDUser), CSteamID(e->m_ulSteamIDLobby), e->m_ulGameID);
+}
+
 #pragma endregion
 
 #pragma region Lobby list request
@@ -145,26 +343,39 @@ bool steam_lobby_list_loading = false;
 CCallResult<steam_net_callbacks_t, LobbyMatchList_t> steam_lobby_list_received;
 std::vector<CSteamID> steam_lobby_list;
 int steam_lobby_count = 0;
-void steam_net_callbacks_t::lobby_list_received(LobbyMatchList_t* e, bool failed) 
+void steam_lobby_list_finish(std::vector<CSteamID>& lobbies, bool success)
 {
-	uint32 n = e->m_nLobbiesMatching;
+	uint32 n = (uint32)lobbies.size();
 	steam_lobby_count = n;
-	steam_lobby_list.resize(n);
-	for (uint32 i = 0; i < n; i++) {
-		steam_lobby_list[i] = SteamMatchmaking()->GetLobbyByIndex(i);
-	}
+	steam_lobby_list = lobbies;
 	steam_lobby_list_loading = false;
 	//
 	steam_net_event ev((char*) "lobby_list");
-	ev.set_success(!failed);
+	ev.set_success(success);
 	ev.set((char*)"lobby_count", n);
 	ev.dispatch();
 }
 
+void steam_net_callbacks_t::lobby_list_received(LobbyMatchList_t* e, bool failed) 
+{
+	uint32 n = e->m_nLobbiesMatching;
+	std::vector<CSteamID> lobbies(n);
+	for (uint32 i = 0; i < n; i++) {
+		lobbies[i] = SteamMatchmaking()->GetLobbyByIndex(i);
+	}
+	steam_lobby_list_finish(lobbies, !failed);
+}
+
 /// Requests the list of lobbies to be (re-)loaded.
 YYEXPORT void /*double*/ steam_lobby_list_request(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//() 
 {
-	if (SteamMatchmaking()) 
+	if (steam_loopback_active)
+	{
+		steam_lobby_list_loading = steam_loopback_lobby_list_request();
+		Result.kind = VALUE_REAL;
+		Result.val = 1;
+	}
+	else if (SteamMatchmaking()) 
 	{
 		SteamAPICall_t call = SteamMatchmaking()->RequestLobbyList();
 		steam_lobby_list_received.Set(call, &steam_net_callbacks, &steam_net_callbacks_t::lobby_list_received);
@@ -310,6 +521,53 @@ YYEXPORT void /*double*/ steam_lobby_list_add_distance_filter(RValue& Result, CI
 	}
 }
 
+/// Only returns lobbies with at least the given number of open slots.
+YYEXPORT void /*double*/ steam_lobby_list_add_slots_available_filter(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double slots) 
+{
+	int32 slots = YYGetInt32(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (SteamMatchmaking())
+	{
+		SteamMatchmaking()->AddRequestLobbyListFilterSlotsAvailable(slots);
+		Result.val = true;
+	}
+}
+
+/// Limits the number of results of the next lobby list request.
+YYEXPORT void /*double*/ steam_lobby_list_add_result_count_filter(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double max_results) 
+{
+	int32 max_results = YYGetInt32(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (SteamMatchmaking())
+	{
+		SteamMatchmaking()->AddRequestLobbyListResultCountFilter(max_results);
+		Result.val = true;
+	}
+}
+
+/// Only returns lobbies with members that have played with the members of the given lobby.
+YYEXPORT void /*double*/ steam_lobby_list_add_compatible_members_filter(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id) 
+{
+	CSteamID lobby_id((uint64)YYGetInt64(arg, 0));
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!lobby_id.IsValid())
+	{
+		DebugConsoleOutput("steam_lobby_list_add_compatible_members_filter() - error: invalid lobby id\n");
+		return;
+	}
+	if (SteamMatchmaking())
+	{
+		SteamMatchmaking()->AddRequestLobbyListCompatibleMembersFilter(lobby_id);
+		Result.val = true;
+	}
+}
+
 #pragma endregion
 
 #pragma region Lobby list items
@@ -332,11 +590,29 @@ YYEXPORT void /*const char**/ steam_lobby_list_get_data(RValue& Result, CInstanc
 	int32 i = (int32)index;
 	if (i >= 0 && i < steam_lobby_count) {
 		CSteamID lobby = steam_lobby_list[i];
-		YYCreateString(&Result, SteamMatchmaking()->GetLobbyData(lobby, key));
+		YYCreateString(&Result, steam_lobby_get_data_of(lobby, key));
 	} 
 	else 
 		YYCreateString(&Result, "");
 }
+
+/// Returns the number of data fields of the given lobby
+YYEXPORT void /*double*/ steam_lobby_list_get_data_count(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double index) 
+{
+	int32 i = YYGetInt32(arg, 0);
+
+	Result.kind = VALUE_REAL;
+	Result.val = (i >= 0 && i < steam_lobby_count) ? steam_lobby_get_data_count_of(steam_lobby_list[i]) : 0;
+}
+
+/// Returns the data field of the given lobby at the given index, as a {key, value} struct.
+YYEXPORT void /*struct*/ steam_lobby_list_get_data_by_index(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double index, double data_index) 
+{
+	int32 i = YYGetInt32(arg, 0);
+	int32 data_index = YYGetInt32(arg, 1);
+
+	steam_lobby_data_by_index_to_struct(Result, (i >= 0 && i < steam_lobby_count) ? steam_lobby_list[i] : CSteamID(), data_index);
+}
 //
 uint64 steam_lobby_list_get_lobby_id(int32 index) {
 	if (index >= 0 && index < steam_lobby_count) {
@@ -358,7 +634,7 @@ YYEXPORT void /*double*/ steam_lobby_list_get_lobby_owner_id(RValue& Result, CIn
 	int32 i = YYGetInt32(arg, 0);
 
 	Result.kind = VALUE_INT64;
-	Result.v64 = SteamMatchmaking()->GetLobbyOwner(steam_lobby_list[i]).ConvertToUint64();
+	Result.v64 = steam_lobby_get_owner_of(steam_lobby_list[i]).ConvertToUint64();
 }
 
 /// [async] Returns the number of members in the given lobby in search results.
@@ -369,7 +645,7 @@ YYEXPORT void /*double*/ steam_lobby_list_get_lobby_member_count(RValue& Result,
 	if (i >= 0 && i < steam_lobby_count) 
 	{
 		Result.kind = VALUE_REAL;
-		Result.val = SteamMatchmaking()->GetNumLobbyMembers(steam_lobby_list[i]);
+		Result.val = steam_lobby_get_member_count_of(steam_lobby_list[i]);
 	}
 	else
 	{
@@ -387,9 +663,9 @@ YYEXPORT void /*double*/ steam_lobby_list_get_lobby_member_id(RValue & Result, C
 
 	if (lobby_idx >= 0 && lobby_idx < steam_lobby_count)
 	{
-		int steam_lobby_member_count = SteamMatchmaking()->GetNumLobbyMembers(steam_lobby_list[lobby_idx]);
+		int steam_lobby_member_count = steam_lobby_get_member_count_of(steam_lobby_list[lobby_idx]);
 		if (member_idx >= 0 && member_idx < steam_lobby_member_count)
-			Result.v64 = SteamMatchmaking()->GetLobbyMemberByIndex(steam_lobby_list[lobby_idx], member_idx).ConvertToUint64();
+			Result.v64 = steam_lobby_get_member_of(steam_lobby_list[lobby_idx], member_idx).ConvertToUint64();
 		else
 			Result.v64 = 0;
 	}
@@ -403,25 +679,28 @@ YYEXPORT void /*double*/ steam_lobby_list_get_lobby_member_id(RValue & Result, C
 
 #pragma region Joining lobbies
 
-CCallResult<steam_net_callbacks_t, LobbyEnter_t> steam_lobby_joined;
 void steam_net_callbacks_t::lobby_joined(LobbyEnter_t* e, bool failed) {
-	steam_lobby_current.SetFromUint64(e->m_ulSteamIDLobby);
+	CSteamID lobby(e->m_ulSteamIDLobby);
+	// Steam refuses to let us in if the lobby is e.g. full or locked:
+	bool success = !failed && e->m_EChatRoomEnterResponse == k_EChatRoomEnterResponseSuccess;
+	if (success) steam_lobby_joined_add(lobby);
 	steam_net_event q((char*)"lobby_joined");
 	q.set_uint64_all("lobby_id", e->m_ulSteamIDLobby);
-	q.set_success(!failed);
+	q.set_success(success);
+	q.set((char*)"response", (uint32)e->m_EChatRoomEnterResponse);
 	q.dispatch();
+	if (success) steam_lobby_ban_check(lobby);
 }
 
 /// [async] Starts joining the given lobby.
-YYEXPORT void /*double*/ steam_lobby_list_join(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double index) 
+YYEXPORT void /*double*/ steam_lobby_list_join(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double index, bool leave_current = true) 
 {
 	double index = YYGetReal(arg, 0);
+	bool leave_current = argc > 1 ? YYGetBool(arg, 1) : true;
 
-	steam_lobby_leave_();
+	if (leave_current) steam_lobby_leave_(steam_lobby_current);
 	int32 i = (int32)index;
-	if (i >= 0 && i < steam_lobby_count) {
-		SteamAPICall_t call = SteamMatchmaking()->JoinLobby(steam_lobby_list[i]);
-		steam_lobby_joined.Set(call, &steam_net_callbacks, &steam_net_callbacks_t::lobby_joined);
+	if (i >= 0 && i < steam_lobby_count && steam_lobby_join_id(steam_lobby_list[i].ConvertToUint64())) {
 		Result.kind = VALUE_REAL;
 		Result.val = 1.0;
 	}
@@ -433,9 +712,17 @@ YYEXPORT void /*double*/ steam_lobby_list_join(RValue& Result, CInstance* selfin
 }
 
 bool steam_lobby_join_id(uint64 lobby_id) {
-	if (SteamMatchmaking()) {
+	if (steam_loopback_active) {
+		// the loopback stand-in can only be in one lobby at a time:
+		if (!steam_lobby_joined_ids.empty()) {
+			DebugConsoleOutput("steam_lobby_join_id() - error: loopback mode can't be in more than one lobby, leave the current lobby first\n");
+			return false;
+		}
+		return steam_loopback_lobby_join(lobby_id);
+	} else if (SteamMatchmaking()) {
 		SteamAPICall_t call = SteamMatchmaking()->JoinLobby(lobby_id);
-		steam_lobby_joined.Set(call, &steam_net_callbacks, &steam_net_callbacks_t::lobby_joined);
+		// several joins can be pending at once:
+		new steam_call_t<LobbyEnter_t>(call, [](LobbyEnter_t* e, bool failed) { steam_net_callbacks.lobby_joined(e, failed); });
 		return true;
 	} else return false;
 }
@@ -474,26 +761,37 @@ ELobbyType steam_lobby_type_from_int(int32 type) {
 	}
 }
 
-CCallResult<steam_net_callbacks_t, LobbyCreated_t> steam_lobby_created;
 void steam_net_callbacks_t::lobby_created(LobbyCreated_t* e, bool failed) {
 	auto lobby_id = e->m_ulSteamIDLobby;
-	steam_lobby_current.SetFromUint64(lobby_id);
+	if (!failed && e->m_eResult == k_EResultOK) steam_lobby_joined_add(lobby_id);
 	steam_net_event r((char*)"lobby_created");
 	r.set_uint64_all("lobby_id", lobby_id);
-	r.set_result(e->m_eResult);
+	r.set_result(failed ? k_EResultIOFailure : e->m_eResult);
 	r.dispatch();
 }
 
 /// [async] Creates a lobby.
-YYEXPORT void /*double*/ steam_lobby_create(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double type, double max_members) 
+YYEXPORT void /*double*/ steam_lobby_create(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double type, double max_members, bool leave_current = true) 
 {
 	double type = YYGetReal(arg, 0);
 	double max_members = YYGetReal(arg, 1);
-
-	steam_lobby_leave_();
-	if (SteamMatchmaking()) {
+	bool leave_current = argc > 2 ? YYGetBool(arg, 2) : true;
+
+	if (leave_current) steam_lobby_leave_(steam_lobby_current);
+	if (steam_loopback_active) {
+		// the loopback stand-in can only be in one lobby at a time:
+		if (!steam_lobby_joined_ids.empty()) {
+			DebugConsoleOutput("steam_lobby_create() - error: loopback mode can't be in more than one lobby, leave the current lobby first\n");
+			Result.kind = VALUE_BOOL;
+			Result.val = false;
+			return;
+		}
+		Result.kind = VALUE_BOOL;
+		Result.val = steam_loopback_lobby_create(steam_lobby_type_from_int((int32)type), (int)max_members);
+	}
+	else if (SteamMatchmaking()) {
 		SteamAPICall_t call = SteamMatchmaking()->CreateLobby(steam_lobby_type_from_int((int32)type), (int)max_members);
-		steam_lobby_created.Set(call, &steam_net_callbacks, &steam_net_callbacks_t::lobby_created);
+		new steam_call_t<LobbyCreated_t>(call, [](LobbyCreated_t* e, bool failed) { steam_net_callbacks.lobby_created(e, failed); });
 		Result.kind = VALUE_BOOL;
 		Result.val = true;
 	}
@@ -508,16 +806,22 @@ YYEXPORT void /*double*/ steam_lobby_create(RValue& Result, CInstance* selfinst,
 
 #pragma region Managing lobbies
 
-/// [lobby owner only] Sets the data for the current lobby.
-YYEXPORT void /*double*/ steam_lobby_set_data(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* key, char* value) 
+/// [lobby owner only] Sets the data for the current (or given) lobby.
+YYEXPORT void /*double*/ steam_lobby_set_data(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* key, char* value, int64 lobby_id = current) 
 {
 	char* key = (char*)YYGetString(arg, 0);
 	char* value = (char*)YYGetString(arg, 1);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 2);
 
-	if (steam_lobby_current.IsValid() && SteamMatchmaking()) 
+	if (lobby.IsValid() && steam_loopback_active)
 	{
 		Result.kind = VALUE_BOOL;
-		Result.val = SteamMatchmaking()->SetLobbyData(steam_lobby_current, key, value);
+		Result.val = steam_loopback_lobby_set_data(lobby, key, value);
+	}
+	else if (lobby.IsValid() && SteamMatchmaking()) 
+	{
+		Result.kind = VALUE_BOOL;
+		Result.val = SteamMatchmaking()->SetLobbyData(lobby, key, value);
 	}
 	else
 	{
@@ -526,27 +830,108 @@ YYEXPORT void /*double*/ steam_lobby_set_data(RValue& Result, CInstance* selfins
 	}
 }
 
-/// [anyone] Retrieves previously set data for the current lobby.
-YYEXPORT void /*char**/ steam_lobby_get_data(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* key) 
+/// [anyone] Retrieves previously set data for the current (or given) lobby.
+YYEXPORT void /*char**/ steam_lobby_get_data(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* key, int64 lobby_id = current) 
 {
 	char* key = (char*)YYGetString(arg, 0);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 1);
 
-	if (steam_lobby_current.IsValid() && SteamMatchmaking()) 
+	if (lobby.IsValid()) 
 	{
-		YYCreateString(&Result, SteamMatchmaking()->GetLobbyData(steam_lobby_current, key));
+		YYCreateString(&Result, steam_lobby_get_data_of(lobby, key));
 	} 
 	else YYCreateString(&Result, "");
 }
 
-/// [lobby owner only] Changes the type of the current lobby.
-YYEXPORT void /*double*/ steam_lobby_set_type(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double type) 
+/// [anyone] Returns the number of data fields of the current (or given) lobby.
+YYEXPORT void /*double*/ steam_lobby_get_data_count(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id = current) 
+{
+	CSteamID lobby = steam_lobby_arg(arg, argc, 0);
+
+	Result.kind = VALUE_REAL;
+	Result.val = lobby.IsValid() ? steam_lobby_get_data_count_of(lobby) : 0;
+}
+
+/// [anyone] Returns the data field of the current (or given) lobby at the given index, as a {key, value} struct.
+YYEXPORT void /*struct*/ steam_lobby_get_data_by_index(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double index, int64 lobby_id = current) 
+{
+	int32 index = YYGetInt32(arg, 0);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 1);
+
+	steam_lobby_data_by_index_to_struct(Result, lobby, index);
+}
+
+/// [anyone] Sets the data of the local user in the current (or given) lobby.
+YYEXPORT void /*double*/ steam_lobby_set_member_data(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* key, char* value, int64 lobby_id = current) 
+{
+	char* key = (char*)YYGetString(arg, 0);
+	char* value = (char*)YYGetString(arg, 1);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 2);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!lobby.IsValid()) return;
+
+	if (steam_loopback_active)
+	{
+		Result.val = steam_loopback_lobby_set_member_data(lobby, key, value);
+	}
+	else if (SteamMatchmaking())
+	{
+		SteamMatchmaking()->SetLobbyMemberData(lobby, key, value);
+		Result.val = true;
+	}
+}
+
+/// [anyone] Retrieves data previously set by the given member of the current (or given) lobby.
+YYEXPORT void /*char**/ steam_lobby_get_member_data(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* key, int64 lobby_id = current) 
+{
+	uint64 user_id = (uint64)YYGetInt64(arg, 0);
+	char* key = (char*)YYGetString(arg, 1);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 2);
+
+	if (lobby.IsValid() && steam_loopback_active)
+	{
+		YYCreateString(&Result, steam_loopback_lobby_get_member_data(lobby, user_id, key));
+	}
+	else if (lobby.IsValid() && SteamMatchmaking())
+	{
+		const char* value = SteamMatchmaking()->GetLobbyMemberData(lobby, user_id, key);
+		YYCreateString(&Result, value ? value : "");
+	}
+	else YYCreateString(&Result, "");
+}
+
+void steam_lobby_data_update_dispatch(CSteamID lobby_id, CSteamID member_id, bool success)
+{
+	steam_net_event ev((char*)"lobby_data_update");
+	ev.set_steamid_all("lobby_id", lobby_id);
+	ev.set_steamid_all("member_id", member_id);
+	ev.set((char*)"is_lobby_data", lobby_id == member_id);
+	ev.set_success(success);
+	ev.dispatch();
+}
+
+void steam_net_callbacks_t::lobby_data_update(LobbyDataUpdate_t* e)
+{
+	steam_lobby_data_update_dispatch(CSteamID(e->m_ulSteamIDLobby), CSteamID(e->m_ulSteamIDMember), e->m_bSuccess != 0);
+}
+
+/// [lobby owner only] Changes the type of the current (or given) lobby.
+YYEXPORT void /*double*/ steam_lobby_set_type(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double type, int64 lobby_id = current) 
 {
 	double type = YYGetReal(arg, 0);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 1);
 
-	if (steam_lobby_current.IsValid() && SteamMatchmaking()) 
+	if (lobby.IsValid() && steam_loopback_active)
+	{
+		Result.kind = VALUE_BOOL;
+		Result.val = steam_loopback_lobby_set_type(lobby, steam_lobby_type_from_int((int32)type));
+	}
+	else if (lobby.IsValid() && SteamMatchmaking()) 
 	{
 		Result.kind = VALUE_BOOL;
-		Result.val = SteamMatchmaking()->SetLobbyType(steam_lobby_current, steam_lobby_type_from_int((int32)type));
+		Result.val = SteamMatchmaking()->SetLobbyType(lobby, steam_lobby_type_from_int((int32)type));
 	}
 	else
 	{
@@ -555,4 +940,245 @@ YYEXPORT void /*double*/ steam_lobby_set_type(RValue& Result, CInstance* selfins
 	}
 }
 
+/// [lobby owner only] Changes the maximum number of members of the current (or given) lobby.
+YYEXPORT void /*double*/ steam_lobby_set_member_limit(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double max_members, int64 lobby_id = current) 
+{
+	int32 max_members = YYGetInt32(arg, 0);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 1);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!lobby.IsValid()) return;
+
+	if (steam_loopback_active)
+		Result.val = steam_loopback_lobby_set_member_limit(lobby, max_members);
+	else if (SteamMatchmaking())
+		Result.val = SteamMatchmaking()->SetLobbyMemberLimit(lobby, max_members);
+}
+
+/// [anyone] Returns the maximum number of members of the current (or given) lobby.
+YYEXPORT void /*double*/ steam_lobby_get_member_limit(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id = current) 
+{
+	CSteamID lobby = steam_lobby_arg(arg, argc, 0);
+
+	Result.kind = VALUE_REAL;
+	Result.val = lobby.IsValid() ? steam_lobby_get_member_limit_of(lobby) : 0;
+}
+
+/// [lobby owner only] Associates a game server with the current (or given) lobby, so that members can connect to it.
+YYEXPORT void /*double*/ steam_lobby_set_game_server(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* ip, double port, int64 server_id = 0, int64 lobby_id = current) 
+{
+	const char* ip_str = YYGetString(arg, 0);
+	uint16 port = (uint16)YYGetInt32(arg, 1);
+	CSteamID server_id(argc > 2 ? (uint64)YYGetInt64(arg, 2) : 0);
+	CSteamID lobby = steam_lobby_arg(arg, argc, 3);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!lobby.IsValid()) return;
+
+	uint32 ip = 0;
+	if (*ip_str != '\0' && !steam_ip_from_string(ip_str, &ip))
+	{
+		DebugConsoleOutput("steam_lobby_set_game_server() - error: invalid IP address \"%s\"\n", ip_str);
+		return;
+	}
+
+	if (steam_loopback_active)
+	{
+		Result.val = steam_loopback_lobby_set_game_server(lobby, ip, port, server_id);
+	}
+	else if (SteamMatchmaking() && steam_lobby_get_owner_of(lobby) == steam_lobby_local_user())
+	{
+		SteamMatchmaking()->SetLobbyGameServer(lobby, ip, port, server_id);
+		Result.val = true;
+	}
+}
+
+/// [anyone] Returns the game server associated with the current (or given) lobby as a struct, or undefined if there is none.
+YYEXPORT void /*struct*/ steam_lobby_get_game_server(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 lobby_id = current) 
+{
+	CSteamID lobby = steam_lobby_arg(arg, argc, 0);
+
+	uint32 ip = 0;
+	uint16 port = 0;
+	CSteamID server_id;
+	bool ok = false;
+	if (lobby.IsValid() && steam_loopback_active)
+	{
+		ok = steam_loopback_lobby_get_game_server(lobby, &ip, &port, &server_id);
+	}
+	else if (lobby.IsValid() && SteamMatchmaking())
+	{
+		ok = SteamMatchmaking()->GetLobbyGameServer(lobby, &ip, &port, &server_id);
+	}
+
+	if (!ok)
+	{
+		Result.kind = VALUE_UNDEFINED;
+		return;
+	}
+
+	YYStructCreate(&Result);
+	YYStructAddString(&Result, "ip", steam_ip_to_string(ip).c_str());
+	YYStructAddDouble(&Result, "port", port);
+	YYStructAddInt64(&Result, "server_id", (int64)server_id.ConvertToUint64());
+}
+
+void steam_lobby_game_created_dispatch(CSteamID lobby_id, CSteamID server_id, uint32 ip, uint16 port)
+{
+	steam_net_event ev((char*)"lobby_game_created");
+	ev.set_steamid_all("lobby_id", lobby_id);
+	ev.set_steamid_all("server_id", server_id);
+	ev.set((char*)"ip", (char*)steam_ip_to_string(ip).c_str());
+	ev.set((char*)"port", (double)port);
+	ev.dispatch();
+}
+
+void steam_net_callbacks_t::lobby_game_created(LobbyGameCreated_t* e)
+{
+	steam_lobby_game_created_dispatch(CSteamID(e->m_ulSteamIDLobby), CSteamID(e->m_ulSteamIDGameServer), e->m_unIP, e->m_usPort);
+}
+
+#pragma endregion
+
+#pragma region Kicking members
+
+// Kicks are sent as lobby chat messages starting with this header, followed by
+// the target's Steam ID (uint64) and whether they are banned (uint8).
+// Banned IDs are kept in the lobby data so that they can't join again.
+static const char steam_lobby_kick_header[8] = { '\x1B', 'g', 'm', '_', 'k', 'i', 'c', 'k' };
+#define steam_lobby_kick_size (sizeof(steam_lobby_kick_header) + sizeof(uint64) + sizeof(uint8))
+
+bool steam_lobby_is_banned(CSteamID lobby, CSteamID user)
+{
+	std::string list = steam_lobby_get_data_of(lobby, steam_lobby_ban_key);
+	std::string id = std::to_string(user.ConvertToUint64());
+	size_t start = 0;
+	while (start < list.size()) {
+		size_t end = list.find(',', start);
+		if (end == std::string::npos) end = list.size();
+		if (list.compare(start, end - start, id) == 0) return true;
+		start = end + 1;
+	}
+	return false;
+}
+
+bool steam_lobby_set_data_(CSteamID lobby, const char* key, const char* value)
+{
+	if (steam_loopback_active) return steam_loopback_lobby_set_data(lobby, key, value);
+	return SteamMatchmaking() && SteamMatchmaking()->SetLobbyData(lobby, key, value);
+}
+
+void steam_lobby_kicked_dispatch(CSteamID lobby_id, CSteamID user_id, bool banned)
+{
+	steam_net_event ev((char*)"lobby_kicked");
+	ev.set_steamid_all("lobby_id", lobby_id);
+	ev.set_steamid_all("user_id", user_id);
+	ev.set((char*)"banned", banned);
+	ev.dispatch();
+}
+
+/// Leaves a lobby right after joining it if the local user is banned from it.
+void steam_lobby_ban_check(CSteamID lobby)
+{
+	if (!steam_lobby_is_banned(lobby, steam_lobby_local_user())) return;
+
+	// the owner isn't known anymore once we've left:
+	CSteamID owner = steam_lobby_get_owner_of(lobby);
+	steam_lobby_leave_(lobby);
+	steam_lobby_kicked_dispatch(lobby, owner, true);
+}
+
+/// Handles kick messages sent through the lobby chat. Returns whether the message was one.
+bool steam_lobby_kick_handle(CSteamID lobby_id, CSteamID user_id, const void* data, size_t size)
+{
+	if (size != steam_lobby_kick_size || memcmp(data, steam_lobby_kick_header, sizeof(steam_lobby_kick_header)) != 0) return false;
+
+	// only the owner gets to kick people:
+	if (!steam_lobby_is_joined(lobby_id) || user_id != steam_lobby_get_owner_of(lobby_id)) return true;
+
+	auto bytes = (const uint8*)data + sizeof(steam_lobby_kick_header);
+	uint64 target;
+	memcpy(&target, bytes, sizeof(target));
+	bool banned = bytes[sizeof(target)] != 0;
+	if (CSteamID(target) != steam_lobby_local_user()) return true;
+
+	steam_lobby_leave_(lobby_id);
+	steam_lobby_kicked_dispatch(lobby_id, user_id, banned);
+	return true;
+}
+
+/// [lobby owner only] Makes the given member leave the current (or given) lobby, optionally banning them from joining again.
+YYEXPORT void /*double*/ steam_lobby_kick_user(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, bool ban = false, int64 lobby_id = current) 
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	bool ban = argc > 1 ? YYGetBool(arg, 1) : false;
+	CSteamID lobby = steam_lobby_arg(arg, argc, 2);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!lobby.IsValid()) return;
+	CSteamID self = steam_lobby_local_user();
+	if (!self.IsValid() || steam_lobby_get_owner_of(lobby) != self) return;
+	if (user_id == self)
+	{
+		DebugConsoleOutput("steam_lobby_kick_user() - error: can't kick yourself\n");
+		return;
+	}
+
+	if (ban && !steam_lobby_is_banned(lobby, user_id))
+	{
+		std::string list = steam_lobby_get_data_of(lobby, steam_lobby_ban_key);
+		if (!list.empty()) list += ",";
+		list += std::to_string(user_id.ConvertToUint64());
+		if (!steam_lobby_set_data_(lobby, steam_lobby_ban_key, list.c_str())) return;
+	}
+
+	bool is_member = false;
+	int count = steam_lobby_get_member_count_of(lobby);
+	for (int i = 0; i < count && !is_member; i++) is_member = steam_lobby_get_member_of(lobby, i) == user_id;
+	if (!is_member)
+	{
+		// banning users that aren't in the lobby (yet) is fine, kicking them isn't:
+		Result.val = ban;
+		return;
+	}
+
+	uint8 message[steam_lobby_kick_size];
+	memcpy(message, steam_lobby_kick_header, sizeof(steam_lobby_kick_header));
+	uint64 target = user_id.ConvertToUint64();
+	memcpy(message + sizeof(steam_lobby_kick_header), &target, sizeof(target));
+	message[steam_lobby_kick_size - 1] = ban;
+	Result.val = steam_lobby_chat_send(lobby, message, steam_lobby_kick_size);
+}
+
+/// [lobby owner only] Allows a previously banned user to join the current (or given) lobby again.
+YYEXPORT void /*double*/ steam_lobby_unban_user(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, int64 lobby_id = current) 
+{
+	CSteamID user_id((uint64)YYGetInt64(arg, 0));
+	CSteamID lobby = steam_lobby_arg(arg, argc, 1);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!lobby.IsValid()) return;
+	CSteamID self = steam_lobby_local_user();
+	if (!self.IsValid() || steam_lobby_get_owner_of(lobby) != self) return;
+
+	std::string list = steam_lobby_get_data_of(lobby, steam_lobby_ban_key);
+	std::string id = std::to_string(user_id.ConvertToUint64());
+	std::string result;
+	size_t start = 0;
+	while (start < list.size()) {
+		size_t end = list.find(',', start);
+		if (end == std::string::npos) end = list.size();
+		if (list.compare(start, end - start, id) != 0) {
+			if (!result.empty()) result += ",";
+			result.append(list, start, end - start);
+		}
+		start = end + 1;
+	}
+	Result.val = steam_lobby_set_data_(lobby, steam_lobby_ban_key, result.c_str());
+}
+
 #pragma endregion
@@ -35,6 +35,28 @@ uint64 int64_from_string(char* cstring) {
 }
 */
 
+#pragma region IP addresses
+
+/// Formats a host-order IPv4 address as "a.b.c.d".
+std::string steam_ip_to_string(uint32 ip)
+{
+	char buf[16];
+	snprintf(buf, sizeof(buf), "%u.%u.%u.%u", (ip >> 24) & 0xFF, (ip >> 16) & 0xFF, (ip >> 8) & 0xFF, ip & 0xFF);
+	return buf;
+}
+
+/// Parses an "a.b.c.d" string into a host-order IPv4 address. Returns false if the string isn't one.
+bool steam_ip_from_string(const char* text, uint32* ip)
+{
+	unsigned int a, b, c, d;
+	char end;
+	if (sscanf(text, "%u.%u.%u.%u%c", &a, &b, &c, &d, &end) != 4 || a > 255 || b > 255 || c > 255 || d > 255) return false;
+	*ip = (a << 24) | (b << 16) | (c << 8) | d;
+	return true;
+}
+
+#pragma endregion
+
 void steam_lobby_chat_update();
 YYEXPORT void /*double*/ steam_gml_update(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
 {
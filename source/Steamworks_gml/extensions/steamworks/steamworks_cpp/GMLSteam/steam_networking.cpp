@@ -10,6 +10,19 @@
 #pragma region Sessions
 
 bool steam_net_auto_accept_p2p_sessions = true;
+
+/// Returns whether the given user is a member of any of the joined lobbies.
+bool steam_net_is_lobby_member(CSteamID id)
+{
+	for (auto& lobby : steam_lobby_joined_ids) {
+		int n = SteamMatchmaking()->GetNumLobbyMembers(lobby);
+		for (int i = 0; i < n; i++) {
+			if (SteamMatchmaking()->GetLobbyMemberByIndex(lobby, i) == id) return true;
+		}
+	}
+	return false;
+}
+
 /// Sets whether to auto-accept all incoming P2P session requests.
 YYEXPORT void /*double*/ steam_net_set_auto_accept_p2p_sessions(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double auto_accept) 
 {
@@ -28,17 +41,21 @@ void steam_net_callbacks_t::p2p_session_request(P2PSessionRequest_t* e)
 	x.set_steamid_all("user_id", id);
 	x.dispatch();
 	//
-	if (steam_net_auto_accept_p2p_sessions) {
-		int n = SteamMatchmaking()->GetNumLobbyMembers(steam_lobby_current);
-		for (int i = 0; i < n; i++) {
-			if (SteamMatchmaking()->GetLobbyMemberByIndex(steam_lobby_current, i) == id) {
-				SteamNetworking()->AcceptP2PSessionWithUser(id);
-				break;
-			}
-		}
+	if (steam_net_auto_accept_p2p_sessions && steam_net_is_lobby_member(id)) {
+		SteamNetworking()->AcceptP2PSessionWithUser(id);
 	}
 }
 
+void steam_net_callbacks_t::p2p_session_connect_fail(P2PSessionConnectFail_t* e)
+{
+	CSteamID id = e->m_steamIDRemote;
+	//
+	steam_net_event x((char*)"p2p_session_connect_fail");
+	x.set_steamid_all("user_id", id);
+	x.set((char*)"session_error", (int32)e->m_eP2PSessionError);
+	x.dispatch();
+}
+
 YYEXPORT void /*double*/ steam_net_accept_p2p_session(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double user_id_high, double user_id_low) 
 {
 	uint64 value64 = (uint64)YYGetInt64(arg, 0);
@@ -57,6 +74,26 @@ YYEXPORT void /*double*/ steam_net_close_p2p_session(RValue& Result, CInstance*
 	Result.val = SteamNetworking() && SteamNetworking()->CloseP2PSessionWithUser(user);
 }
 
+/// Returns a struct describing the P2P session with the given user, or undefined if there is no session.
+YYEXPORT void /*struct*/ steam_net_get_p2p_session_state(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id)
+{
+	uint64 value64 = (uint64)YYGetInt64(arg, 0);
+
+	CSteamID user(value64);
+	Result.kind = VALUE_UNDEFINED;
+	P2PSessionState_t state{};
+	if (!SteamNetworking() || !SteamNetworking()->GetP2PSessionState(user, &state))
+		return;
+
+	YYStructCreate(&Result);
+	YYStructAddBool(&Result, "connection_active", state.m_bConnectionActive != 0);
+	YYStructAddBool(&Result, "connecting", state.m_bConnecting != 0);
+	YYStructAddBool(&Result, "using_relay", state.m_bUsingRelay != 0);
+	YYStructAddDouble(&Result, "session_error", state.m_eP2PSessionError);
+	YYStructAddDouble(&Result, "bytes_queued_for_send", state.m_nBytesQueuedForSend);
+	YYStructAddDouble(&Result, "packets_queued_for_send", state.m_nPacketsQueuedForSend);
+}
+
 #pragma endregion
 
 #pragma region Sending
@@ -87,13 +124,31 @@ YYEXPORT void /*double*/ steam_net_packet_set_type(RValue& Result, CInstance* se
 	Result.val = true;
 }
 
-YYEXPORT void /*double*/ steam_net_packet_send(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* data, double size, double type) 
+/// The packet was sent (or queued for sending)
+#define steam_net_send_result_ok 1
+/// The packet couldn't be sent (e.g. Steam networking isn't available)
+#define steam_net_send_result_fail 0
+/// The target, buffer or packet type is invalid
+#define steam_net_send_result_invalid_param -1
+/// The packet is too big for the chosen packet type
+#define steam_net_send_result_limit_exceeded -2
+/// There is no connection to the target user
+#define steam_net_send_result_no_connection -3
+
+/// Maximum packet sizes as documented for ISteamNetworking::SendP2PPacket
+#define steam_net_packet_max_unreliable 1200
+#define steam_net_packet_max_reliable (1024 * 1024)
+
+YYEXPORT void /*double*/ steam_net_packet_send(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, char* data, double size, double type, double channel) 
 {
 	uint64 value64 = (uint64)YYGetInt64(arg, 0);
 	int32 buffer_idx = YYGetInt32(arg, 1);
 
 	int32 size = argc > 2 ? size = YYGetInt32(arg, 2) : -1;
 
+	Result.kind = VALUE_REAL;
+	Result.val = steam_net_send_result_invalid_param;
+
 	EP2PSend type = steam_net_packet_type;
 	if (argc > 3) 
 	{
@@ -106,29 +161,58 @@ YYEXPORT void /*double*/ steam_net_packet_send(RValue& Result, CInstance* selfin
 			case (int)k_EP2PSendReliable:
 			case (int)k_EP2PSendReliableWithBuffering:
 				type = (EP2PSend)t;
+				break;
+			default:
+				// keep sending with the default type, as earlier versions did:
+				DebugConsoleOutput("steam_net_packet_send() - warning: invalid packet type %d, using the default type\n", t);
+				break;
 		}
 	}
 
+	CSteamID target(value64);
+	if (!target.IsValid())
+	{
+		DebugConsoleOutput("steam_net_packet_send() - error: invalid user id\n");
+		return;
+	}
+
 	void* buffer_data = nullptr;
 	int buffer_size = 0;
 	if (!BufferGetContent(buffer_idx, &buffer_data, &buffer_size) || !buffer_data)
 	{
 		DebugConsoleOutput("steam_net_packet_send() - error: specified buffer %d not found\n", (int)buffer_idx);
-		Result.kind = VALUE_BOOL;
-		Result.val = false;
-
 		return;
 	}
 
-	CSteamID target(value64);
-
 	if (size <= -1 || size > buffer_size) size = buffer_size;
 
 	uint32 value32 = (argc > 4) ? YYGetInt32(arg, 4) : 0;
 	int steam_channel = static_cast<int>(value32);
 
-	Result.kind = VALUE_BOOL;
-	Result.val = SteamNetworking() && SteamNetworking()->SendP2PPacket(target, buffer_data, size, type, steam_channel);
+	bool unreliable = type == k_EP2PSendUnreliable || type == k_EP2PSendUnreliableNoDelay;
+	if (size > (unreliable ? steam_net_packet_max_unreliable : steam_net_packet_max_reliable))
+	{
+		Result.val = steam_net_send_result_limit_exceeded;
+	}
+	else if (steam_loopback_active)
+	{
+		Result.val = steam_loopback_packet_send(target, buffer_data, size, steam_channel) ? steam_net_send_result_ok : steam_net_send_result_no_connection;
+	}
+	else if (!SteamNetworking())
+	{
+		Result.val = steam_net_send_result_fail;
+	}
+	else if (SteamNetworking()->SendP2PPacket(target, buffer_data, size, type, steam_channel))
+	{
+		Result.val = steam_net_send_result_ok;
+	}
+	else
+	{
+		// a failed send is most commonly caused by a session that couldn't be established:
+		P2PSessionState_t state;
+		bool lost = SteamNetworking()->GetP2PSessionState(target, &state) && state.m_eP2PSessionError != k_EP2PSessionErrorNone;
+		Result.val = lost ? steam_net_send_result_no_connection : steam_net_send_result_fail;
+	}
 	YYFree(buffer_data);
 }
 
@@ -146,6 +230,19 @@ YYEXPORT void /*double*/ steam_net_packet_receive(RValue& Result, CInstance* sel
 	uint32 value32 = (argc > 0) ? YYGetInt32(arg, 0) : 0;
 	int steam_channel = static_cast<int>(value32);
 
+	if (steam_loopback_active) {
+		std::vector<uint8> data;
+		Result.kind = VALUE_BOOL;
+		Result.val = steam_loopback_packet_read(steam_channel, data, steam_net_packet_sender);
+		if (Result.val) {
+			if (steam_net_packet_data != nullptr) free(steam_net_packet_data);
+			steam_net_packet_data = malloc(data.size());
+			memcpy(steam_net_packet_data, data.data(), data.size());
+			steam_net_packet_size = (uint32)data.size();
+		}
+		return;
+	}
+
 	uint32 steam_net_packet_size_pre = 0;
 	if (SteamNetworking() && SteamNetworking()->IsP2PPacketAvailable(&steam_net_packet_size_pre, steam_channel)) {
 		// dealloc the current buffer if it's still around:
@@ -198,4 +295,463 @@ YYEXPORT void /*double*/ steam_net_packet_get_sender_id(RValue& Result, CInstanc
 	Result.v64 = steam_net_packet_sender.ConvertToUint64();
 }
 
+#define steam_net_packet_header_size (sizeof(uint64) + sizeof(uint32) * 2)
+
+/// Writes a steam_net_packet_receive_all header at the given position.
+void steam_net_packet_write_header(std::vector<uint8>& data, size_t pos, CSteamID sender, uint32 size, uint32 channel)
+{
+	uint64 sender64 = sender.ConvertToUint64();
+	memcpy(data.data() + pos, &sender64, sizeof(uint64));
+	memcpy(data.data() + pos + sizeof(uint64), &size, sizeof(uint32));
+	memcpy(data.data() + pos + sizeof(uint64) + sizeof(uint32), &channel, sizeof(uint32));
+}
+
+/// Receives all pending packets on channels [0 .. channel_count) into a single buffer, returns the number of packets.
+/// Each packet is written as: u64 sender_id, u32 size, u32 channel, followed by `size` bytes of data.
+YYEXPORT void /*double*/ steam_net_packet_receive_all(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(gml_buffer buf, double channel_count = 1)
+{
+	int32 buffer_idx = YYGetInt32(arg, 0);
+	int32 channel_count = (argc > 1) ? YYGetInt32(arg, 1) : 1;
+
+	Result.kind = VALUE_REAL;
+	Result.val = 0;
+	if (BufferGetFromGML(buffer_idx) == NULL)
+	{
+		DebugConsoleOutput("steam_net_packet_receive_all() - error: specified buffer %d not found\n", (int)buffer_idx);
+		return;
+	}
+	if (!SteamNetworking() && !steam_loopback_active) return;
+
+	std::vector<uint8> data;
+	int count = 0;
+	for (int32 channel = 0; channel < channel_count; channel++)
+	{
+		if (steam_loopback_active)
+		{
+			std::vector<uint8> packet;
+			CSteamID sender;
+			while (steam_loopback_packet_read(channel, packet, sender))
+			{
+				size_t pos = data.size();
+				data.resize(pos + steam_net_packet_header_size);
+				steam_net_packet_write_header(data, pos, sender, (uint32)packet.size(), (uint32)channel);
+				data.insert(data.end(), packet.begin(), packet.end());
+				count++;
+			}
+			continue;
+		}
+
+		uint32 size = 0;
+		while (SteamNetworking()->IsP2PPacketAvailable(&size, channel))
+		{
+			size_t pos = data.size();
+			data.resize(pos + steam_net_packet_header_size + size);
+
+			CSteamID sender;
+			uint32 read = 0;
+			if (!SteamNetworking()->ReadP2PPacket(data.data() + pos + steam_net_packet_header_size, size, &read, &sender, channel))
+			{
+				data.resize(pos);
+				break;
+			}
+			data.resize(pos + steam_net_packet_header_size + read);
+			steam_net_packet_write_header(data, pos, sender, read, (uint32)channel);
+			count++;
+		}
+	}
+
+	if (count > 0) BufferWriteContent(buffer_idx, 0, data.data(), (int)data.size(), true);
+	Result.val = count;
+}
+
+#pragma endregion
+
+
+#pragma region Connections
+
+/// Fills a struct with the given real-time connection status.
+void steam_net_status_to_struct(RValue* s, const SteamNetConnectionRealTimeStatus_t& status)
+{
+	YYStructCreate(s);
+	YYStructAddDouble(s, "state", (double)status.m_eState);
+	YYStructAddDouble(s, "ping", status.m_nPing);
+	YYStructAddDouble(s, "quality_local", status.m_flConnectionQualityLocal);
+	YYStructAddDouble(s, "quality_remote", status.m_flConnectionQualityRemote);
+	YYStructAddDouble(s, "out_packets_per_sec", status.m_flOutPacketsPerSec);
+	YYStructAddDouble(s, "out_bytes_per_sec", status.m_flOutBytesPerSec);
+	YYStructAddDouble(s, "in_packets_per_sec", status.m_flInPacketsPerSec);
+	YYStructAddDouble(s, "in_bytes_per_sec", status.m_flInBytesPerSec);
+	YYStructAddDouble(s, "send_rate", status.m_nSendRateBytesPerSecond);
+	YYStructAddDouble(s, "pending_unreliable", status.m_cbPendingUnreliable);
+	YYStructAddDouble(s, "pending_reliable", status.m_cbPendingReliable);
+	YYStructAddDouble(s, "sent_unacked_reliable", status.m_cbSentUnackedReliable);
+	YYStructAddDouble(s, "queue_time", (double)status.m_usecQueueTime);
+}
+
+/// Maps a steam_net_packet_type_* constant onto SteamNetworkingSockets send flags.
+int steam_net_send_flags_from_packet_type(int32 type)
+{
+	switch (type) {
+		case steam_net_packet_type_unreliable: return k_nSteamNetworkingSend_UnreliableNoNagle;
+		case steam_net_packet_type_unreliable_nodelay: return k_nSteamNetworkingSend_UnreliableNoDelay;
+		case steam_net_packet_type_reliable_buffer: return k_nSteamNetworkingSend_Reliable;
+		default: return k_nSteamNetworkingSend_ReliableNoNagle;
+	}
+}
+
+/// Opens a P2P listen socket on the given virtual port, returns its handle (0 on failure).
+YYEXPORT void /*double*/ steam_net_sockets_create_listen_socket_p2p(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double virtual_port = 0)
+{
+	int virtual_port = argc > 0 ? YYGetInt32(arg, 0) : 0;
+
+	Result.kind = VALUE_REAL;
+	if (!SteamNetworkingSockets())
+	{
+		Result.val = k_HSteamListenSocket_Invalid;
+		return;
+	}
+
+	Result.val = SteamNetworkingSockets()->CreateListenSocketP2P(virtual_port, 0, nullptr);
+}
+
+YYEXPORT void /*double*/ steam_net_sockets_close_listen_socket(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double listen_socket)
+{
+	HSteamListenSocket listen_socket = (HSteamListenSocket)YYGetUint32(arg, 0);
+
+	Result.kind = VALUE_BOOL;
+	Result.val = SteamNetworkingSockets() && SteamNetworkingSockets()->CloseListenSocket(listen_socket);
+}
+
+/// [async] Starts connecting to the given user, returns the connection handle (0 on failure).
+YYEXPORT void /*double*/ steam_net_sockets_connect_p2p(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, double virtual_port = 0)
+{
+	uint64 value64 = (uint64)YYGetInt64(arg, 0);
+	int virtual_port = argc > 1 ? YYGetInt32(arg, 1) : 0;
+
+	Result.kind = VALUE_REAL;
+	if (!SteamNetworkingSockets())
+	{
+		Result.val = k_HSteamNetConnection_Invalid;
+		return;
+	}
+
+	SteamNetworkingIdentity identity;
+	identity.SetSteamID64(value64);
+	Result.val = SteamNetworkingSockets()->ConnectP2P(identity, virtual_port, 0, nullptr);
+}
+
+/// Accepts an incoming connection (see "net_connection_status_changed"), returns an EResult.
+YYEXPORT void /*double*/ steam_net_sockets_accept_connection(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double connection)
+{
+	HSteamNetConnection connection = (HSteamNetConnection)YYGetUint32(arg, 0);
+
+	Result.kind = VALUE_REAL;
+	Result.val = SteamNetworkingSockets() ? SteamNetworkingSockets()->AcceptConnection(connection) : k_EResultFail;
+}
+
+/// Closes a connection, or rejects it if it was never accepted.
+YYEXPORT void /*double*/ steam_net_sockets_close_connection(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double connection, double reason = 1000, char* debug = "", bool linger = false)
+{
+	HSteamNetConnection connection = (HSteamNetConnection)YYGetUint32(arg, 0);
+	int reason = argc > 1 ? YYGetInt32(arg, 1) : k_ESteamNetConnectionEnd_App_Generic;
+	const char* debug = argc > 2 ? YYGetString(arg, 2) : nullptr;
+	bool linger = argc > 3 ? YYGetBool(arg, 3) : false;
+
+	Result.kind = VALUE_BOOL;
+	Result.val = SteamNetworkingSockets() && SteamNetworkingSockets()->CloseConnection(connection, reason, debug, linger);
+}
+
+/// Sends a message on the given connection, returns an EResult.
+YYEXPORT void /*double*/ steam_net_sockets_send_message(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double connection, gml_buffer buf, double size = -1, double type = reliable)
+{
+	HSteamNetConnection connection = (HSteamNetConnection)YYGetUint32(arg, 0);
+	int32 buffer_idx = YYGetInt32(arg, 1);
+	int32 size = argc > 2 ? YYGetInt32(arg, 2) : -1;
+	int32 type = argc > 3 ? YYGetInt32(arg, 3) : steam_net_packet_type_reliable;
+
+	Result.kind = VALUE_REAL;
+	if (!SteamNetworkingSockets())
+	{
+		Result.val = k_EResultFail;
+		return;
+	}
+
+	void* buffer_data = nullptr;
+	int buffer_size = 0;
+	if (!BufferGetContent(buffer_idx, &buffer_data, &buffer_size) || !buffer_data)
+	{
+		DebugConsoleOutput("steam_net_sockets_send_message() - error: specified buffer %d not found\n", (int)buffer_idx);
+		Result.val = k_EResultInvalidParam;
+		return;
+	}
+
+	if (size <= -1 || size > buffer_size) size = buffer_size;
+
+	Result.val = SteamNetworkingSockets()->SendMessageToConnection(connection, buffer_data, (uint32)size, steam_net_send_flags_from_packet_type(type), nullptr);
+	YYFree(buffer_data);
+}
+
+/// Copies the next pending message on the connection into the buffer, returns its size (or -1 if there was none).
+YYEXPORT void /*double*/ steam_net_sockets_receive_message(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double connection, gml_buffer buf)
+{
+	HSteamNetConnection connection = (HSteamNetConnection)YYGetUint32(arg, 0);
+	int32 buffer_idx = YYGetInt32(arg, 1);
+
+	Result.kind = VALUE_REAL;
+	Result.val = -1;
+
+	if (BufferGetFromGML(buffer_idx) == NULL)
+	{
+		DebugConsoleOutput("steam_net_sockets_receive_message() - error: specified buffer %d not found\n", (int)buffer_idx);
+		return;
+	}
+
+	SteamNetworkingMessage_t* msg = nullptr;
+	if (!SteamNetworkingSockets() || SteamNetworkingSockets()->ReceiveMessagesOnConnection(connection, &msg, 1) <= 0)
+		return;
+
+	BufferWriteContent(buffer_idx, 0, msg->m_pData, msg->m_cbSize, true);
+	Result.val = msg->m_cbSize;
+	msg->Release();
+}
+
+/// Returns a struct with live statistics of the given connection, or undefined if the connection is invalid.
+YYEXPORT void /*struct*/ steam_net_sockets_get_connection_status(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double connection)
+{
+	HSteamNetConnection connection = (HSteamNetConnection)YYGetUint32(arg, 0);
+
+	Result.kind = VALUE_UNDEFINED;
+	SteamNetConnectionRealTimeStatus_t status{};
+	if (!SteamNetworkingSockets() || SteamNetworkingSockets()->GetConnectionRealTimeStatus(connection, &status, 0, nullptr) != k_EResultOK)
+		return;
+
+	steam_net_status_to_struct(&Result, status);
+}
+
+void steam_net_callbacks_t::net_connection_status_changed(SteamNetConnectionStatusChangedCallback_t* e)
+{
+	steam_net_event ev((char*)"net_connection_status_changed");
+	ev.set((char*)"connection", (uint32)e->m_hConn);
+	ev.set((char*)"listen_socket", (uint32)e->m_info.m_hListenSocket);
+	ev.set_uint64_all("remote_id", e->m_info.m_identityRemote.GetSteamID64());
+	ev.set((char*)"old_state", (int32)e->m_eOldState);
+	ev.set((char*)"state", (int32)e->m_info.m_eState);
+	ev.set((char*)"end_reason", (int32)e->m_info.m_eEndReason);
+	ev.set((char*)"end_debug", e->m_info.m_szEndDebug);
+	ev.dispatch();
+}
+
 #pragma endregion
+
+
+#pragma region Messages
+
+/// Sends a message to the given user on the given channel, returns an EResult.
+YYEXPORT void /*double*/ steam_net_messages_send(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, gml_buffer buf, double size = -1, double type = reliable, double channel = 0)
+{
+	uint64 value64 = (uint64)YYGetInt64(arg, 0);
+	int32 buffer_idx = YYGetInt32(arg, 1);
+	int32 size = argc > 2 ? YYGetInt32(arg, 2) : -1;
+	int32 type = argc > 3 ? YYGetInt32(arg, 3) : steam_net_packet_type_reliable;
+	int channel = argc > 4 ? YYGetInt32(arg, 4) : 0;
+
+	Result.kind = VALUE_REAL;
+	if (!SteamNetworkingMessages())
+	{
+		Result.val = k_EResultFail;
+		return;
+	}
+
+	void* buffer_data = nullptr;
+	int buffer_size = 0;
+	if (!BufferGetContent(buffer_idx, &buffer_data, &buffer_size) || !buffer_data)
+	{
+		DebugConsoleOutput("steam_net_messages_send() - error: specified buffer %d not found\n", (int)buffer_idx);
+		Result.val = k_EResultInvalidParam;
+		return;
+	}
+
+	if (size <= -1 || size > buffer_size) size = buffer_size;
+
+	SteamNetworkingIdentity identity;
+	identity.SetSteamID64(value64);
+	Result.val = SteamNetworkingMessages()->SendMessageToUser(identity, buffer_data, (uint32)size, steam_net_send_flags_from_packet_type(type), channel);
+	YYFree(buffer_data);
+}
+
+CSteamID steam_net_message_sender;
+
+/// Copies the next pending message on the given channel into the buffer, returns its size (or -1 if there was none).
+YYEXPORT void /*double*/ steam_net_messages_receive(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double channel, gml_buffer buf)
+{
+	int channel = YYGetInt32(arg, 0);
+	int32 buffer_idx = YYGetInt32(arg, 1);
+
+	Result.kind = VALUE_REAL;
+	Result.val = -1;
+
+	if (BufferGetFromGML(buffer_idx) == NULL)
+	{
+		DebugConsoleOutput("steam_net_messages_receive() - error: specified buffer %d not found\n", (int)buffer_idx);
+		return;
+	}
+
+	SteamNetworkingMessage_t* msg = nullptr;
+	if (!SteamNetworkingMessages() || SteamNetworkingMessages()->ReceiveMessagesOnChannel(channel, &msg, 1) <= 0)
+		return;
+
+	steam_net_message_sender = msg->m_identityPeer.GetSteamID();
+	BufferWriteContent(buffer_idx, 0, msg->m_pData, msg->m_cbSize, true);
+	Result.val = msg->m_cbSize;
+	msg->Release();
+}
+
+/// Returns the sender of the last message received via steam_net_messages_receive.
+YYEXPORT void /*double*/ steam_net_messages_get_sender_id(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_INT64;
+	Result.v64 = steam_net_message_sender.ConvertToUint64();
+}
+
+YYEXPORT void /*double*/ steam_net_messages_accept_session(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id)
+{
+	uint64 value64 = (uint64)YYGetInt64(arg, 0);
+
+	SteamNetworkingIdentity identity;
+	identity.SetSteamID64(value64);
+	Result.kind = VALUE_BOOL;
+	Result.val = SteamNetworkingMessages() && SteamNetworkingMessages()->AcceptSessionWithUser(identity);
+}
+
+YYEXPORT void /*double*/ steam_net_messages_close_session(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id)
+{
+	uint64 value64 = (uint64)YYGetInt64(arg, 0);
+
+	SteamNetworkingIdentity identity;
+	identity.SetSteamID64(value64);
+	Result.kind = VALUE_BOOL;
+	Result.val = SteamNetworkingMessages() && SteamNetworkingMessages()->CloseSessionWithUser(identity);
+}
+
+YYEXPORT void /*double*/ steam_net_messages_close_channel(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id, double channel)
+{
+	uint64 value64 = (uint64)YYGetInt64(arg, 0);
+	int channel = YYGetInt32(arg, 1);
+
+	SteamNetworkingIdentity identity;
+	identity.SetSteamID64(value64);
+	Result.kind = VALUE_BOOL;
+	Result.val = SteamNetworkingMessages() && SteamNetworkingMessages()->CloseChannelWithUser(identity, channel);
+}
+
+/// Returns a struct with live statistics of the session with the given user, or undefined if there is no session.
+YYEXPORT void /*struct*/ steam_net_messages_get_session_status(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 user_id)
+{
+	uint64 value64 = (uint64)YYGetInt64(arg, 0);
+
+	SteamNetworkingIdentity identity;
+	identity.SetSteamID64(value64);
+	Result.kind = VALUE_UNDEFINED;
+	SteamNetConnectionRealTimeStatus_t status{};
+	if (!SteamNetworkingMessages() || SteamNetworkingMessages()->GetSessionConnectionInfo(identity, nullptr, &status) == k_ESteamNetworkingConnectionState_None)
+		return;
+
+	steam_net_status_to_struct(&Result, status);
+}
+
+void steam_net_callbacks_t::net_messages_session_request(SteamNetworkingMessagesSessionRequest_t* e)
+{
+	CSteamID id = e->m_identityRemote.GetSteamID();
+	//
+	steam_net_event x((char*)"net_messages_session_request");
+	x.set_steamid_all("user_id", id);
+	x.dispatch();
+	//
+	if (steam_net_auto_accept_p2p_sessions && steam_net_is_lobby_member(id)) {
+		SteamNetworkingMessages()->AcceptSessionWithUser(e->m_identityRemote);
+	}
+}
+
+void steam_net_callbacks_t::net_messages_session_failed(SteamNetworkingMessagesSessionFailed_t* e)
+{
+	steam_net_event x((char*)"net_messages_session_failed");
+	x.set_uint64_all("user_id", e->m_info.m_identityRemote.GetSteamID64());
+	x.set((char*)"end_reason", (int32)e->m_info.m_eEndReason);
+	x.set((char*)"end_debug", e->m_info.m_szEndDebug);
+	x.dispatch();
+}
+
+#pragma endregion
+
+#pragma region Relay Network
+
+/// Starts initializing access to the relay network in the background, so that ping location is available sooner.
+YYEXPORT void /*double*/ steam_net_init_relay_network_access(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!SteamNetworkingUtils()) return;
+
+	SteamNetworkingUtils()->InitRelayNetworkAccess();
+	Result.val = true;
+}
+
+/// Returns the current availability of the relay network (a steam_net_relay_availability_* constant).
+YYEXPORT void /*double*/ steam_net_get_relay_network_status(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_REAL;
+	Result.val = SteamNetworkingUtils() ? SteamNetworkingUtils()->GetRelayNetworkStatus(nullptr) : k_ESteamNetworkingAvailability_Unknown;
+}
+
+/// Returns the local ping location as a string, or an empty string if it isn't available yet.
+YYEXPORT void /*const char**/ steam_net_get_ping_location(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	char buf[k_cchMaxSteamNetworkingPingLocationString] = "";
+	SteamNetworkPingLocation_t location;
+	if (SteamNetworkingUtils() && SteamNetworkingUtils()->GetLocalPingLocation(location) >= 0) {
+		SteamNetworkingUtils()->ConvertPingLocationToString(location, buf, sizeof(buf));
+	}
+	YYCreateString(&Result, buf);
+}
+
+/// Returns the estimated round-trip ping in milliseconds between two ping location strings, or -1 if it can't be estimated.
+YYEXPORT void /*double*/ steam_net_estimate_ping_between(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(const char* location1, const char* location2)
+{
+	const char* str1 = YYGetString(arg, 0);
+	const char* str2 = YYGetString(arg, 1);
+
+	Result.kind = VALUE_REAL;
+	Result.val = -1;
+	SteamNetworkPingLocation_t loc1, loc2;
+	if (!SteamNetworkingUtils()
+		|| !SteamNetworkingUtils()->ParsePingLocationString(str1, loc1)
+		|| !SteamNetworkingUtils()->ParsePingLocationString(str2, loc2)) return;
+
+	Result.val = SteamNetworkingUtils()->EstimatePingTimeBetweenTwoLocations(loc1, loc2);
+}
+
+/// Returns the estimated round-trip ping in milliseconds from the local host to a ping location string, or -1 if it can't be estimated.
+YYEXPORT void /*double*/ steam_net_estimate_ping_from_local(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(const char* location)
+{
+	const char* str = YYGetString(arg, 0);
+
+	Result.kind = VALUE_REAL;
+	Result.val = -1;
+	SteamNetworkPingLocation_t loc;
+	if (!SteamNetworkingUtils() || !SteamNetworkingUtils()->ParsePingLocationString(str, loc)) return;
+
+	Result.val = SteamNetworkingUtils()->EstimatePingTimeFromLocalHost(loc);
+}
+
+void steam_net_callbacks_t::net_relay_network_status(SteamRelayNetworkStatus_t* e)
+{
+	steam_net_event x((char*)"net_relay_network_status");
+	x.set((char*)"availability", (int32)e->m_eAvail);
+	x.set((char*)"ping_measurement_in_progress", e->m_bPingMeasurementInProgress != 0);
+	x.set((char*)"network_config", (int32)e->m_eAvailNetworkConfig);
+	x.set((char*)"any_relay", (int32)e->m_eAvailAnyRelay);
+	x.set((char*)"debug", e->m_debugMsg);
+	x.dispatch();
+}
+
+#pragma endregion
\ No newline at end of file
@@ -0,0 +1,342 @@
+/// steam_servers.cpp
+
+#include "pch.h"
+
+#include "steam_glue.h"
+#include "steam_api.h"
+#include "Extension_Interface.h"
+#include "YYRValue.h"
+#include "steam_common.h"
+
+#pragma region Server lists
+
+/// Servers on the internet
+#define steam_server_list_type_internet 0
+/// Servers on the local network
+#define steam_server_list_type_lan 1
+/// Servers that the user's friends are playing on
+#define steam_server_list_type_friends 2
+/// Servers that the user added to their favorites
+#define steam_server_list_type_favorites 3
+/// Servers that the user has recently played on
+#define steam_server_list_type_history 4
+
+/// Returns the App ID of the running game.
+static AppId_t steam_server_app_id()
+{
+	return SteamUtils() ? SteamUtils()->GetAppID() : k_uAppIdInvalid;
+}
+
+// Filters for the next server list request (see steam_server_list_add_filter):
+static std::vector<MatchMakingKeyValuePair_t> steam_server_list_filters;
+
+/// Copies the details of a server into an event.
+static void steam_server_details_to_event(steam_net_event& ev, gameserveritem_t* server)
+{
+	ev.set((char*)"name", (char*)server->GetName());
+	ev.set((char*)"map", server->m_szMap);
+	ev.set((char*)"game_dir", server->m_szGameDir);
+	ev.set((char*)"description", server->m_szGameDescription);
+	ev.set((char*)"tags", server->m_szGameTags);
+	ev.set((char*)"players", (int32)server->m_nPlayers);
+	ev.set((char*)"max_players", (int32)server->m_nMaxPlayers);
+	ev.set((char*)"bot_players", (int32)server->m_nBotPlayers);
+	ev.set((char*)"ping", (int32)server->m_nPing);
+	ev.set((char*)"ip", (char*)steam_ip_to_string(server->m_NetAdr.GetIP()).c_str());
+	ev.set((char*)"port", (int32)server->m_NetAdr.GetConnectionPort());
+	ev.set((char*)"query_port", (int32)server->m_NetAdr.GetQueryPort());
+	ev.set_steamid_all("server_id", server->m_steamID);
+	ev.set((char*)"password", server->m_bPassword);
+	ev.set((char*)"secure", server->m_bSecure);
+	ev.set((char*)"version", (int32)server->m_nServerVersion);
+	ev.set((char*)"last_played", server->m_ulTimeLastPlayed);
+}
+
+/// Receives the results of a server list request and forwards them as async events.
+class steam_server_list_request_t final : public ISteamMatchmakingServerListResponse
+{
+public:
+	int id;
+	HServerListRequest handle = nullptr;
+	bool done = false;
+
+	steam_server_list_request_t(int _id) : id(_id) {}
+
+	void ServerResponded(HServerListRequest request, int index) override
+	{
+		gameserveritem_t* server = SteamMatchmakingServers()->GetServerDetails(request, index);
+		if (!server) return;
+
+		steam_net_event ev((char*)"server_list_response");
+		ev.set((char*)"id", (double)id);
+		ev.set((char*)"index", (int32)index);
+		steam_server_details_to_event(ev, server);
+		ev.dispatch();
+	}
+
+	void ServerFailedToRespond(HServerListRequest request, int index) override {}
+
+	void RefreshComplete(HServerListRequest request, EMatchMakingServerResponse response) override
+	{
+		steam_net_event ev((char*)"server_list_complete");
+		ev.set((char*)"id", (double)id);
+		ev.set_success(response != eServerFailedToRespond);
+		ev.set((char*)"server_count", (int32)SteamMatchmakingServers()->GetServerCount(request));
+		ev.dispatch();
+		// can't release the request from inside its own callback, see Steam_Servers_Process:
+		done = true;
+	}
+};
+
+static std::map<int, steam_server_list_request_t*> steam_server_list_requests;
+
+static void steam_server_list_release(std::map<int, steam_server_list_request_t*>::iterator it)
+{
+	steam_server_list_request_t* req = it->second;
+	if (req->handle) SteamMatchmakingServers()->ReleaseRequest(req->handle);
+	delete req;
+	steam_server_list_requests.erase(it);
+}
+
+/// Adds a key/value filter for the next server list request.
+YYEXPORT void /*bool*/ steam_server_list_add_filter(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* key, char* value)
+{
+	const char* key = YYGetString(arg, 0);
+	const char* value = YYGetString(arg, 1);
+
+	steam_server_list_filters.push_back(MatchMakingKeyValuePair_t(key, value));
+	Result.kind = VALUE_BOOL;
+	Result.val = true;
+}
+
+/// Removes all filters added with steam_server_list_add_filter.
+YYEXPORT void /*bool*/ steam_server_list_clear_filters(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	steam_server_list_filters.clear();
+	Result.kind = VALUE_BOOL;
+	Result.val = true;
+}
+
+/// [async] Starts loading a list of game servers of the given type. Returns the request ID or -1.
+YYEXPORT void /*double*/ steam_server_list_request(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double type, double app_id = current)
+{
+	int32 type = YYGetInt32(arg, 0);
+	AppId_t app_id = argc > 1 ? (AppId_t)YYGetInt64(arg, 1) : steam_server_app_id();
+
+	Result.kind = VALUE_REAL;
+	Result.val = -1;
+	if (!SteamMatchmakingServers()) return;
+
+	steam_server_list_request_t* req = new steam_server_list_request_t(getAsyncRequestInd());
+	std::vector<MatchMakingKeyValuePair_t*> filters;
+	for (auto& filter : steam_server_list_filters) filters.push_back(&filter);
+	MatchMakingKeyValuePair_t** pFilters = filters.empty() ? nullptr : filters.data();
+	uint32 nFilters = (uint32)filters.size();
+
+	auto mms = SteamMatchmakingServers();
+	switch (type) {
+		case steam_server_list_type_internet: req->handle = mms->RequestInternetServerList(app_id, pFilters, nFilters, req); break;
+		case steam_server_list_type_lan: req->handle = mms->RequestLANServerList(app_id, req); break;
+		case steam_server_list_type_friends: req->handle = mms->RequestFriendsServerList(app_id, pFilters, nFilters, req); break;
+		case steam_server_list_type_favorites: req->handle = mms->RequestFavoritesServerList(app_id, pFilters, nFilters, req); break;
+		case steam_server_list_type_history: req->handle = mms->RequestHistoryServerList(app_id, pFilters, nFilters, req); break;
+		default:
+			DebugConsoleOutput("steam_server_list_request() - error: unknown server list type %d\n", (int)type);
+			delete req;
+			return;
+	}
+	steam_server_list_filters.clear();
+
+	steam_server_list_requests[req->id] = req;
+	Result.val = req->id;
+}
+
+/// Returns whether the given server list request is still loading.
+YYEXPORT void /*bool*/ steam_server_list_is_loading(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double request_id)
+{
+	int32 id = YYGetInt32(arg, 0);
+
+	auto it = steam_server_list_requests.find(id);
+	Result.kind = VALUE_BOOL;
+	Result.val = it != steam_server_list_requests.end() && !it->second->done;
+}
+
+/// Cancels a server list request. No further events are dispatched for it.
+YYEXPORT void /*bool*/ steam_server_list_cancel(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double request_id)
+{
+	int32 id = YYGetInt32(arg, 0);
+
+	auto it = steam_server_list_requests.find(id);
+	Result.kind = VALUE_BOOL;
+	Result.val = it != steam_server_list_requests.end();
+	if (Result.val) steam_server_list_release(it);
+}
+
+#pragma endregion
+
+#pragma region Server queries
+
+/// Receives the rules or players of a single server and forwards them as async events.
+class steam_server_query_t final : public ISteamMatchmakingRulesResponse, public ISteamMatchmakingPlayersResponse
+{
+public:
+	int id;
+	bool players;
+	HServerQuery handle = HSERVERQUERY_INVALID;
+	bool done = false;
+
+	steam_server_query_t(int _id, bool _players) : id(_id), players(_players) {}
+
+	void finish(bool success)
+	{
+		steam_net_event ev((char*)(players ? "server_players_complete" : "server_rules_complete"));
+		ev.set((char*)"id", (double)id);
+		ev.set_success(success);
+		ev.dispatch();
+		done = true;
+	}
+
+	void RulesResponded(const char* rule, const char* value) override
+	{
+		steam_net_event ev((char*)"server_rules_response");
+		ev.set((char*)"id", (double)id);
+		ev.set((char*)"rule", (char*)rule);
+		ev.set((char*)"value", (char*)value);
+		ev.dispatch();
+	}
+	void RulesFailedToRespond() override { finish(false); }
+	void RulesRefreshComplete() override { finish(true); }
+
+	void AddPlayerToList(const char* name, int score, float time_played) override
+	{
+		steam_net_event ev((char*)"server_players_response");
+		ev.set((char*)"id", (double)id);
+		ev.set((char*)"name", (char*)name);
+		ev.set((char*)"score", (int32)score);
+		ev.set((char*)"time_played", (double)time_played);
+		ev.dispatch();
+	}
+	void PlayersFailedToRespond() override { finish(false); }
+	void PlayersRefreshComplete() override { finish(true); }
+};
+
+static std::map<int, steam_server_query_t*> steam_server_queries;
+
+static void steam_server_query_start(RValue& Result, RValue* arg, bool players, const char* func)
+{
+	const char* ip_string = YYGetString(arg, 0);
+	uint16 query_port = (uint16)YYGetInt32(arg, 1);
+
+	Result.kind = VALUE_REAL;
+	Result.val = -1;
+	if (!SteamMatchmakingServers()) return;
+
+	uint32 ip;
+	if (!steam_ip_from_string(ip_string, &ip))
+	{
+		DebugConsoleOutput("%s() - error: \"%s\" is not a valid IPv4 address\n", func, ip_string);
+		return;
+	}
+
+	steam_server_query_t* query = new steam_server_query_t(getAsyncRequestInd(), players);
+	if (players)
+		query->handle = SteamMatchmakingServers()->PlayerDetails(ip, query_port, query);
+	else
+		query->handle = SteamMatchmakingServers()->ServerRules(ip, query_port, query);
+
+	steam_server_queries[query->id] = query;
+	Result.val = query->id;
+}
+
+/// [async] Requests the rules (key/value pairs) of the game server at the given address. Returns the request ID or -1.
+YYEXPORT void /*double*/ steam_server_request_rules(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* ip, double query_port)
+{
+	steam_server_query_start(Result, arg, false, __func__);
+}
+
+/// [async] Requests the list of players on the game server at the given address. Returns the request ID or -1.
+YYEXPORT void /*double*/ steam_server_request_players(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* ip, double query_port)
+{
+	steam_server_query_start(Result, arg, true, __func__);
+}
+
+/// Cancels a rules or players request. No further events are dispatched for it.
+YYEXPORT void /*bool*/ steam_server_request_cancel(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double request_id)
+{
+	int32 id = YYGetInt32(arg, 0);
+
+	auto it = steam_server_queries.find(id);
+	Result.kind = VALUE_BOOL;
+	Result.val = it != steam_server_queries.end();
+	if (!Result.val) return;
+
+	steam_server_query_t* query = it->second;
+	if (!query->done && SteamMatchmakingServers()) SteamMatchmakingServers()->CancelServerQuery(query->handle);
+	delete query;
+	steam_server_queries.erase(it);
+}
+
+#pragma endregion
+
+#pragma region Favorites
+
+static void steam_server_favorite(RValue& Result, RValue* arg, int argc, bool add, const char* func)
+{
+	const char* ip_string = YYGetString(arg, 0);
+	uint16 port = (uint16)YYGetInt32(arg, 1);
+	uint16 query_port = (uint16)YYGetInt32(arg, 2);
+	bool history = argc > 3 && YYGetBool(arg, 3);
+	uint32 flags = history ? k_unFavoriteFlagHistory : k_unFavoriteFlagFavorite;
+
+	Result.kind = VALUE_BOOL;
+	Result.val = false;
+	if (!SteamMatchmaking()) return;
+
+	uint32 ip;
+	if (!steam_ip_from_string(ip_string, &ip))
+	{
+		DebugConsoleOutput("%s() - error: \"%s\" is not a valid IPv4 address\n", func, ip_string);
+		return;
+	}
+
+	if (add)
+	{
+		uint32 now = SteamUtils() ? SteamUtils()->GetServerRealTime() : 0;
+		Result.val = SteamMatchmaking()->AddFavoriteGame(steam_server_app_id(), ip, port, query_port, flags, now) >= 0;
+	}
+	else
+	{
+		Result.val = SteamMatchmaking()->RemoveFavoriteGame(steam_server_app_id(), ip, port, query_port, flags);
+	}
+}
+
+/// Adds a game server to the user's favorites (or play history).
+YYEXPORT void /*bool*/ steam_server_add_favorite(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* ip, double port, double query_port, bool history = false)
+{
+	steam_server_favorite(Result, arg, argc, true, __func__);
+}
+
+/// Removes a game server from the user's favorites (or play history).
+YYEXPORT void /*bool*/ steam_server_remove_favorite(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(char* ip, double port, double query_port, bool history = false)
+{
+	steam_server_favorite(Result, arg, argc, false, __func__);
+}
+
+#pragma endregion
+
+/// Releases finished server list requests and queries (called from steam_update).
+void Steam_Servers_Process()
+{
+	for (auto it = steam_server_list_requests.begin(); it != steam_server_list_requests.end();) {
+		auto next = std::next(it);
+		if (it->second->done) steam_server_list_release(it);
+		it = next;
+	}
+	for (auto it = steam_server_queries.begin(); it != steam_server_queries.end();) {
+		if (it->second->done) {
+			delete it->second;
+			it = steam_server_queries.erase(it);
+		}
+		else ++it;
+	}
+}
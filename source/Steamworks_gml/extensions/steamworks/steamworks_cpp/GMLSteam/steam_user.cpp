@@ -33,6 +33,13 @@ YYEXPORT void /*double*/ steam_is_user_logged_on(RValue& Result, CInstance* self
 ///	\brief	Returns a 64bit Steam User ID
 YYEXPORT void /*uint64*/ steam_get_user_steam_id(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()/*Steam_User_GetSteamID*/
 {
+	if (steam_loopback_active)
+	{
+		Result.kind = VALUE_INT64;
+		Result.v64 = steam_loopback_get_user_id().ConvertToUint64();
+		return;
+	}
+
 	if (!steam_is_initialised)
 	{
 		Result.kind = VALUE_INT64;
@@ -143,6 +150,37 @@ YYEXPORT void /*vector<steam_get_friends_game_info_t>*/ steam_get_friends_game_i
 	_SW_SetArrayOfRValue(&Result, vec);
 }
 
+YYEXPORT void /*vector<RValue>*/ steam_get_friends(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(double flags = k_EFriendFlagImmediate)
+{
+	int flags = argc > 0 ? YYGetInt32(arg, 0) : k_EFriendFlagImmediate;
+	vector<RValue> vec{};
+
+	if (!steam_is_initialised)
+	{
+		_SW_SetArrayOfRValue(&Result, vec);
+		return;
+	}
+
+	int count = SteamFriends()->GetFriendCount(flags);
+	for (auto i = 0; i < count; i++)
+	{
+		auto friendId = SteamFriends()->GetFriendByIndex(i, flags);
+		auto nickname = SteamFriends()->GetPlayerNickname(friendId);
+
+		RValue Struct{};
+		YYStructCreate(&Struct);
+
+		YYStructAddInt64(&Struct, "friendId", friendId.ConvertToUint64());
+		YYStructAddString(&Struct, "name", SteamFriends()->GetFriendPersonaName(friendId));
+		YYStructAddDouble(&Struct, "personaState", SteamFriends()->GetFriendPersonaState(friendId));
+		YYStructAddString(&Struct, "nickname", nickname ? nickname : "");
+		YYStructAddDouble(&Struct, "steamLevel", SteamFriends()->GetFriendSteamLevel(friendId));
+
+		vec.push_back(Struct);
+	}
+	_SW_SetArrayOfRValue(&Result, vec);
+}
+
 YYEXPORT void /*const char**/ steam_get_user_persona_name_sync(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(uint64_t user_id) 
 {
 	int64 user_id = YYGetInt64(arg, 0);
@@ -209,10 +247,10 @@ enum class steam_user_avatar_size {
 	large = 2,
 };
 
-YYEXPORT void /*steam_image_id*/ steam_get_user_avatar(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(uint64_t user_id, int avatar_size)
+YYEXPORT void /*steam_image_id*/ steam_get_user_avatar(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(uint64_t user_id, int avatar_size = small)
 {
 	int64 user_id = YYGetInt64(arg, 0);
-	int avatar_size = (int) YYGetReal(arg, 1);
+	int avatar_size = argc > 1 ? (int) YYGetReal(arg, 1) : (int)steam_user_avatar_size::small;
 
 	Result.kind = VALUE_REAL;
 	Result.val = 1.0;
@@ -256,6 +294,27 @@ YYEXPORT void /*std::optional<std::tuple<int, int>>*/ steam_image_get_size(RValu
 	}
 }
 
+/// Creates a new buffer with the RGBA data of the image (width * height * 4 bytes). Returns -1 if the image isn't available.
+YYEXPORT void /*gml_buffer*/ steam_image_create_buffer(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(steam_image_id img)
+{
+	int img = (int)YYGetReal(arg, 0);
+
+	Result.kind = VALUE_REAL;
+	Result.val = -1.0;
+	if (!steam_is_initialised) return;
+
+	uint32 width, height;
+	if (!SteamUtils()->GetImageSize(img, &width, &height) || width == 0 || height == 0) return;
+
+	int size = (int)(width * height * 4);
+	std::vector<uint8> data(size);
+	if (!SteamUtils()->GetImageRGBA(img, data.data(), size)) return;
+
+	int gml_buf = CreateBuffer(size, eBuffer_Format_Fixed, 1);
+	BufferWriteContent(gml_buf, 0, data.data(), size);
+	Result.val = gml_buf;
+}
+
 //
 YYEXPORT void /*bool*/ steam_image_get_rgba(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(steam_image_id img, gml_buffer dest_buf) 
 {
@@ -317,3 +376,102 @@ YYEXPORT void /*bool*/ steam_image_get_bgra(RValue& Result, CInstance* selfinst,
 	}
 }
 #pragma endregion
+
+#pragma region Voice
+
+YYEXPORT void /*bool*/ steam_voice_start_recording(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_is_initialised;
+	if (!steam_is_initialised) return;
+
+	SteamUser()->StartVoiceRecording();
+}
+
+YYEXPORT void /*bool*/ steam_voice_stop_recording(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_BOOL;
+	Result.val = steam_is_initialised;
+	if (!steam_is_initialised) return;
+
+	SteamUser()->StopVoiceRecording();
+}
+
+/// Copies the compressed voice data recorded since the last call into a buffer. Returns the number of bytes written.
+YYEXPORT void /*double*/ steam_voice_get_compressed(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(gml_buffer dest_buf)
+{
+	int gml_buf = YYGetInt32(arg, 0);
+
+	Result.kind = VALUE_REAL;
+	Result.val = 0;
+	if (!steam_is_initialised) return;
+
+	uint32 available = 0;
+	if (SteamUser()->GetAvailableVoice(&available) != k_EVoiceResultOK || available == 0) return;
+
+	std::vector<uint8> data(available);
+	uint32 written = 0;
+	if (SteamUser()->GetVoice(true, data.data(), available, &written) != k_EVoiceResultOK || written == 0) return;
+
+	if (BufferWriteContent(gml_buf, 0, data.data(), (int)written, true) != (int)written)
+	{
+		DebugConsoleOutput("steam_voice_get_compressed() - error: could not write to buffer %d\n", gml_buf);
+		return;
+	}
+	Result.val = written;
+}
+
+/// Decompresses voice data into 16-bit signed mono PCM at the given sample rate. Returns the number of bytes written.
+YYEXPORT void /*double*/ steam_voice_decompress(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(gml_buffer src_buf, double size, gml_buffer dest_buf, double sample_rate = optimal)
+{
+	int src_buf = YYGetInt32(arg, 0);
+	int size = YYGetInt32(arg, 1);
+	int dest_buf = YYGetInt32(arg, 2);
+	uint32 sample_rate = argc > 3 ? YYGetUint32(arg, 3) : 0;
+
+	Result.kind = VALUE_REAL;
+	Result.val = 0;
+	if (!steam_is_initialised) return;
+	if (sample_rate == 0) sample_rate = SteamUser()->GetVoiceOptimalSampleRate();
+	if (sample_rate < 11025 || sample_rate > 48000)
+	{
+		DebugConsoleOutput("steam_voice_decompress() - error: sample rate %u is outside of the supported range (11025 to 48000)\n", sample_rate);
+		return;
+	}
+
+	void* src_data = nullptr;
+	int src_size = 0;
+	if (!BufferGetContent(src_buf, &src_data, &src_size) || !src_data)
+	{
+		DebugConsoleOutput("steam_voice_decompress() - error: specified buffer %d not found\n", src_buf);
+		return;
+	}
+	if (size < 0 || size > src_size) size = src_size;
+
+	// one second of audio is usually plenty, but the API tells us if it isn't:
+	std::vector<uint8> pcm(sample_rate * 2);
+	uint32 written = 0;
+	auto result = SteamUser()->DecompressVoice(src_data, size, pcm.data(), (uint32)pcm.size(), &written, sample_rate);
+	if (result == k_EVoiceResultBufferTooSmall)
+	{
+		pcm.resize(written);
+		result = SteamUser()->DecompressVoice(src_data, size, pcm.data(), (uint32)pcm.size(), &written, sample_rate);
+	}
+	YYFree(src_data);
+	if (result != k_EVoiceResultOK || written == 0) return;
+
+	if (BufferWriteContent(dest_buf, 0, pcm.data(), (int)written, true) != (int)written)
+	{
+		DebugConsoleOutput("steam_voice_decompress() - error: could not write to buffer %d\n", dest_buf);
+		return;
+	}
+	Result.val = written;
+}
+
+YYEXPORT void /*double*/ steam_voice_get_optimal_sample_rate(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//()
+{
+	Result.kind = VALUE_REAL;
+	Result.val = steam_is_initialised ? SteamUser()->GetVoiceOptimalSampleRate() : 0;
+}
+
+#pragma endregion
@@ -73,11 +73,11 @@ YYEXPORT void /*double*/ steam_get_app_ownership_ticket_data(RValue& Result, CIn
 
 void steam_net_callbacks_t::encrypted_app_ticket_response_received(EncryptedAppTicketResponse_t* r, bool failed)
 {
-    auto result = r->m_eResult;
+    auto result = failed ? k_EResultIOFailure : r->m_eResult;
+    uint32 cubTicket = 0;
     if (result == k_EResultOK)
     {
         uint8 rgubTicket[2048];
-        uint32 cubTicket = 0;
         SteamUser()->GetEncryptedAppTicket(rgubTicket, sizeof(rgubTicket), &cubTicket);
 
         //TODO: Done on Windows 
@@ -110,6 +110,7 @@ void steam_net_callbacks_t::encrypted_app_ticket_response_received(EncryptedAppT
 
         //DebugConsoleOutput("Ok \n");
 
+        // legacy event, kept for existing games; "encrypted_app_ticket_response" below is sent for every response
         steam_net_event e = steam_net_event((char*)"user_encrypted_app_ticket_response_received");
 
 
@@ -125,6 +126,11 @@ void steam_net_callbacks_t::encrypted_app_ticket_response_received(EncryptedAppT
         e.set_result(result);
         e.dispatch();
     }
+
+    steam_net_event ev((char*)"encrypted_app_ticket_response");
+    ev.set_result(result);
+    ev.set((char*)"ticket_size", cubTicket);
+    ev.dispatch();
 }
 
 CCallResult<steam_net_callbacks_t, EncryptedAppTicketResponse_t> steam_user_app_ticket;
@@ -132,6 +138,14 @@ YYEXPORT void /*double*/ steam_user_request_encrypted_app_ticket(RValue& Result,
 {
     int32 bufferId = (argc > 0) ? YYGetInt32(arg, 0) : -1;
 
+    if (!steam_is_initialised || !SteamUser())
+    {
+        Result.kind = VALUE_BOOL;
+        Result.val = false;
+
+        return;
+    }
+
     void* buffer_data = nullptr;
     int buffer_size = 0;
 
@@ -151,6 +165,34 @@ YYEXPORT void /*double*/ steam_user_request_encrypted_app_ticket(RValue& Result,
     Result.val = true;
 }
 
+YYEXPORT void /*double*/ steam_user_get_encrypted_app_ticket(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(gml_buffer buffer)
+{
+    int32 bufferId = YYGetInt32(arg, 0);
+
+    Result.kind = VALUE_REAL;
+    Result.val = 0;
+
+    if (!steam_is_initialised)
+    {
+        return;
+    }
+
+    uint8 rgubTicket[2048];
+    uint32 cubTicket = 0;
+    if (!SteamUser()->GetEncryptedAppTicket(rgubTicket, sizeof(rgubTicket), &cubTicket) || cubTicket == 0)
+    {
+        return;
+    }
+
+    if (BufferWriteContent(bufferId, 0, rgubTicket, (int)cubTicket, true) != (int)cubTicket)
+    {
+        DebugConsoleOutput("steam_user_get_encrypted_app_ticket() - error: couldn't write to buffer %d\n", (int)bufferId);
+        return;
+    }
+
+    Result.val = cubTicket;
+}
+
 class CGMAuthTicketCallbacks {
 public:
 
@@ -166,6 +208,7 @@ public:
 
     STEAM_CALLBACK(CGMAuthTicketCallbacks, OnGetTicketForWebApiResponse, GetTicketForWebApiResponse_t);
     STEAM_CALLBACK(CGMAuthTicketCallbacks, OnGetAuthSessionTicketResponse, GetAuthSessionTicketResponse_t);
+    STEAM_CALLBACK(CGMAuthTicketCallbacks, OnValidateAuthTicketResponse, ValidateAuthTicketResponse_t);
 };
 
 CGMAuthTicketCallbacks *CGMAuthTicketCallbacks::m_pAuthTicketCallbacks = nullptr;
@@ -201,6 +244,17 @@ void CGMAuthTicketCallbacks::OnGetAuthSessionTicketResponse(GetAuthSessionTicket
     CreateAsyncEventWithDSMap(map, EVENT_OTHER_WEB_STEAM);
 }
 
+void CGMAuthTicketCallbacks::OnValidateAuthTicketResponse(ValidateAuthTicketResponse_t* pParam)
+{
+    int map = CreateDsMap(0,0);
+    DsMapAddString(map, "event_type", "validate_auth_ticket_response");
+    DsMapAddInt64(map, "user_id", pParam->m_SteamID.ConvertToUint64());
+    DsMapAddInt64(map, "owner_id", pParam->m_OwnerSteamID.ConvertToUint64());
+    DsMapAddDouble(map, "response", pParam->m_eAuthSessionResponse);
+    DsMapAddBool(map, "success", pParam->m_eAuthSessionResponse == k_EAuthSessionResponseOK);
+    CreateAsyncEventWithDSMap(map, EVENT_OTHER_WEB_STEAM);
+}
+
 HAuthTicket authTicket = k_HAuthTicketInvalid;
 YYEXPORT void steam_user_get_auth_ticket_for_web_api(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)
 {
@@ -261,4 +315,46 @@ YYEXPORT void steam_user_cancel_auth_ticket(RValue& Result, CInstance* selfinst,
     }
 }
 
+YYEXPORT void steam_user_begin_auth_session(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(gml_buffer ticket, int64 steam_id)
+{
+    int32 bufferId = YYGetInt32(arg, 0);
+    CSteamID steamId((uint64)YYGetInt64(arg, 1));
+
+    // -1 when the session couldn't be started locally, so that it's not mistaken for an invalid ticket:
+    Result.kind = VALUE_REAL;
+    Result.val = -1;
+
+    if (!steam_is_initialised)
+    {
+        return;
+    }
+
+    void* buffer_data = nullptr;
+    int buffer_size = 0;
+    if (!BufferGetContent(bufferId, &buffer_data, &buffer_size) || !buffer_data)
+    {
+        DebugConsoleOutput("steam_user_begin_auth_session() - error: specified buffer %d not found\n", (int)bufferId);
+        return;
+    }
+
+    CGMAuthTicketCallbacks::Ensure();
+    Result.val = SteamUser()->BeginAuthSession(buffer_data, buffer_size, steamId);
+    YYFree(buffer_data);
+}
+
+YYEXPORT void steam_user_end_auth_session(RValue& Result, CInstance* selfinst, CInstance* otherinst, int argc, RValue* arg)//(int64 steam_id)
+{
+    CSteamID steamId((uint64)YYGetInt64(arg, 0));
+
+    Result.kind = VALUE_BOOL;
+    Result.val = steam_is_initialised;
+
+    if (!steam_is_initialised)
+    {
+        return;
+    }
+
+    SteamUser()->EndAuthSession(steamId);
+}
+
 #pragma endregion
@@ -3,24 +3,17 @@
 function steam_image_create_sprite(l_img)
 {
 	var l_dims = steam_image_get_size(l_img);
-	if (l_dims == undefined) 
+	if (!is_array(l_dims)) 
 		return -1;
 	
-	var buff_size = l_dims[0] * l_dims[1] * 4
-	var l_cols = buffer_create(buff_size, buffer_fixed, 1);
-	var l_sprite, l_ok;
+	var l_cols = steam_image_create_buffer(l_img);
+	if (l_cols == -1) 
+		return -1;
 	
-	l_ok = steam_image_get_rgba(l_img, l_cols, buff_size);
-
-	if (l_ok) 
-	{
-		var l_surf = surface_create(l_dims[0], l_dims[1]);
-		buffer_set_surface(l_cols, l_surf, 0);
-		l_sprite = sprite_create_from_surface(l_surf, 0, 0, l_dims[0], l_dims[1], false, false, 0, 0);
-		surface_free(l_surf);
-	} 
-	else 
-		l_sprite = -1;
+	var l_surf = surface_create(l_dims[0], l_dims[1]);
+	buffer_set_surface(l_cols, l_surf, 0);
+	var l_sprite = sprite_create_from_surface(l_surf, 0, 0, l_dims[0], l_dims[1], false, false, 0, 0);
+	surface_free(l_surf);
 		
 	buffer_delete(l_cols);
 	return l_sprite;